@@ -1,6 +1,7 @@
 require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -11,6 +12,13 @@ const socketIo = require('socket.io');
 const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const aiRoutes = require('./routes/ai');
+const usageRoutes = require('./routes/usage');
+const attachmentRoutes = require('./routes/attachments');
+const knowledgeRoutes = require('./routes/knowledge');
+const promptRoutes = require('./routes/prompts');
+const assistantRoutes = require('./routes/assistants');
+const memoryRoutes = require('./routes/memories');
+const { initModelRegistry } = require('./services/modelRegistry');
 
 const app = express();
 const server = http.createServer(app);
@@ -46,13 +54,28 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  return initModelRegistry();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
+  // Signed-in sockets also join their user's room, for updates every open
+  // tab should see (such as chat titles in the sidebar)
+  const token = socket.handshake.auth?.token;
+  if (token) {
+    try {
+      const { userId } = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+      socket.join(`user:${userId}`);
+    } catch (error) {
+      console.warn(`Socket ${socket.id} sent an invalid token`);
+    }
+  }
+
   socket.on('join-chat', (chatId) => {
     socket.join(chatId);
     console.log(`User ${socket.id} joined chat ${chatId}`);
@@ -78,6 +101,12 @@ app.use((req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/knowledge', knowledgeRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/assistants', assistantRoutes);
+app.use('/api/memories', memoryRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -0,0 +1,221 @@
+// config/models.js
+// Model catalog the registry (services/modelRegistry.js) is seeded from;
+// read models through the registry rather than from here. `api` selects the
+// provider adapter in providers/index.js and `upstreamModel` is the id that
+// adapter sends upstream (defaults to the key).
+// `contextLength` and `maxOutputTokens` are the model's limits in tokens and
+// `tokenizer` names the family services/tokens.js counts them with.
+// `pricing` is in USD per million prompt and completion tokens.
+// `vision` marks models that accept images; others are never sent any.
+// `tools` marks models that can call tools (tools/index.js).
+// `fallbacks` lists, in order, the models tried when this one keeps failing
+// (see services/fallback.js).
+
+const AVAILABLE_MODELS = {
+  'openai/gpt-3.5-turbo': {
+    name: 'GPT-3.5 Turbo',
+    provider: 'OpenAI',
+    api: 'openrouter',
+    contextLength: 16385,
+    maxOutputTokens: 4096,
+    tokenizer: 'cl100k',
+    tools: true,
+    pricing: { prompt: 0.5, completion: 1.5 },
+    fallbacks: ['anthropic/claude-3-haiku']
+  },
+  'openai/gpt-4': {
+    name: 'GPT-4',
+    provider: 'OpenAI',
+    api: 'openrouter',
+    contextLength: 8191,
+    maxOutputTokens: 4096,
+    tokenizer: 'cl100k',
+    tools: true,
+    pricing: { prompt: 30, completion: 60 },
+    fallbacks: ['anthropic/claude-3-sonnet', 'openai/gpt-3.5-turbo']
+  },
+  'anthropic/claude-3-haiku': {
+    name: 'Claude 3 Haiku',
+    provider: 'Anthropic',
+    api: 'openrouter',
+    contextLength: 200000,
+    maxOutputTokens: 4096,
+    tokenizer: 'claude',
+    vision: true,
+    tools: true,
+    pricing: { prompt: 0.25, completion: 1.25 },
+    fallbacks: ['openai/gpt-3.5-turbo']
+  },
+  'anthropic/claude-3-sonnet': {
+    name: 'Claude 3 Sonnet',
+    provider: 'Anthropic',
+    api: 'openrouter',
+    contextLength: 200000,
+    maxOutputTokens: 4096,
+    tokenizer: 'claude',
+    vision: true,
+    tools: true,
+    pricing: { prompt: 3, completion: 15 },
+    fallbacks: ['anthropic/claude-3-haiku', 'openai/gpt-3.5-turbo']
+  },
+  'meta-llama/llama-3.1-8b-instruct': {
+    name: 'Llama 3.1 8B',
+    provider: 'Meta',
+    api: 'openrouter',
+    contextLength: 131072,
+    maxOutputTokens: 8192,
+    tokenizer: 'llama',
+    pricing: { prompt: 0.05, completion: 0.08 },
+    fallbacks: ['mistralai/mistral-7b-instruct']
+  },
+  'mistralai/mistral-7b-instruct': {
+    name: 'Mistral 7B',
+    provider: 'Mistral AI',
+    api: 'openrouter',
+    contextLength: 32768,
+    maxOutputTokens: 4096,
+    tokenizer: 'mistral',
+    pricing: { prompt: 0.06, completion: 0.06 },
+    fallbacks: ['meta-llama/llama-3.1-8b-instruct']
+  },
+  'google/gemma-7b-it': {
+    name: 'Gemma 7B',
+    provider: 'Google',
+    api: 'openrouter',
+    contextLength: 8192,
+    maxOutputTokens: 4096,
+    tokenizer: 'gemma',
+    pricing: { prompt: 0.07, completion: 0.07 },
+    fallbacks: ['meta-llama/llama-3.1-8b-instruct']
+  }
+};
+
+// Builds catalog entries for models listed in the environment. `prefix` names
+// the variables that override `defaults`: <prefix>_NAME (provider label),
+// _CONTEXT_LENGTH, _MAX_OUTPUT_TOKENS, _TOKENIZER, _VISION, _TOOLS, and
+// _PROMPT_PRICE and _COMPLETION_PRICE for models listed without a price.
+// `pricing` is the model's own when given, else that pair, else
+// `defaults.pricing`.
+const envModel = (prefix, api, defaults) => (id, pricing) => {
+  const env = (name) => process.env[`${prefix}_${name}`];
+  const flag = (name, fallback) => (env(name) === undefined ? fallback : env(name) === 'true');
+  const listPricing = env('PROMPT_PRICE') !== undefined || env('COMPLETION_PRICE') !== undefined
+    ? { prompt: parseFloat(env('PROMPT_PRICE')) || 0, completion: parseFloat(env('COMPLETION_PRICE')) || 0 }
+    : null;
+
+  return {
+    name: id,
+    provider: env('NAME') || defaults.provider,
+    api,
+    upstreamModel: id,
+    contextLength: parseInt(env('CONTEXT_LENGTH')) || defaults.contextLength,
+    maxOutputTokens: parseInt(env('MAX_OUTPUT_TOKENS')) || defaults.maxOutputTokens,
+    tokenizer: env('TOKENIZER') || defaults.tokenizer,
+    vision: flag('VISION', defaults.vision),
+    tools: flag('TOOLS', defaults.tools),
+    pricing: pricing || listPricing || defaults.pricing
+  };
+};
+
+// A listed model with its own price, `gpt-4o-mini=0.15/0.6`, in USD per
+// million prompt and completion tokens
+const parseListed = (item) => {
+  const [id, price] = item.split('=').map(part => part.trim());
+  if (price === undefined) return { id };
+
+  const [prompt, completion] = price.split('/').map(Number);
+  if (!Number.isFinite(prompt) || !Number.isFinite(completion)) {
+    console.warn(`Ignoring the price of ${id}: expected "${id}=<prompt>/<completion>"`);
+    return { id };
+  }
+  return { id, pricing: { prompt, completion } };
+};
+
+// Models served by a self-hosted OpenAI-compatible endpoint (Ollama,
+// llama.cpp, an internal gateway, ...), e.g. OPENAI_COMPATIBLE_MODELS=llama3,qwen2:7b.
+// The endpoint's own model list can be discovered too, see MODEL_DISCOVERY.
+const compatibleModel = envModel('OPENAI_COMPATIBLE', 'openai-compatible', {
+  provider: 'Custom',
+  contextLength: 8192,
+  maxOutputTokens: 4096,
+  tokenizer: 'cl100k',
+  vision: false,
+  tools: false,
+  // Self-hosted, so free unless priced
+  pricing: { prompt: 0, completion: 0 }
+});
+
+// Catalog prefixes for the models listed in <variable>_MODELS. OPENAI_MODELS
+// and ANTHROPIC_MODELS (e.g. gpt-4o-mini=0.15/0.6) are served by those
+// providers' own APIs instead of OpenRouter. Those have no default price:
+// one listed without any is recorded as free, and is never picked by price
+// (services/titles.js).
+const LISTED_MODELS = {
+  custom: { variable: 'OPENAI_COMPATIBLE', toEntry: compatibleModel },
+  'openai-api': {
+    variable: 'OPENAI',
+    toEntry: envModel('OPENAI', 'openai', {
+      provider: 'OpenAI',
+      contextLength: 128000,
+      maxOutputTokens: 4096,
+      tokenizer: 'o200k',
+      vision: true,
+      tools: true,
+      pricing: null
+    })
+  },
+  'anthropic-api': {
+    variable: 'ANTHROPIC',
+    toEntry: envModel('ANTHROPIC', 'anthropic', {
+      provider: 'Anthropic',
+      contextLength: 200000,
+      maxOutputTokens: 4096,
+      tokenizer: 'claude',
+      vision: true,
+      tools: true,
+      pricing: null
+    })
+  }
+};
+
+Object.entries(LISTED_MODELS).forEach(([prefix, { variable, toEntry }]) => {
+  (process.env[`${variable}_MODELS`] || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(parseListed)
+    .forEach(({ id, pricing }) => {
+      const entry = toEntry(id, pricing);
+      if (!entry.pricing) {
+        console.warn(`${prefix}/${id} has no price, so its cost is not tracked; list it as ${id}=<prompt>/<completion>`);
+      }
+      AVAILABLE_MODELS[`${prefix}/${id}`] = entry;
+    });
+});
+
+// Offline models answered by providers/mock.js. MOCK_AI=true lists them,
+// MOCK_AI=all also routes every other model through the mock provider.
+if (['true', 'all'].includes(process.env.MOCK_AI)) {
+  const mockLimits = {
+    contextLength: 32768,
+    maxOutputTokens: 4096,
+    tokenizer: 'cl100k',
+    vision: true,
+    tools: true,
+    pricing: { prompt: 0, completion: 0 }
+  };
+  AVAILABLE_MODELS['mock/echo'] = { name: 'Mock Echo', provider: 'Mock', api: 'mock', upstreamModel: 'echo', ...mockLimits };
+  AVAILABLE_MODELS['mock/scripted'] = {
+    name: 'Mock Scripted',
+    provider: 'Mock',
+    api: 'mock',
+    upstreamModel: 'scripted',
+    ...mockLimits,
+    fallbacks: ['mock/echo']
+  };
+}
+
+module.exports = {
+  AVAILABLE_MODELS,
+  compatibleModel
+};
@@ -0,0 +1,18 @@
+// middleware/admin.js
+const User = require('../models/User');
+
+// Use after auth: lets only admins through
+const admin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role');
+    if (user?.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = admin;
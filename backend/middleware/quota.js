@@ -0,0 +1,37 @@
+// middleware/quota.js
+const { quotaStatus } = require('../services/quotas');
+
+const QUOTA_LABELS = {
+  dailyTokens: 'daily token',
+  monthlyTokens: 'monthly token',
+  dailyCost: 'daily spending',
+  monthlyCost: 'monthly spending'
+};
+
+// Use after auth on routes that call a model: refuses the request with a 429
+// while any of the user's quotas is used up
+const enforceQuota = async (req, res, next) => {
+  try {
+    const { exceeded } = await quotaStatus(req.user.userId);
+    if (exceeded.length === 0) return next();
+
+    // Blocked until the last exhausted quota resets
+    const quota = exceeded.reduce((latest, candidate) => (
+      candidate.resetsAt > latest.resetsAt ? candidate : latest
+    ));
+    const retryAfter = Math.ceil((quota.resetsAt - Date.now()) / 1000);
+
+    res.set('Retry-After', String(Math.max(retryAfter, 1)));
+    res.status(429).json({
+      message: `You have reached your ${QUOTA_LABELS[quota.key]} limit`,
+      code: 'quota_exceeded',
+      quota,
+      resetsAt: quota.resetsAt
+    });
+  } catch (error) {
+    console.error('Quota middleware error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = enforceQuota;
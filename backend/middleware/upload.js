@@ -0,0 +1,30 @@
+// middleware/upload.js
+const multer = require('multer');
+const { MAX_BYTES } = require('../services/attachments');
+
+// Files are checked and parsed before they are stored, so they are held in
+// memory while the request is handled
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: 1 }
+}).single('file');
+
+// Use after auth: reads one uploaded file from the `file` field into
+// req.file, refusing files over the size limit with a 413
+const receiveFile = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `Files can be at most ${Math.floor(MAX_BYTES / (1024 * 1024))} MB`
+      });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  });
+};
+
+module.exports = receiveFile;
@@ -0,0 +1,63 @@
+// models/Assistant.js
+const mongoose = require('mongoose');
+const generationParamsSchema = require('./generationParams');
+
+// A named assistant chats can be started from: its model, system prompt and
+// generation parameters are copied into each new chat (routes/chat.js), so
+// editing the assistant later leaves existing chats as they were. Can be
+// shared, see utils/sharing.js.
+const assistantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 300
+  },
+  // An emoji shown in place of the default bot icon
+  avatar: {
+    type: String,
+    default: '',
+    maxlength: 16
+  },
+  // Unset means the user's preferred model
+  model: String,
+  systemPrompt: {
+    type: String,
+    default: '',
+    maxlength: 8000
+  },
+  params: {
+    type: generationParamsSchema,
+    default: () => ({})
+  },
+  // Suggested first messages, offered in the assistant's empty chats
+  starterMessages: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: 500
+    }],
+    validate: [starters => starters.length <= 4, 'At most 4 starter messages are allowed']
+  },
+  shared: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+assistantSchema.index({ user: 1, updatedAt: -1 });
+assistantSchema.index({ shared: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Assistant', assistantSchema);
@@ -0,0 +1,62 @@
+// models/Attachment.js
+const mongoose = require('mongoose');
+
+// A file uploaded to be sent with a message. The file itself is kept by
+// services/attachments.js; the text extracted from it is kept here, since
+// that is what the model reads.
+const attachmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  contentType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  // Bytes
+  size: {
+    type: Number,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['text', 'code', 'markdown', 'csv', 'json', 'pdf', 'image'],
+    required: true
+  },
+  storage: {
+    type: String,
+    enum: ['disk', 'gridfs'],
+    required: true
+  },
+  // File name under UPLOAD_DIR, or the GridFS file id
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Empty for images, which vision models are sent as they are
+  text: {
+    type: String,
+    default: ''
+  },
+  // Only the start of a very long text was kept
+  textTruncated: {
+    type: Boolean,
+    default: false
+  },
+  tokens: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+attachmentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
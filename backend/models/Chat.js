@@ -1,32 +1,194 @@
 // models/Chat.js
 const mongoose = require('mongoose');
+const generationParamsSchema = require('./generationParams');
+
+const messageErrorSchema = new mongoose.Schema({
+  code: String,
+  message: String,
+  provider: String,
+  status: Number
+}, { _id: false });
+
+// A file sent with a message (models/Attachment.js). Enough is copied here to
+// show the message without looking the attachment up.
+const attachmentRefSchema = new mongoose.Schema({
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment',
+    required: true
+  },
+  filename: String,
+  contentType: String,
+  size: Number,
+  kind: String
+}, { _id: false });
+
+// A knowledge base passage a reply was given (services/knowledge.js), shown
+// with the reply as a source. `index` is the number the model cites it by.
+const citationSchema = new mongoose.Schema({
+  index: Number,
+  knowledgeBase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase'
+  },
+  document: mongoose.Schema.Types.ObjectId,
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  },
+  chunk: mongoose.Schema.Types.ObjectId,
+  filename: String,
+  position: Number,
+  excerpt: String,
+  score: Number
+}, { _id: false });
+
+// A tool the model asked to run (tools/index.js). `id` pairs the call with
+// the tool message holding its result; `arguments` is the JSON the model sent.
+const toolCallSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  arguments: {
+    type: String,
+    default: '{}'
+  }
+}, { _id: false });
 
 const messageSchema = new mongoose.Schema({
+  // 'tool' messages hold the result of one of the preceding reply's toolCalls
   role: {
     type: String,
     required: true,
-    enum: ['user', 'assistant', 'system']
+    enum: ['user', 'assistant', 'system', 'tool']
   },
+  // A failed reply may have no content, only its error; a reply that calls
+  // tools may have none either
   content: {
     type: String,
-    required: true
+    default: '',
+    required: function() {
+      return this.status !== 'error' && !(this.toolCalls?.length > 0);
+    }
+  },
+  // Replies: tools the model called before answering. The answer follows
+  // the tool messages with their results.
+  toolCalls: {
+    type: [toolCallSchema],
+    default: undefined
+  },
+  // Tool messages: the call answered and the tool's name
+  toolCallId: {
+    type: String
+  },
+  toolName: {
+    type: String
+  },
+  // Tool messages: the tool refused the call or failed; content says why
+  toolError: {
+    type: Boolean
+  },
+  // Files whose text is sent to the model along with the content
+  attachments: {
+    type: [attachmentRefSchema],
+    default: undefined
+  },
+  // Replies: knowledge base passages sent with the prompt
+  sources: {
+    type: [citationSchema],
+    default: undefined
   },
   timestamp: {
     type: Date,
     default: Date.now
   },
+  // Model that wrote the reply
   model: {
     type: String,
     required: function() {
       return this.role === 'assistant';
     }
   },
+  // Model the user asked for, when a fallback had to answer instead
+  requestedModel: {
+    type: String
+  },
+  // Size of this message's content
   tokens: {
     type: Number,
     default: 0
+  },
+  // What generating this reply cost: the prompt sent and the tokens produced
+  promptTokens: {
+    type: Number
+  },
+  completionTokens: {
+    type: Number
+  },
+  // USD, priced from config/models.js when the reply was saved
+  cost: {
+    type: Number,
+    default: 0
+  },
+  // 'error' marks a reply that failed to generate; it is shown with a retry
+  // button but never sent to the model
+  status: {
+    type: String,
+    enum: ['complete', 'error'],
+    default: 'complete'
+  },
+  error: {
+    type: messageErrorSchema,
+    default: undefined
+  },
+  // Message this one follows; null for the first message of a chat. Unset
+  // on messages saved before replies could branch, which follow the message
+  // before them in the array (see parentKeys below).
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Among messages with the same parent (regenerated replies, edited
+  // prompts), the one the conversation continues from
+  selected: {
+    type: Boolean,
+    default: true
+  },
+  // Generation was cut short by the user; content holds the partial reply
+  stopped: {
+    type: Boolean,
+    default: false
+  },
+  // Replies: milliseconds from the request to the end of the answer
+  latencyMs: {
+    type: Number
   }
 });
 
+// Running summary of the history that no longer fits in the context window
+const summarySchema = new mongoose.Schema({
+  content: {
+    type: String,
+    default: '',
+    maxlength: 20000
+  },
+  // Last message folded into the summary
+  coversUntil: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  updatedAt: {
+    type: Date
+  },
+  editedByUser: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 const chatSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -34,17 +196,52 @@ const chatSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  // The user named the chat; automatic titles (services/titles.js) leave it be
+  titleSetByUser: {
+    type: Boolean,
+    default: false
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
   messages: [messageSchema],
+  // Instructions prepended to every request made for this chat
+  systemPrompt: {
+    type: String,
+    default: '',
+    maxlength: 8000
+  },
   model: {
     type: String,
     required: true,
     default: 'openai/gpt-3.5-turbo'
   },
+  // The assistant the chat was started from (models/Assistant.js)
+  assistant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant'
+  },
+  // Knowledge bases searched for passages relevant to each new message
+  knowledgeBases: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase'
+  }],
+  // Whether the user's memories (models/Memory.js) go into this chat's context
+  useMemory: {
+    type: Boolean,
+    default: true
+  },
+  summary: {
+    type: summarySchema,
+    default: () => ({})
+  },
+  // Overrides the user's defaultParams for this chat
+  params: {
+    type: generationParamsSchema,
+    default: () => ({})
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -53,6 +250,11 @@ const chatSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // USD spent on the chat's replies
+  totalCost: {
+    type: Number,
+    default: 0
+  },
   lastActivity: {
     type: Date,
     default: Date.now
@@ -80,10 +282,98 @@ chatSchema.methods.generateTitle = function() {
   return 'New Chat';
 };
 
-// Calculate total tokens
+// Calculate total tokens: every reply's prompt plus completion. User messages
+// are already part of the prompt that follows them. Replies saved before the
+// split only carry `tokens` until scripts/migrate-token-counts.js runs.
 chatSchema.methods.calculateTotalTokens = function() {
-  this.totalTokens = this.messages.reduce((total, msg) => total + (msg.tokens || 0), 0);
+  this.totalTokens = this.messages.reduce((total, msg) => {
+    if (msg.role !== 'assistant') return total;
+    if (msg.promptTokens === undefined && msg.completionTokens === undefined) {
+      return total + (msg.tokens || 0);
+    }
+    return total + (msg.promptTokens || 0) + (msg.completionTokens || 0);
+  }, 0);
   return this.totalTokens;
 };
 
+chatSchema.methods.calculateTotalCost = function() {
+  const cost = this.messages.reduce((total, msg) => total + (msg.cost || 0), 0);
+  this.totalCost = Math.round(cost * 1e6) / 1e6;
+  return this.totalCost;
+};
+
+// Parent id of every message, as a string, or null for a first message
+const parentKeys = (messages) => messages.map((msg, index) => {
+  if (msg.parentId) return msg.parentId.toString();
+  if (msg.parentId === null || index === 0) return null;
+  return messages[index - 1]._id.toString();
+});
+
+chatSchema.methods.parentOf = function(messageId) {
+  const index = this.messages.findIndex(msg => msg._id.equals(messageId));
+  return index === -1 ? null : parentKeys(this.messages)[index];
+};
+
+// The messages from the first one down to messageId (inclusive)
+chatSchema.methods.getPathTo = function(messageId) {
+  if (!messageId) return [];
+
+  const parents = parentKeys(this.messages);
+  const byId = new Map(this.messages.map((msg, index) => [msg._id.toString(), index]));
+  const path = [];
+
+  for (let index = byId.get(messageId.toString()); index !== undefined; index = byId.get(parents[index])) {
+    path.unshift(this.messages[index]);
+  }
+  return path;
+};
+
+// The conversation as currently shown: from the first message, follow the
+// selected child (or the newest one) until there is none
+chatSchema.methods.getActivePath = function() {
+  const parents = parentKeys(this.messages);
+  const children = new Map();
+  this.messages.forEach((msg, index) => {
+    const key = parents[index] || 'root';
+    children.set(key, [...(children.get(key) || []), msg]);
+  });
+
+  const path = [];
+  for (let siblings = children.get('root'); siblings; ) {
+    const next = siblings.filter(msg => msg.selected !== false).pop() || siblings[siblings.length - 1];
+    path.push(next);
+    siblings = children.get(next._id.toString());
+  }
+  return path;
+};
+
+// Make messageId, and every message leading to it, the selected one among
+// its siblings
+chatSchema.methods.selectMessage = function(messageId) {
+  const parents = parentKeys(this.messages);
+  const pathIds = new Set(this.getPathTo(messageId).map(msg => msg._id.toString()));
+  const pathParents = new Set(this.messages
+    .filter(msg => pathIds.has(msg._id.toString()))
+    .map(msg => parents[this.messages.indexOf(msg)]));
+
+  this.messages.forEach((msg, index) => {
+    if (pathParents.has(parents[index])) {
+      msg.selected = pathIds.has(msg._id.toString());
+    }
+  });
+};
+
+// Add a message after the end of the active path (or after `parentId` when
+// given) and select it. Returns the saved subdocument.
+chatSchema.methods.appendMessage = function(message) {
+  const parentId = message.parentId !== undefined
+    ? message.parentId
+    : this.getActivePath().pop()?._id || null;
+
+  this.messages.push({ ...message, parentId });
+  const saved = this.messages[this.messages.length - 1];
+  this.selectMessage(saved._id);
+  return saved;
+};
+
 module.exports = mongoose.model('Chat', chatSchema);
\ No newline at end of file
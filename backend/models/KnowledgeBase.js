@@ -0,0 +1,60 @@
+// models/KnowledgeBase.js
+const mongoose = require('mongoose');
+
+// A file in a knowledge base. The file is an attachment (models/Attachment.js);
+// its text is split into KnowledgeChunks for retrieval.
+const documentSchema = new mongoose.Schema({
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment',
+    required: true
+  },
+  filename: String,
+  size: Number,
+  kind: String,
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user's collection of documents that chats can retrieve from
+// (services/knowledge.js)
+const knowledgeBaseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  documents: [documentSchema],
+  // Corpus statistics for BM25, kept in step as documents come and go
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+  totalTerms: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+knowledgeBaseSchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('KnowledgeBase', knowledgeBaseSchema);
@@ -0,0 +1,52 @@
+// models/KnowledgeChunk.js
+const mongoose = require('mongoose');
+
+// How often a term occurs in a chunk
+const termSchema = new mongoose.Schema({
+  term: String,
+  count: Number
+}, { _id: false });
+
+// A passage of a knowledge base document, indexed by its terms so the
+// chunks matching a question can be found and ranked (services/knowledge.js)
+const knowledgeChunkSchema = new mongoose.Schema({
+  knowledgeBase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    required: true
+  },
+  // The document's id within the knowledge base
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  },
+  filename: String,
+  // Order of the chunk within its document
+  position: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  tokens: {
+    type: Number,
+    default: 0
+  },
+  // Number of indexed terms, the document length of BM25
+  length: {
+    type: Number,
+    default: 0
+  },
+  terms: [termSchema]
+});
+
+knowledgeChunkSchema.index({ knowledgeBase: 1, 'terms.term': 1 });
+knowledgeChunkSchema.index({ document: 1 });
+
+module.exports = mongoose.model('KnowledgeChunk', knowledgeChunkSchema);
@@ -0,0 +1,35 @@
+// models/Memory.js
+const mongoose = require('mongoose');
+
+// A fact about the user kept across chats (services/memories.js). Memories
+// the assistant proposes (tools/remember.js) are only used once the user
+// confirms them.
+const memorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'active'],
+    default: 'active'
+  },
+  // The chat a proposed memory came from
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  }
+}, {
+  timestamps: true
+});
+
+memorySchema.index({ user: 1, status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Memory', memorySchema);
@@ -0,0 +1,29 @@
+// models/ModelSetting.js
+const mongoose = require('mongoose');
+
+// An admin's choice to offer a catalog model or not. Models without a
+// setting use the registry's default (see services/modelRegistry.js).
+const modelSettingSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    required: true
+  },
+  // The catalog entry of a discovered model, so it stays known across
+  // restarts even while its provider can't be listed
+  entry: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ModelSetting', modelSettingSchema);
@@ -0,0 +1,48 @@
+// models/Prompt.js
+const mongoose = require('mongoose');
+
+// `{{name}}` placeholders, filled in when the prompt is used
+const VARIABLE = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+// A reusable prompt from the prompt library; can be shared, see
+// utils/sharing.js.
+const promptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 30
+  }],
+  shared: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+promptSchema.index({ user: 1, updatedAt: -1 });
+promptSchema.index({ shared: 1, updatedAt: -1 });
+
+// Names of the prompt's variables, in the order they first appear
+promptSchema.methods.variables = function() {
+  return [...new Set([...this.body.matchAll(VARIABLE)].map(match => match[1]))];
+};
+
+module.exports = mongoose.model('Prompt', promptSchema);
@@ -0,0 +1,50 @@
+// models/Usage.js
+const mongoose = require('mongoose');
+
+// Running totals of what a user spent on one model in one UTC day. Monthly
+// figures are summed from the days of that month.
+const usageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'YYYY-MM-DD'
+  day: {
+    type: String,
+    required: true
+  },
+  // 'YYYY-MM'
+  month: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  // USD
+  cost: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+usageSchema.index({ user: 1, day: 1, model: 1 }, { unique: true });
+usageSchema.index({ user: 1, month: 1 });
+
+module.exports = mongoose.model('Usage', usageSchema);
@@ -1,6 +1,17 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const generationParamsSchema = require('./generationParams');
+const { isKnownModel } = require('../services/modelRegistry');
+
+// Per-user overrides of the quotas in services/quotas.js. null inherits the
+// default; costs are USD.
+const quotaOverridesSchema = new mongoose.Schema({
+  dailyTokens: { type: Number, min: 0, default: null },
+  monthlyTokens: { type: Number, min: 0, default: null },
+  dailyCost: { type: Number, min: 0, default: null },
+  monthlyCost: { type: Number, min: 0, default: null }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -24,16 +35,40 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Any catalog model; only checked when it changes, so a model switched off
+  // later doesn't stop the user from being saved
   preferredModel: {
     type: String,
     default: 'openai/gpt-3.5-turbo',
-    enum: [
-      'openai/gpt-3.5-turbo',
-      'anthropic/claude-3-haiku',
-      'anthropic/claude-3-sonnet',
-      'meta-llama/llama-3.1-8b-instruct',
-      'mistralai/mistral-7b-instruct'
-    ]
+    validate: {
+      validator: isKnownModel,
+      message: props => `${props.value} is not a known model`
+    }
+  },
+  // Copied into the system prompt of every new chat
+  defaultSystemPrompt: {
+    type: String,
+    default: '',
+    maxlength: 8000
+  },
+  // Generation parameters used by chats that don't override them
+  defaultParams: {
+    type: generationParamsSchema,
+    default: () => ({})
+  },
+  // Names of tools (tools/index.js) the user doesn't want models to call
+  disabledTools: {
+    type: [String],
+    default: []
+  },
+  quotas: {
+    type: quotaOverridesSchema,
+    default: () => ({})
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
   },
   isActive: {
     type: Boolean,
@@ -0,0 +1,41 @@
+// models/generationParams.js
+const mongoose = require('mongoose');
+
+// Sampling parameters, stored per chat and as per-user defaults. Unset fields
+// inherit from the next level: chat -> user -> app defaults.
+const generationParamsSchema = new mongoose.Schema({
+  temperature: {
+    type: Number,
+    min: 0,
+    max: 2
+  },
+  topP: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  maxTokens: {
+    type: Number,
+    min: 1
+  },
+  stop: {
+    type: [String],
+    default: undefined,
+    validate: [stop => stop.length <= 4, 'At most 4 stop sequences are allowed']
+  },
+  presencePenalty: {
+    type: Number,
+    min: -2,
+    max: 2
+  },
+  frequencyPenalty: {
+    type: Number,
+    min: -2,
+    max: 2
+  },
+  seed: {
+    type: Number
+  }
+}, { _id: false });
+
+module.exports = generationParamsSchema;
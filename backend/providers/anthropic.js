@@ -0,0 +1,239 @@
+// providers/anthropic.js
+// Adapter for Anthropic's native Messages API.
+const axios = require('axios');
+const { ProviderError, toProviderError } = require('./errors');
+const { readEventStream } = require('./eventStream');
+
+const DEFAULT_MAX_TOKENS = 1000;
+
+// OpenAI-style content parts as Anthropic content blocks; images arrive as
+// data URLs and are sent as base64 sources
+const toAnthropicContent = (content) => {
+  if (typeof content === 'string') return [{ type: 'text', text: content }];
+
+  return content.map(part => {
+    if (part.type !== 'image_url') return { type: 'text', text: part.text };
+
+    const [, mediaType, data] = /^data:([^;]+);base64,(.*)$/s.exec(part.image_url.url) || [];
+    return { type: 'image', source: { type: 'base64', media_type: mediaType, data } };
+  });
+};
+
+const parseArguments = (json) => {
+  try {
+    return JSON.parse(json || '{}');
+  } catch (error) {
+    return {};
+  }
+};
+
+// One OpenAI-style message as an Anthropic turn: tool calls become tool_use
+// blocks, and tool results user turns holding a tool_result block
+const toAnthropicTurn = (msg) => {
+  if (msg.role === 'tool') {
+    return {
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content }]
+    };
+  }
+
+  if (msg.tool_calls?.length > 0) {
+    return {
+      role: 'assistant',
+      content: [
+        ...(msg.content ? toAnthropicContent(msg.content) : []),
+        ...msg.tool_calls.map(call => ({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function.name,
+          input: parseArguments(call.function.arguments)
+        }))
+      ]
+    };
+  }
+
+  return {
+    role: msg.role,
+    content: typeof msg.content === 'string' ? msg.content : toAnthropicContent(msg.content)
+  };
+};
+
+// The Messages API takes the system prompt separately and expects strictly
+// alternating user/assistant turns
+const toAnthropicMessages = (messages) => {
+  const system = messages
+    .filter(msg => msg.role === 'system')
+    .map(msg => msg.content)
+    .join('\n\n');
+
+  const turns = [];
+  messages
+    .filter(msg => msg.role !== 'system')
+    .map(toAnthropicTurn)
+    .forEach(turn => {
+      const last = turns[turns.length - 1];
+      if (!last || last.role !== turn.role) {
+        turns.push(turn);
+      } else if (typeof last.content === 'string' && typeof turn.content === 'string') {
+        last.content += `\n\n${turn.content}`;
+      } else {
+        // Merged turns with images or tool blocks need content blocks
+        const blocks = (content) => (typeof content === 'string' ? [{ type: 'text', text: content }] : content);
+        last.content = [...blocks(last.content), ...blocks(turn.content)];
+      }
+    });
+
+  return { system: system || undefined, messages: turns };
+};
+
+// OpenAI-style tool definitions in the Messages API's format
+const toAnthropicTools = (tools) => tools.map(({ function: fn }) => ({
+  name: fn.name,
+  description: fn.description,
+  input_schema: fn.parameters
+}));
+
+const normalizeUsage = (usage) => {
+  if (!usage) return null;
+
+  const promptTokens = usage.input_tokens || 0;
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens
+  };
+};
+
+const createAnthropicProvider = ({
+  id = 'anthropic',
+  baseURL = 'https://api.anthropic.com',
+  apiKey,
+  version = '2023-06-01'
+}) => {
+  const url = `${baseURL.replace(/\/$/, '')}/v1/messages`;
+
+  // The Messages API has no penalties or seed, and caps temperature at 1
+  const buildBody = (request, stream) => ({
+    model: request.model,
+    ...toAnthropicMessages(request.messages),
+    temperature: request.temperature === undefined ? undefined : Math.min(request.temperature, 1),
+    top_p: request.topP,
+    max_tokens: request.maxTokens || DEFAULT_MAX_TOKENS,
+    stop_sequences: request.stop,
+    ...(request.tools?.length > 0 && { tools: toAnthropicTools(request.tools) }),
+    stream
+  });
+
+  const buildConfig = (signal, extra = {}) => ({
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': version,
+      'Content-Type': 'application/json'
+    },
+    signal,
+    ...extra
+  });
+
+  const complete = async (request) => {
+    try {
+      const response = await axios.post(url, buildBody(request, false), buildConfig(request.signal));
+
+      return {
+        content: (response.data.content || [])
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        toolCalls: (response.data.content || [])
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: JSON.stringify(block.input || {}) })),
+        finishReason: response.data.stop_reason,
+        model: response.data.model || request.model,
+        usage: normalizeUsage(response.data.usage)
+      };
+    } catch (error) {
+      throw await toProviderError(error, id);
+    }
+  };
+
+  const stream = async (request, { onToken } = {}) => {
+    let content = '';
+    let finishReason = null;
+    let upstreamModel = request.model;
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    // tool_use blocks by index, their input arriving as pieces of JSON
+    const toolBlocks = [];
+
+    try {
+      const response = await axios.post(url, buildBody(request, true), buildConfig(request.signal, {
+        responseType: 'stream'
+      }));
+
+      await readEventStream(response.data, ({ data }) => {
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (parseError) {
+          return; // Skip malformed JSON
+        }
+
+        switch (parsed.type) {
+          case 'message_start':
+            upstreamModel = parsed.message?.model || upstreamModel;
+            Object.assign(usage, parsed.message?.usage);
+            break;
+
+          case 'content_block_start':
+            if (parsed.content_block?.type === 'tool_use') {
+              const { id: callId, name } = parsed.content_block;
+              toolBlocks[parsed.index] = { id: callId, name, arguments: '' };
+            }
+            break;
+
+          case 'content_block_delta':
+            if (parsed.delta?.type === 'text_delta' && parsed.delta.text) {
+              content += parsed.delta.text;
+              onToken?.(parsed.delta.text);
+            } else if (parsed.delta?.type === 'input_json_delta' && toolBlocks[parsed.index]) {
+              toolBlocks[parsed.index].arguments += parsed.delta.partial_json || '';
+            }
+            break;
+
+          case 'message_delta':
+            finishReason = parsed.delta?.stop_reason || finishReason;
+            Object.assign(usage, parsed.usage);
+            break;
+
+          case 'error':
+            throw new ProviderError(parsed.error?.message || 'Streaming error', {
+              provider: id,
+              code: parsed.error?.type || 'stream_error'
+            });
+
+          default:
+            break;
+        }
+      });
+    } catch (error) {
+      throw await toProviderError(error, id);
+    }
+
+    return {
+      content,
+      toolCalls: toolBlocks.filter(Boolean).map(call => ({ ...call, arguments: call.arguments || '{}' })),
+      finishReason,
+      model: upstreamModel,
+      usage: normalizeUsage(usage)
+    };
+  };
+
+  return {
+    id,
+    complete,
+    stream
+  };
+};
+
+module.exports = {
+  createAnthropicProvider
+};
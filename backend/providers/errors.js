@@ -0,0 +1,74 @@
+// providers/errors.js
+const axios = require('axios');
+
+// Normalised upstream failure, whichever provider produced it
+class ProviderError extends Error {
+  constructor(message, { provider, status, code, retryAfter } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Streaming requests hand back the error body as a stream too
+const readBody = async (data) => {
+  if (!data || typeof data.on !== 'function') return data;
+
+  let raw = '';
+  for await (const chunk of data) {
+    raw += chunk.toString();
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (parseError) {
+    return raw;
+  }
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (header) => {
+  if (!header) return undefined;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0);
+
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max((date - Date.now()) / 1000, 0) : undefined;
+};
+
+// Turn an axios error into a ProviderError; cancellations pass through
+// untouched so callers can tell a stopped generation from a failure
+const toProviderError = async (error, provider) => {
+  if (axios.isCancel(error) || error instanceof ProviderError) {
+    return error;
+  }
+
+  if (!error.response) {
+    return new ProviderError(error.message, {
+      provider,
+      code: error.code === 'ECONNABORTED' ? 'timeout' : 'network_error'
+    });
+  }
+
+  const body = await readBody(error.response.data).catch(() => null);
+  const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+  const message = body?.error?.message
+    || (typeof body === 'string' && body)
+    || error.message;
+
+  return new ProviderError(message, {
+    provider,
+    status: error.response.status,
+    code: body?.error?.type || body?.error?.code || `http_${error.response.status}`,
+    retryAfter
+  });
+};
+
+module.exports = {
+  ProviderError,
+  toProviderError
+};
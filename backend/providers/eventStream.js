@@ -0,0 +1,48 @@
+// providers/eventStream.js
+
+// Read a Server-Sent Events response body line by line. Calls onEvent with
+// `{ event, data }` for every `data:` line and resolves when the stream ends.
+const readEventStream = (stream, onEvent) => new Promise((resolve, reject) => {
+  let buffered = '';
+  let eventName = null;
+  let settled = false;
+
+  const settle = (callback, value) => {
+    if (settled) return;
+    settled = true;
+    callback(value);
+  };
+
+  stream.on('data', (chunk) => {
+    // SSE lines can be split across network chunks
+    buffered += chunk.toString();
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+
+    for (const rawLine of lines) {
+      const line = rawLine.replace(/\r$/, '');
+
+      if (line === '') {
+        eventName = null;
+      } else if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        try {
+          onEvent({ event: eventName, data: line.slice(5).trim() });
+        } catch (error) {
+          stream.destroy();
+          settle(reject, error);
+          return;
+        }
+      }
+    }
+  });
+
+  stream.on('end', () => settle(resolve));
+  stream.on('error', (error) => settle(reject, error));
+  stream.on('close', () => settle(resolve));
+});
+
+module.exports = {
+  readEventStream
+};
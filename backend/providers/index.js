@@ -0,0 +1,98 @@
+// providers/index.js
+// Every provider exposes the same interface:
+//   complete(request)            -> Promise<{ content, toolCalls, finishReason, model, usage }>
+//   stream(request, { onToken }) -> same result, calling onToken for each text delta
+// where request is { model, messages, tools, signal } plus the generation
+// parameters from services/generationParams.js (temperature, topP, maxTokens,
+// stop, presencePenalty, frequencyPenalty, seed) and usage is
+// { promptTokens, completionTokens, totalTokens } or null when not reported.
+// A message's content is a string or, for vision models, an OpenAI-style
+// array of { type: 'text', text } and { type: 'image_url', image_url: { url } }
+// parts with images as data URLs.
+// Tools follow the OpenAI format too: `tools` is a list of
+// { type: 'function', function: { name, description, parameters } }, an
+// assistant message may carry `tool_calls` and each result is a
+// { role: 'tool', tool_call_id, content } message. toolCalls in the result is
+// a list of { id, name, arguments } with the arguments as a JSON string.
+// Providers that can list their models also expose
+//   listModels({ signal })       -> Promise<[{ id, ... }]> in the upstream format
+const { getModel } = require('../services/modelRegistry');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider, loadScript } = require('./mock');
+const { ProviderError } = require('./errors');
+
+const providers = {
+  openrouter: createOpenAICompatibleProvider({
+    id: 'openrouter',
+    baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+    apiKey: process.env.OPENROUTER_API_KEY,
+    headers: {
+      'HTTP-Referer': process.env.FRONTEND_URL || 'http://localhost:3000',
+      'X-Title': 'Claude Clone'
+    },
+    streamUsage: true
+  }),
+
+  openai: createOpenAICompatibleProvider({
+    id: 'openai',
+    baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    streamUsage: true
+  }),
+
+  // Any server that speaks the OpenAI chat completions API
+  'openai-compatible': createOpenAICompatibleProvider({
+    id: 'openai-compatible',
+    baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY
+  }),
+
+  anthropic: createAnthropicProvider({
+    baseURL: process.env.ANTHROPIC_BASE_URL,
+    apiKey: process.env.ANTHROPIC_API_KEY
+  }),
+
+  // Offline replies, see MOCK_AI in config/models.js
+  mock: createMockProvider({
+    latencyMs: parseInt(process.env.MOCK_LATENCY_MS) || 0,
+    tokenDelayMs: parseInt(process.env.MOCK_TOKEN_DELAY_MS) || 30,
+    failEvery: parseInt(process.env.MOCK_FAIL_EVERY) || 0,
+    failStatus: parseInt(process.env.MOCK_FAIL_STATUS) || 500,
+    script: loadScript(process.env.MOCK_SCRIPT)
+  })
+};
+
+// MOCK_AI=all answers every model offline, so the app runs without any keys
+const mockEverything = process.env.MOCK_AI === 'all';
+
+// Look up which provider serves a catalog model and the id to send upstream
+const resolveModel = (modelId) => {
+  const entry = getModel(modelId);
+  if (!entry) {
+    throw new ProviderError(`Unknown model: ${modelId}`, { code: 'unknown_model' });
+  }
+
+  if (mockEverything) {
+    return {
+      provider: providers.mock,
+      upstreamModel: entry.api === 'mock' ? entry.upstreamModel : 'scripted'
+    };
+  }
+
+  const provider = providers[entry.api];
+  if (!provider) {
+    throw new ProviderError(`No provider configured for "${entry.api}"`, { code: 'unknown_provider' });
+  }
+
+  return {
+    provider,
+    upstreamModel: entry.upstreamModel || modelId
+  };
+};
+
+module.exports = {
+  providers,
+  resolveModel,
+  ProviderError
+};
@@ -0,0 +1,183 @@
+// providers/mock.js
+// Offline, deterministic provider for local development and automated tests.
+// It implements the same complete/stream interface as the real adapters.
+const fs = require('fs');
+const { ProviderError } = require('./errors');
+
+// Put `[mock:error 429]` or `[mock:timeout]` in a message to force a failure
+const FAILURE_TRIGGER = /\[mock:(error|timeout)(?:\s+(\d{3}))?\]/i;
+// Put `[mock:tool calculator {"expression": "6*7"}]` in a message to have the
+// model call that tool when tools are offered; once the results are in, the
+// reply repeats them
+const TOOL_TRIGGER = /\[mock:tool\s+([\w-]+)\s*(\{.*\})?\]/is;
+
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// The text of a message's content; image parts are ignored
+const textOf = (content) => (
+  typeof content === 'string'
+    ? content
+    : (content || []).filter(part => part.type === 'text').map(part => part.text).join('\n')
+);
+
+// Resolves after `ms`, rejecting early like axios does when the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const cancelled = () => {
+    const error = new Error('canceled');
+    error.name = 'CanceledError';
+    error.code = 'ERR_CANCELED';
+    return error;
+  };
+
+  if (signal?.aborted) return reject(cancelled());
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(cancelled());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// A script is a JSON array of replies. Plain strings are played in turn order;
+// `{ "match": "regex", "reply": "..." }` entries answer matching prompts first
+// and `{ "match": "...", "error": 503 }` makes them fail instead.
+const loadScript = (scriptPath) => {
+  if (!scriptPath) return [];
+
+  try {
+    return JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to load mock script ${scriptPath}:`, error.message);
+    return [];
+  }
+};
+
+const createMockProvider = ({
+  id = 'mock',
+  latencyMs = 0,
+  tokenDelayMs = 0,
+  failEvery = 0,
+  failStatus = 500,
+  script = []
+} = {}) => {
+  let requestCount = 0;
+
+  const rules = script.filter(entry => entry && typeof entry === 'object' && entry.match);
+  const replies = script.filter(entry => typeof entry === 'string');
+
+  const fail = (status, message) => {
+    throw new ProviderError(message || `Mock provider failure (${status})`, {
+      provider: id,
+      status,
+      code: `http_${status}`,
+      retryAfter: status === 429 ? 1 : undefined
+    });
+  };
+
+  // Decide the reply (or failure) for a request without any randomness.
+  // Returns the reply's text, or `{ toolCalls }` when it calls tools.
+  const respond = ({ model, messages, tools }) => {
+    requestCount += 1;
+
+    const userMessages = messages.filter(msg => msg.role === 'user');
+    const lastContent = userMessages[userMessages.length - 1]?.content;
+    const prompt = textOf(lastContent);
+    const imageCount = Array.isArray(lastContent) ? lastContent.filter(part => part.type === 'image_url').length : 0;
+
+    const trigger = FAILURE_TRIGGER.exec(prompt);
+    if (trigger) {
+      if (trigger[1].toLowerCase() === 'timeout') {
+        throw new ProviderError('Mock provider timed out', { provider: id, code: 'timeout' });
+      }
+      fail(Number(trigger[2]) || failStatus);
+    }
+
+    if (failEvery > 0 && requestCount % failEvery === 0) {
+      fail(failStatus);
+    }
+
+    const results = [];
+    for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+      results.unshift(textOf(messages[i].content));
+    }
+    if (results.length > 0) {
+      return `Tool result: ${results.join('\n')}`;
+    }
+
+    const toolTrigger = TOOL_TRIGGER.exec(prompt);
+    if (toolTrigger && tools?.some(tool => tool.function.name === toolTrigger[1])) {
+      return {
+        toolCalls: [{ id: `call_mock_${requestCount}`, name: toolTrigger[1], arguments: toolTrigger[2] || '{}' }]
+      };
+    }
+
+    const rule = rules.find(entry => new RegExp(entry.match, 'i').test(prompt));
+    if (rule?.error) {
+      fail(Number(rule.error), rule.reply);
+    }
+    if (rule) return rule.reply;
+
+    if (model !== 'echo' && replies.length > 0) {
+      return replies[(userMessages.length - 1) % replies.length];
+    }
+
+    return `Echo: ${prompt}${imageCount > 0 ? ` [${imageCount} image${imageCount === 1 ? '' : 's'}]` : ''}`;
+  };
+
+  const buildUsage = (messages, content) => {
+    const promptTokens = messages.reduce((total, msg) => total + estimateTokens(textOf(msg.content)), 0);
+    const completionTokens = estimateTokens(content);
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    };
+  };
+
+  // The provider result for a reply from respond()
+  const resultOf = (request, reply) => {
+    const content = typeof reply === 'string' ? reply : '';
+    return {
+      content,
+      toolCalls: reply.toolCalls || [],
+      finishReason: reply.toolCalls ? 'tool_calls' : 'stop',
+      model: `mock/${request.model}`,
+      usage: buildUsage(request.messages, content)
+    };
+  };
+
+  const complete = async (request) => {
+    await sleep(latencyMs, request.signal);
+    return resultOf(request, respond(request));
+  };
+
+  const stream = async (request, { onToken } = {}) => {
+    await sleep(latencyMs, request.signal);
+    const reply = respond(request);
+    const { content } = resultOf(request, reply);
+
+    // Emit word by word, keeping the whitespace so the text reassembles exactly
+    for (const token of content.match(/\s*\S+\s*/g) || []) {
+      await sleep(tokenDelayMs, request.signal);
+      onToken?.(token);
+    }
+
+    return resultOf(request, reply);
+  };
+
+  return {
+    id,
+    complete,
+    stream
+  };
+};
+
+module.exports = {
+  createMockProvider,
+  loadScript
+};
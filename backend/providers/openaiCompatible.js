@@ -0,0 +1,166 @@
+// providers/openaiCompatible.js
+// Adapter for the OpenAI chat completions API, which OpenRouter, OpenAI
+// itself and most self-hosted servers (Ollama, llama.cpp, vLLM) speak.
+const axios = require('axios');
+const { ProviderError, toProviderError } = require('./errors');
+const { readEventStream } = require('./eventStream');
+
+const normalizeUsage = (usage) => {
+  if (!usage) return null;
+
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens
+  };
+};
+
+const toToolCalls = (toolCalls) => (toolCalls || []).map(call => ({
+  id: call.id,
+  name: call.function?.name,
+  arguments: call.function?.arguments || '{}'
+}));
+
+const createOpenAICompatibleProvider = ({
+  id,
+  baseURL,
+  apiKey,
+  headers = {},
+  streamUsage = false
+}) => {
+  const root = baseURL.replace(/\/$/, '');
+  const url = `${root}/chat/completions`;
+
+  const buildBody = (request, stream) => ({
+    model: request.model,
+    messages: request.messages,
+    temperature: request.temperature,
+    top_p: request.topP,
+    max_tokens: request.maxTokens,
+    stop: request.stop,
+    presence_penalty: request.presencePenalty,
+    frequency_penalty: request.frequencyPenalty,
+    seed: request.seed,
+    ...(request.tools?.length > 0 && { tools: request.tools }),
+    stream,
+    ...(stream && streamUsage && { stream_options: { include_usage: true } })
+  });
+
+  const buildConfig = (signal, extra = {}) => ({
+    headers: {
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    signal,
+    ...extra
+  });
+
+  const complete = async (request) => {
+    try {
+      const response = await axios.post(url, buildBody(request, false), buildConfig(request.signal));
+      const choice = response.data.choices?.[0];
+
+      if (!choice) {
+        throw new ProviderError('Provider returned no choices', { provider: id, code: 'empty_response' });
+      }
+
+      return {
+        content: choice.message?.content || '',
+        toolCalls: toToolCalls(choice.message?.tool_calls),
+        finishReason: choice.finish_reason,
+        model: response.data.model || request.model,
+        usage: normalizeUsage(response.data.usage)
+      };
+    } catch (error) {
+      throw await toProviderError(error, id);
+    }
+  };
+
+  const stream = async (request, { onToken } = {}) => {
+    let content = '';
+    let finishReason = null;
+    let upstreamModel = request.model;
+    let usage = null;
+    // Tool calls arrive in pieces, keyed by their index
+    const toolCalls = [];
+
+    try {
+      const response = await axios.post(url, buildBody(request, true), buildConfig(request.signal, {
+        responseType: 'stream'
+      }));
+
+      await readEventStream(response.data, ({ data }) => {
+        if (!data || data === '[DONE]') return;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (parseError) {
+          return; // Skip malformed JSON
+        }
+
+        if (parsed.error) {
+          throw new ProviderError(parsed.error.message || 'Streaming error', {
+            provider: id,
+            code: parsed.error.code || 'stream_error'
+          });
+        }
+
+        upstreamModel = parsed.model || upstreamModel;
+        usage = normalizeUsage(parsed.usage) || usage;
+
+        const choice = parsed.choices?.[0];
+        finishReason = choice?.finish_reason || finishReason;
+
+        const token = choice?.delta?.content;
+        if (token) {
+          content += token;
+          onToken?.(token);
+        }
+
+        (choice?.delta?.tool_calls || []).forEach(delta => {
+          const index = delta.index ?? 0;
+          toolCalls[index] = toolCalls[index] || { id: '', function: { name: '', arguments: '' } };
+          const call = toolCalls[index];
+          if (delta.id) call.id = delta.id;
+          if (delta.function?.name) call.function.name += delta.function.name;
+          if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+        });
+      });
+    } catch (error) {
+      throw await toProviderError(error, id);
+    }
+
+    return {
+      content,
+      toolCalls: toToolCalls(toolCalls.filter(Boolean)),
+      finishReason,
+      model: upstreamModel,
+      usage
+    };
+  };
+
+  // The endpoint's model listing, as returned upstream (`GET /models`)
+  const listModels = async ({ signal } = {}) => {
+    try {
+      const response = await axios.get(`${root}/models`, buildConfig(signal));
+      return response.data.data || [];
+    } catch (error) {
+      throw await toProviderError(error, id);
+    }
+  };
+
+  return {
+    id,
+    complete,
+    stream,
+    listModels
+  };
+};
+
+module.exports = {
+  createOpenAICompatibleProvider
+};
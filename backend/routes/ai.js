@@ -1,39 +1,461 @@
 // routes/ai.js
 const express = require('express');
-const axios = require('axios');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const enforceQuota = require('../middleware/quota');
+const generations = require('../services/generations');
+const { buildContext } = require('../services/context');
+const { countTokens } = require('../services/tokens');
+const { calculateCost, recordUsage } = require('../services/usage');
+const { generateWithFallback } = require('../services/fallback');
+const { refreshSummary } = require('../services/summaries');
+const { autoTitle, needsTitle } = require('../services/titles');
+const { DEFAULT_PARAMS, resolveParams } = require('../services/generationParams');
+const { attachmentRefs, attachmentValidators, loadAttachments } = require('../services/attachments');
+const { citationOf, retrieveForChat } = require('../services/knowledge');
+const { memoriesForChat } = require('../services/memories');
+const { enabledTools, toolDefinitions, runToolCall, tools: allTools } = require('../tools');
+const {
+  getModel,
+  isKnownModel,
+  listModels,
+  validateModel,
+  refreshModels,
+  setModelEnabled
+} = require('../services/modelRegistry');
 
 const router = express.Router();
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
-
-// Available models configuration
-const AVAILABLE_MODELS = {
-  'openai/gpt-3.5-turbo': { name: 'GPT-3.5 Turbo', provider: 'OpenAI' },
-  'openai/gpt-4': { name: 'GPT-4', provider: 'OpenAI' },
-  'anthropic/claude-3-haiku': { name: 'Claude 3 Haiku', provider: 'Anthropic' },
-  'anthropic/claude-3-sonnet': { name: 'Claude 3 Sonnet', provider: 'Anthropic' },
-  'meta-llama/llama-3.1-8b-instruct': { name: 'Llama 3.1 8B', provider: 'Meta' },
-  'mistralai/mistral-7b-instruct': { name: 'Mistral 7B', provider: 'Mistral AI' },
-  'google/gemma-7b-it': { name: 'Gemma 7B', provider: 'Google' }
+// Model calls per reply that may call tools; the one after that has to answer
+const MAX_TOOL_STEPS = parseInt(process.env.MAX_TOOL_STEPS) || 5;
+
+// Resolve the generation parameters for a request and fit the chat's
+// history (its active branch unless `history` is given), attached files
+// included, into the model's context window, leaving room for the reply.
+// Images are only read for models that can see them. Passages of the chat's
+// knowledge bases matching the latest message go in too; `citations` are the
+// ones that fit, to be saved with the reply. With `tools`, models that can
+// call tools are offered the ones the user has enabled.
+const prepareGeneration = async (chat, userId, modelId, { history, requestParams, tools = false } = {}) => {
+  const modelConfig = getModel(modelId);
+  const path = history || chat.getActivePath();
+  const [user, attachments, retrieved, memories] = await Promise.all([
+    User.findById(userId).select('defaultParams disabledTools'),
+    loadAttachments(path, { images: Boolean(modelConfig?.vision) }),
+    retrieveForChat(chat, path),
+    memoriesForChat(chat, userId, path)
+  ]);
+
+  const params = resolveParams({
+    chatParams: chat.params,
+    userParams: user?.defaultParams,
+    requestParams,
+    model: modelConfig
+  });
+  // A chat with memory turned off doesn't propose memories either
+  const allowedTools = tools && modelConfig?.tools
+    ? enabledTools(user?.disabledTools).filter(tool => tool.name !== 'remember' || chat.useMemory !== false)
+    : [];
+  const definitions = toolDefinitions(allowedTools);
+  // The tool descriptions are sent with the prompt too
+  const toolTokens = definitions.length > 0 ? countTokens(JSON.stringify(definitions), modelConfig) : 0;
+
+  const { messages, report, sources } = buildContext(chat, {
+    model: modelConfig,
+    reserveTokens: params.maxTokens + toolTokens,
+    history,
+    attachments,
+    sources: retrieved,
+    memories
+  });
+
+  return {
+    params,
+    messages,
+    report,
+    citations: sources.map(citationOf),
+    tools: definitions,
+    allowedTools
+  };
+};
+
+// The sources field of a reply generated from `prepared`
+const citationsOf = (prepared) => (
+  prepared?.citations?.length > 0 ? { sources: prepared.citations } : {}
+);
+
+// Token counts and cost of a reply. The provider's usage block is
+// authoritative; a stopped stream or a provider that reports none falls back
+// to our own count of the reply and the context estimate for the prompt.
+const replyUsage = (usage, content, modelId, contextReport) => {
+  const completionTokens = usage?.completionTokens ?? countTokens(content, getModel(modelId));
+  const promptTokens = usage?.promptTokens ?? contextReport.promptTokens;
+
+  return {
+    tokens: completionTokens,
+    promptTokens,
+    completionTokens,
+    cost: calculateCost({ promptTokens, completionTokens }, modelId)
+  };
+};
+
+// Add a saved reply to the user's spending totals
+const trackUsage = (userId, message) => {
+  recordUsage({
+    userId,
+    model: message.model,
+    promptTokens: message.promptTokens,
+    completionTokens: message.completionTokens,
+    cost: message.cost
+  }).catch(error => console.error('Usage tracking error:', error));
+};
+
+// The model answered `generation` with tool calls: save that reply after
+// `parentId`, run the calls and save each result after it. Resolves to the
+// saved messages, the reply first; the answer goes after the last of them.
+const saveToolStep = async ({ req, chat, generation, result, content, selectedModel, parentId, signal, startedAt }) => {
+  const answeredModel = generation.modelId;
+  const callMessage = chat.appendMessage({
+    role: 'assistant',
+    content,
+    toolCalls: result.toolCalls,
+    timestamp: new Date(),
+    model: answeredModel,
+    ...(answeredModel !== selectedModel && { requestedModel: selectedModel }),
+    ...replyUsage(result.usage, content, answeredModel, generation.report),
+    latencyMs: Date.now() - startedAt,
+    parentId
+  });
+
+  // One at a time, in the order the model asked for them
+  const saved = [callMessage];
+  for (const call of result.toolCalls) {
+    const { content: output, isError } = await runToolCall(call, generation.allowedTools, {
+      userId: req.user.userId,
+      chatId: chat._id,
+      signal
+    });
+    saved.push(chat.appendMessage({
+      role: 'tool',
+      content: output,
+      toolCallId: call.id,
+      toolName: call.name,
+      ...(isError && { toolError: true }),
+      timestamp: new Date(),
+      tokens: countTokens(output, getModel(answeredModel)),
+      parentId: saved[saved.length - 1]._id
+    }));
+  }
+
+  chat.calculateTotalTokens();
+  chat.calculateTotalCost();
+  await chat.save();
+  trackUsage(req.user.userId, callMessage);
+
+  saved.forEach(message => {
+    req.io.to(chat._id.toString()).emit('new-message', { chatId: chat._id, message });
+  });
+  return saved;
+};
+
+// Set up SSE headers. no-transform keeps compression middleware (e.g. the
+// CRA dev proxy) from buffering the stream
+const openEventStream = (res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control'
+  });
+};
+
+// Error details kept on a failed reply; the provider's own message is shown
+// to the user so they can tell a rate limit from an outage
+const failureDetails = (apiError) => ({
+  code: apiError.code || 'unknown_error',
+  message: apiError.message || 'Unknown error',
+  provider: apiError.provider,
+  status: apiError.status
+});
+
+// Generate the assistant's reply to the user message `parentId` over an
+// already opened event stream, and save it - complete, stopped part-way, or
+// failed - as that message's selected reply. When the model calls tools, the
+// call and its results are saved and sent as they happen, and the reply
+// follows them.
+const streamReply = async ({ req, res, chat, selectedModel, parentId, requestParams }) => {
+  const room = chat._id.toString();
+  const controller = generations.begin(chat._id);
+  const startedAt = Date.now();
+  let fullResponse = '';
+  let finished = false;
+  // Model currently being tried, with its context and parameters
+  let generation = null;
+  // Last message before the reply: the user's, or the latest tool result
+  let replyParentId = parentId;
+
+  const send = (payload) => {
+    if (!res.destroyed) {
+      res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    }
+  };
+
+  // Persist whatever was produced - the whole answer, the partial text when
+  // the generation was stopped, or the error when it failed - and close the
+  // event stream
+  const finish = async ({ stopped = false, usage = null, error = null } = {}) => {
+    if (finished) return;
+    finished = true;
+    generations.end(chat._id, controller);
+
+    if (stopped && !fullResponse) {
+      send({ done: true, stopped: true, fullMessage: null });
+      res.end();
+      return;
+    }
+
+    const answeredModel = generation?.modelId || selectedModel;
+    const assistantMessage = {
+      role: 'assistant',
+      content: fullResponse,
+      timestamp: new Date(),
+      model: answeredModel,
+      ...(answeredModel !== selectedModel && { requestedModel: selectedModel }),
+      ...(error
+        ? { status: 'error', error: failureDetails(error) }
+        : { ...replyUsage(usage, fullResponse, answeredModel, generation.report), ...citationsOf(generation) }),
+      stopped,
+      latencyMs: Date.now() - startedAt
+    };
+
+    try {
+      const savedAssistantMessage = chat.appendMessage({ ...assistantMessage, parentId: replyParentId });
+      chat.calculateTotalTokens();
+      chat.calculateTotalCost();
+      await chat.save();
+
+      req.io.to(room).emit('new-message', {
+        chatId: chat._id,
+        message: savedAssistantMessage
+      });
+
+      send({ done: true, stopped, fullMessage: savedAssistantMessage });
+
+      if (!error) {
+        trackUsage(req.user.userId, savedAssistantMessage);
+        refreshSummary({
+          chatId: chat._id,
+          modelId: answeredModel,
+          reserveTokens: generation.params.maxTokens,
+          io: req.io
+        });
+        if (needsTitle(chat)) {
+          autoTitle({ chatId: chat._id, io: req.io });
+        }
+      }
+    } catch (saveError) {
+      console.error('Stream save error:', saveError);
+      send({ error: 'Failed to save response' });
+    }
+    res.end();
+  };
+
+  // Stop button (POST /stop) or the browser going away
+  controller.signal.addEventListener('abort', () => finish({ stopped: true }));
+  res.on('close', () => {
+    if (!finished) controller.abort();
+  });
+
+  try {
+    for (let step = 1; ; step++) {
+      const stepStartedAt = Date.now();
+      let tried = false;
+      const { result } = await generateWithFallback({
+        modelId: selectedModel,
+        prepare: (modelId) => prepareGeneration(chat, req.user.userId, modelId, {
+          history: chat.getPathTo(replyParentId),
+          requestParams,
+          tools: step <= MAX_TOOL_STEPS
+        }),
+        stream: true,
+        signal: controller.signal,
+        onModel: (modelId, prepared) => {
+          if (tried) {
+            send({ fallback: { from: generation.modelId, to: modelId } });
+          }
+          tried = true;
+          generation = { modelId, ...prepared };
+          // Tell the client which messages the model will actually see
+          send({ context: prepared.report, model: modelId });
+        },
+        onToken: (content) => {
+          fullResponse += content;
+          send({ content, partial: true });
+        }
+      });
+
+      if (!(result.toolCalls?.length > 0)) {
+        await finish({ usage: result.usage });
+        return;
+      }
+
+      const content = fullResponse;
+      fullResponse = '';
+      const [callMessage, ...toolMessages] = await saveToolStep({
+        req,
+        chat,
+        generation,
+        result,
+        content,
+        selectedModel,
+        parentId: replyParentId,
+        signal: controller.signal,
+        startedAt: stepStartedAt
+      });
+      if (controller.signal.aborted) return;
+
+      send({ toolCalls: callMessage, toolResults: toolMessages });
+      replyParentId = toolMessages[toolMessages.length - 1]._id;
+    }
+  } catch (apiError) {
+    // Stopped generations are saved by the abort listener
+    if (controller.signal.aborted) return;
+
+    console.error(`AI provider streaming error (${apiError.provider || 'unknown'}):`, apiError.message);
+    await finish({ error: apiError });
+  }
 };
 
 // Get available models
 router.get('/models', auth, (req, res) => {
+  // Serve the cached catalog; a stale discovery refreshes in the background
+  refreshModels();
+
+  res.json({
+    success: true,
+    models: listModels(),
+    defaultParams: DEFAULT_PARAMS
+  });
+});
+
+// Tools models can call, and whether the user has them switched on
+// (PUT /api/auth/preferences with `disabledTools` switches them off)
+router.get('/tools', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('disabledTools');
+    const disabled = user?.disabledTools || [];
+
+    res.json({
+      success: true,
+      tools: allTools.map(({ name, title, description, parameters }) => ({
+        name,
+        title,
+        description,
+        parameters,
+        enabled: !disabled.includes(name)
+      }))
+    });
+  } catch (error) {
+    console.error('Get tools error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Every known model, including disabled and discovered ones (admin only)
+router.get('/models/all', auth, admin, (req, res) => {
   res.json({
     success: true,
-    models: AVAILABLE_MODELS
+    models: listModels({ includeDisabled: true })
   });
 });
 
+// Re-read the providers' model listings now (admin only)
+router.post('/models/refresh', auth, admin, async (req, res) => {
+  try {
+    await refreshModels({ force: true });
+
+    res.json({
+      success: true,
+      models: listModels({ includeDisabled: true })
+    });
+  } catch (error) {
+    console.error('Refresh models error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Offer a model to users or stop offering it (admin only). Ids contain a
+// slash, so clients send them URL-encoded.
+router.put('/models/:modelId', auth, admin, [
+  param('modelId').custom(modelId => {
+    if (!isKnownModel(modelId)) throw new Error('Unknown model');
+    return true;
+  }),
+  body('enabled').isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { modelId } = req.params;
+    await setModelEnabled(modelId, req.body.enabled, req.user.userId);
+
+    res.json({
+      success: true,
+      model: { id: modelId, ...listModels({ includeDisabled: true })[modelId] }
+    });
+  } catch (error) {
+    console.error('Update model error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Preview which messages would be sent as context with the next message
+router.get('/context/:chatId', auth, [
+  param('chatId').isMongoId(),
+  query('model').optional().custom(validateModel)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chat = await Chat.findOne({
+      _id: req.params.chatId,
+      user: req.user.userId,
+      isActive: true
+    });
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    const selectedModel = req.query.model || chat.model;
+    const { report } = await prepareGeneration(chat, req.user.userId, selectedModel);
+
+    res.json({
+      success: true,
+      context: report
+    });
+  } catch (error) {
+    console.error('Context preview error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Send message to AI
-router.post('/chat', auth, [
+router.post('/chat', auth, enforceQuota, [
   body('chatId').isMongoId(),
   body('message').isLength({ min: 1 }).trim(),
-  body('model').optional().isIn(Object.keys(AVAILABLE_MODELS))
+  body('model').optional().custom(validateModel),
+  ...attachmentValidators()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -54,104 +476,157 @@ router.post('/chat', auth, [
       return res.status(404).json({ message: 'Chat not found' });
     }
 
+    const attachments = await attachmentRefs(req.user.userId, req.body.attachments);
+    if (!attachments) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const selectedModel = model || chat.model;
+
     // Add user message to chat
     const userMessage = {
       role: 'user',
       content: message,
+      ...(attachments.length > 0 && { attachments }),
       timestamp: new Date(),
-      tokens: Math.ceil(message.length / 4) // Rough token estimation
+      tokens: countTokens(message, getModel(selectedModel))
     };
 
-    chat.messages.push(userMessage);
+    const savedUserMessage = chat.appendMessage(userMessage);
     await chat.save();
 
     // Emit user message in real-time
     req.io.to(chatId).emit('new-message', {
       chatId: chat._id,
-      message: userMessage
+      message: savedUserMessage
     });
 
-    // Prepare messages for OpenRouter API
-    const apiMessages = chat.messages
-      .filter(msg => msg.role !== 'system')
-      .slice(-20) // Keep last 20 messages for context
-      .map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+    const controller = generations.begin(chat._id);
 
-    const selectedModel = model || chat.model;
+    // Abort the upstream call if the client disconnects before we answer
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    // Last message before the reply: the user's, or the latest tool result
+    let replyParentId = savedUserMessage._id;
 
     try {
-      // Call OpenRouter API
-      const response = await axios.post(OPENROUTER_URL, {
-        model: selectedModel,
-        messages: apiMessages,
-        temperature: 0.7,
-        max_tokens: 1000,
-        stream: false
-      }, {
-        headers: {
-          'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'http://localhost:3000',
-          'X-Title': 'Claude Clone'
-        }
-      });
+      const startedAt = Date.now();
+      // Context and parameters of the model currently being tried
+      let generation;
+      let result;
+      // Tool calls and results saved on the way to the answer
+      const toolSteps = [];
+      for (let step = 1; ; step++) {
+        const stepStartedAt = Date.now();
+        ({ result } = await generateWithFallback({
+          modelId: selectedModel,
+          prepare: (modelId) => prepareGeneration(chat, req.user.userId, modelId, {
+            history: chat.getPathTo(replyParentId),
+            tools: step <= MAX_TOOL_STEPS
+          }),
+          signal: controller.signal,
+          onModel: (modelId, prepared) => {
+            generation = { modelId, ...prepared };
+          }
+        }));
+        if (!(result.toolCalls?.length > 0)) break;
 
-      const aiResponse = response.data.choices[0].message.content;
-      const tokensUsed = response.data.usage?.total_tokens || 0;
+        const saved = await saveToolStep({
+          req,
+          chat,
+          generation,
+          result,
+          content: result.content,
+          selectedModel,
+          parentId: replyParentId,
+          signal: controller.signal,
+          startedAt: stepStartedAt
+        });
+        toolSteps.push(...saved);
+        replyParentId = saved[saved.length - 1]._id;
+      }
+      const { modelId: answeredModel, params, report: contextReport } = generation;
 
       // Add AI response to chat
       const assistantMessage = {
         role: 'assistant',
-        content: aiResponse,
+        content: result.content,
         timestamp: new Date(),
-        model: selectedModel,
-        tokens: tokensUsed
+        model: answeredModel,
+        ...(answeredModel !== selectedModel && { requestedModel: selectedModel }),
+        ...replyUsage(result.usage, result.content, answeredModel, contextReport),
+        ...citationsOf(generation),
+        latencyMs: Date.now() - startedAt
       };
 
-      chat.messages.push(assistantMessage);
+      const savedAssistantMessage = chat.appendMessage({ ...assistantMessage, parentId: replyParentId });
       chat.calculateTotalTokens();
+      chat.calculateTotalCost();
       await chat.save();
+      trackUsage(req.user.userId, savedAssistantMessage);
 
       // Emit AI response in real-time
       req.io.to(chatId).emit('new-message', {
         chatId: chat._id,
-        message: assistantMessage
+        message: savedAssistantMessage
       });
 
       res.json({
         success: true,
-        message: assistantMessage,
-        usage: response.data.usage
+        message: savedAssistantMessage,
+        ...(toolSteps.length > 0 && { toolSteps }),
+        usage: result.usage,
+        context: contextReport
       });
 
+      refreshSummary({
+        chatId: chat._id,
+        modelId: answeredModel,
+        reserveTokens: params.maxTokens,
+        io: req.io
+      });
+      if (needsTitle(chat)) {
+        autoTitle({ chatId: chat._id, io: req.io });
+      }
+
     } catch (apiError) {
-      console.error('OpenRouter API error:', apiError.response?.data || apiError.message);
-      
-      // Add error message to chat
-      const errorMessage = {
+      // A blocking completion has no partial text to keep once cancelled
+      if (controller.signal.aborted) {
+        if (!res.destroyed) {
+          res.json({ success: false, stopped: true, message: 'Generation stopped' });
+        }
+        return;
+      }
+
+      console.error(`AI provider error (${apiError.provider || 'unknown'}):`, apiError.message);
+
+      // Record the failure as such; it stays out of the model's context
+      const failedMessage = chat.appendMessage({
         role: 'assistant',
-        content: 'Sorry, I encountered an error while processing your request. Please try again.',
+        content: '',
         timestamp: new Date(),
         model: selectedModel,
-        tokens: 0
-      };
-
-      chat.messages.push(errorMessage);
+        status: 'error',
+        error: failureDetails(apiError),
+        parentId: replyParentId
+      });
       await chat.save();
 
       req.io.to(chatId).emit('new-message', {
         chatId: chat._id,
-        message: errorMessage
+        message: failedMessage
       });
 
       res.status(500).json({
         success: false,
         message: 'AI service temporarily unavailable',
-        error: apiError.response?.data?.error?.message || 'Unknown error'
+        error: apiError.message || 'Unknown error',
+        failedMessage
       });
+    } finally {
+      generations.end(chat._id, controller);
     }
 
   } catch (error) {
@@ -161,10 +636,11 @@ router.post('/chat', auth, [
 });
 
 // Stream chat response (for real-time streaming)
-router.post('/stream', auth, [
+router.post('/stream', auth, enforceQuota, [
   body('chatId').isMongoId(),
   body('message').isLength({ min: 1 }).trim(),
-  body('model').optional().isIn(Object.keys(AVAILABLE_MODELS))
+  body('model').optional().custom(validateModel),
+  ...attachmentValidators()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -174,14 +650,7 @@ router.post('/stream', auth, [
 
     const { chatId, message, model } = req.body;
 
-    // Set up SSE headers
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
-    });
+    openEventStream(res);
 
     const chat = await Chat.findOne({
       _id: chatId,
@@ -195,105 +664,444 @@ router.post('/stream', auth, [
       return;
     }
 
+    const attachments = await attachmentRefs(req.user.userId, req.body.attachments);
+    if (!attachments) {
+      res.write(`data: ${JSON.stringify({ error: 'Attachment not found' })}\n\n`);
+      res.end();
+      return;
+    }
+
+    const selectedModel = model || chat.model;
+
     // Add user message
     const userMessage = {
       role: 'user',
       content: message,
+      ...(attachments.length > 0 && { attachments }),
       timestamp: new Date(),
-      tokens: Math.ceil(message.length / 4)
+      tokens: countTokens(message, getModel(selectedModel))
     };
 
-    chat.messages.push(userMessage);
+    const savedUserMessage = chat.appendMessage(userMessage);
+    await chat.save();
+
+    // Let the sender swap its optimistic copy, and other tabs catch up
+    res.write(`data: ${JSON.stringify({ userMessage: savedUserMessage })}\n\n`);
+    req.io.to(chatId).emit('new-message', {
+      chatId: chat._id,
+      message: savedUserMessage
+    });
+
+    await streamReply({ req, res, chat, selectedModel, parentId: savedUserMessage._id });
+  } catch (error) {
+    console.error('Stream chat error:', error);
+    res.write(`data: ${JSON.stringify({ error: 'Server error' })}\n\n`);
+    res.end();
+  }
+});
+
+// One column of a comparison: stream `modelId`'s answer to the prompt,
+// without fallbacks, and resolve to what it produced (never rejects). The
+// column's timings go out as soon as it is done.
+const runComparisonColumn = async ({ chat, userId, modelId, history, signal, send }) => {
+  const startedAt = Date.now();
+  let content = '';
+  let prepared = null;
+  let firstTokenMs = null;
+
+  const timings = () => {
+    const latencyMs = Date.now() - startedAt;
+    send({ column: modelId, finished: true, firstTokenMs, latencyMs });
+    return { firstTokenMs, latencyMs };
+  };
+
+  try {
+    const { result } = await generateWithFallback({
+      modelId,
+      fallbacks: false,
+      prepare: async (candidate) => {
+        prepared = await prepareGeneration(chat, userId, candidate, { history });
+        return prepared;
+      },
+      stream: true,
+      signal,
+      onModel: () => send({ column: modelId, context: prepared.report }),
+      onToken: (token) => {
+        firstTokenMs = firstTokenMs ?? Date.now() - startedAt;
+        content += token;
+        send({ column: modelId, content: token, partial: true });
+      }
+    });
+
+    return { modelId, content, usage: result.usage, prepared, ...timings() };
+  } catch (error) {
+    const stopped = signal.aborted;
+    if (!stopped) {
+      console.error(`AI provider comparison error (${modelId}):`, error.message);
+      send({ column: modelId, failed: failureDetails(error) });
+    }
+    return { modelId, content, prepared, stopped, error: stopped ? null : error, ...timings() };
+  }
+};
+
+// Send one prompt to 2-4 models at once. Answers stream in parallel, each
+// event tagged with its `column` (the model id), and are saved together as
+// variants of the prompt. The first model's answer is selected until the
+// user picks a winner through PUT /api/chat/:chatId/messages/:messageId/select.
+router.post('/compare', auth, enforceQuota, [
+  body('chatId').isMongoId(),
+  body('message').isLength({ min: 1 }).trim(),
+  body('models').isArray({ min: 2, max: 4 }).withMessage('Choose 2 to 4 models'),
+  body('models.*').custom(validateModel),
+  ...attachmentValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, message, models } = req.body;
+
+    if (new Set(models).size !== models.length) {
+      return res.status(400).json({ message: 'Each model can only be compared once' });
+    }
+
+    const chat = await Chat.findOne({
+      _id: chatId,
+      user: req.user.userId,
+      isActive: true
+    });
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    const attachments = await attachmentRefs(req.user.userId, req.body.attachments);
+    if (!attachments) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const savedUserMessage = chat.appendMessage({
+      role: 'user',
+      content: message,
+      ...(attachments.length > 0 && { attachments }),
+      timestamp: new Date(),
+      tokens: countTokens(message, getModel(models[0]))
+    });
     await chat.save();
 
-    // Prepare messages for API
-    const apiMessages = chat.messages
-      .filter(msg => msg.role !== 'system')
-      .slice(-20)
-      .map(msg => ({
-        role: msg.role,
-        content: msg.content
+    openEventStream(res);
+    const send = (payload) => {
+      if (!res.destroyed) {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      }
+    };
+
+    send({ userMessage: savedUserMessage });
+    req.io.to(chatId).emit('new-message', {
+      chatId: chat._id,
+      message: savedUserMessage
+    });
+
+    // One controller for every column, so Stop ends the whole comparison
+    const controller = generations.begin(chat._id);
+    let finished = false;
+    res.on('close', () => {
+      if (!finished) controller.abort();
+    });
+
+    const history = chat.getPathTo(savedUserMessage._id);
+    const results = await Promise.all(models.map(modelId => runComparisonColumn({
+      chat,
+      userId: req.user.userId,
+      modelId,
+      history,
+      signal: controller.signal,
+      send
+    })));
+    finished = true;
+    generations.end(chat._id, controller);
+
+    // Saved in one go once every column is done; the columns share a document
+    const saved = results
+      .filter(result => result.content || result.error)
+      .map(result => chat.appendMessage({
+        role: 'assistant',
+        content: result.content,
+        timestamp: new Date(),
+        model: result.modelId,
+        ...(result.error
+          ? { status: 'error', error: failureDetails(result.error) }
+          : {
+            ...replyUsage(result.usage, result.content, result.modelId, result.prepared.report),
+            ...citationsOf(result.prepared)
+          }),
+        stopped: Boolean(result.stopped),
+        latencyMs: result.latencyMs,
+        parentId: savedUserMessage._id
       }));
 
-    const selectedModel = model || chat.model;
+    const selected = saved.find(msg => msg.status !== 'error') || saved[0];
+    if (selected) chat.selectMessage(selected._id);
 
-    try {
-      // Call OpenRouter with streaming
-      const response = await axios.post(OPENROUTER_URL, {
-        model: selectedModel,
-        messages: apiMessages,
-        temperature: 0.7,
-        max_tokens: 1000,
-        stream: true
-      }, {
-        headers: {
-          'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'http://localhost:3000',
-          'X-Title': 'Claude Clone'
-        },
-        responseType: 'stream'
-      });
+    chat.calculateTotalTokens();
+    chat.calculateTotalCost();
+    await chat.save();
 
-      let fullResponse = '';
-      
-      response.data.on('data', (chunk) => {
-        const lines = chunk.toString().split('\n');
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') {
-              // Save complete response to chat
-              const assistantMessage = {
-                role: 'assistant',
-                content: fullResponse,
-                timestamp: new Date(),
-                model: selectedModel,
-                tokens: Math.ceil(fullResponse.length / 4)
-              };
-
-              chat.messages.push(assistantMessage);
-              chat.calculateTotalTokens();
-              chat.save();
-
-              res.write(`data: ${JSON.stringify({ done: true, fullMessage: assistantMessage })}\n\n`);
-              res.end();
-              return;
-            }
-
-            try {
-              const parsed = JSON.parse(data);
-              const content = parsed.choices?.[0]?.delta?.content || '';
-              
-              if (content) {
-                fullResponse += content;
-                res.write(`data: ${JSON.stringify({ content, partial: true })}\n\n`);
-              }
-            } catch (parseError) {
-              // Skip malformed JSON
-            }
-          }
-        }
+    saved.forEach(msg => {
+      req.io.to(chatId).emit('new-message', {
+        chatId: chat._id,
+        message: msg
       });
+      if (msg.status !== 'error') trackUsage(req.user.userId, msg);
+    });
 
-      response.data.on('error', (error) => {
-        console.error('Stream error:', error);
-        res.write(`data: ${JSON.stringify({ error: 'Streaming error' })}\n\n`);
-        res.end();
+    send({
+      done: true,
+      messages: saved,
+      selectedId: selected?._id || null
+    });
+    res.end();
+
+    if (selected && selected.status !== 'error') {
+      refreshSummary({
+        chatId: chat._id,
+        modelId: selected.model,
+        reserveTokens: results.find(result => result.modelId === selected.model).prepared.params.maxTokens,
+        io: req.io
       });
+      if (needsTitle(chat)) {
+        autoTitle({ chatId: chat._id, io: req.io });
+      }
+    }
 
-    } catch (apiError) {
-      console.error('OpenRouter streaming error:', apiError.response?.data || apiError.message);
-      res.write(`data: ${JSON.stringify({ error: 'AI service error' })}\n\n`);
-      res.end();
+  } catch (error) {
+    console.error('Compare error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: 'Server error' });
+    }
+    res.write(`data: ${JSON.stringify({ error: 'Server error' })}\n\n`);
+    res.end();
+  }
+});
+
+// Re-run a turn whose reply failed: the failed reply is replaced by a new
+// one, streamed like POST /stream
+router.post('/retry', auth, enforceQuota, [
+  body('chatId').isMongoId(),
+  body('messageId').isMongoId(),
+  body('model').optional().custom(validateModel)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, messageId, model } = req.body;
+
+    const chat = await Chat.findOne({
+      _id: chatId,
+      user: req.user.userId,
+      isActive: true
+    });
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    const failedMessage = chat.messages.id(messageId);
+    if (!failedMessage || failedMessage.status !== 'error') {
+      return res.status(400).json({ message: 'Only failed replies can be retried' });
     }
+    if (chat.getActivePath().pop()._id.toString() !== messageId) {
+      return res.status(400).json({ message: 'Only the latest reply can be retried' });
+    }
+
+    const selectedModel = model || failedMessage.requestedModel || failedMessage.model || chat.model;
+    const parentId = chat.parentOf(messageId);
+
+    chat.messages.pull(messageId);
+    await chat.save();
+
+    openEventStream(res);
+    res.write(`data: ${JSON.stringify({ removedMessageId: messageId })}\n\n`);
+    req.io.to(chatId).emit('message-removed', {
+      chatId: chat._id,
+      messageId
+    });
+
+    await streamReply({ req, res, chat, selectedModel, parentId });
 
   } catch (error) {
-    console.error('Stream chat error:', error);
+    console.error('Retry error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: 'Server error' });
+    }
     res.write(`data: ${JSON.stringify({ error: 'Server error' })}\n\n`);
     res.end();
   }
 });
 
+// Generate another reply to a user message. Earlier replies are kept as
+// variants of the turn; the new one becomes the selected variant, and so the
+// one later messages build on. Streamed like POST /stream.
+router.post('/regenerate', auth, enforceQuota, [
+  body('chatId').isMongoId(),
+  body('messageId').isMongoId(),
+  body('model').optional().custom(validateModel),
+  body('temperature').optional().isFloat({ min: 0, max: 2 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, messageId, model, temperature } = req.body;
+
+    const chat = await Chat.findOne({
+      _id: chatId,
+      user: req.user.userId,
+      isActive: true
+    });
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    const userMessage = chat.messages.id(messageId);
+    if (!userMessage || userMessage.role !== 'user') {
+      return res.status(400).json({ message: 'Replies can only be regenerated for user messages' });
+    }
+
+    const selectedModel = model || chat.model;
+
+    openEventStream(res);
+
+    await streamReply({
+      req,
+      res,
+      chat,
+      selectedModel,
+      parentId: userMessage._id,
+      requestParams: { temperature }
+    });
+
+  } catch (error) {
+    console.error('Regenerate error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: 'Server error' });
+    }
+    res.write(`data: ${JSON.stringify({ error: 'Server error' })}\n\n`);
+    res.end();
+  }
+});
+
+// Edit an earlier user message. The edited text is saved as a new branch from
+// the same point, which becomes the active one and gets a fresh reply; the
+// original message and everything after it stay available as the other
+// branch. Streamed like POST /stream.
+router.post('/edit', auth, enforceQuota, [
+  body('chatId').isMongoId(),
+  body('messageId').isMongoId(),
+  body('message').isLength({ min: 1 }).trim(),
+  body('model').optional().custom(validateModel),
+  ...attachmentValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, messageId, message, model } = req.body;
+
+    const chat = await Chat.findOne({
+      _id: chatId,
+      user: req.user.userId,
+      isActive: true
+    });
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    const original = chat.messages.id(messageId);
+    if (!original || original.role !== 'user') {
+      return res.status(400).json({ message: 'Only user messages can be edited' });
+    }
+
+    // The edit keeps the original's files unless it says which to send
+    const attachments = req.body.attachments
+      ? await attachmentRefs(req.user.userId, req.body.attachments)
+      : (original.attachments || []);
+    if (!attachments) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const selectedModel = model || chat.model;
+
+    const savedUserMessage = chat.appendMessage({
+      role: 'user',
+      content: message,
+      ...(attachments.length > 0 && { attachments }),
+      timestamp: new Date(),
+      tokens: countTokens(message, getModel(selectedModel)),
+      parentId: chat.parentOf(messageId)
+    });
+    await chat.save();
+
+    openEventStream(res);
+    res.write(`data: ${JSON.stringify({ userMessage: savedUserMessage })}\n\n`);
+    req.io.to(chatId).emit('new-message', {
+      chatId: chat._id,
+      message: savedUserMessage
+    });
+
+    await streamReply({ req, res, chat, selectedModel, parentId: savedUserMessage._id });
+
+  } catch (error) {
+    console.error('Edit message error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: 'Server error' });
+    }
+    res.write(`data: ${JSON.stringify({ error: 'Server error' })}\n\n`);
+    res.end();
+  }
+});
+
+// Stop the generation currently running for a chat
+router.post('/stop', auth, [
+  body('chatId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chat = await Chat.findOne({
+      _id: req.body.chatId,
+      user: req.user.userId,
+      isActive: true
+    }).select('_id');
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    const stopped = generations.stop(chat._id);
+
+    res.json({
+      success: true,
+      stopped: stopped > 0
+    });
+  } catch (error) {
+    console.error('Stop generation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
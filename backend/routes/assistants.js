@@ -0,0 +1,186 @@
+// routes/assistants.js
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Assistant = require('../models/Assistant');
+const Chat = require('../models/Chat');
+const auth = require('../middleware/auth');
+const { visibleTo, serializeShared } = require('../utils/sharing');
+const { getModel, validateModel } = require('../services/modelRegistry');
+const { pickSet, checkModelLimits, paramsValidators } = require('../services/generationParams');
+
+const router = express.Router();
+
+const MAX_STARTERS = 4;
+
+const idValidator = param('id').isMongoId().withMessage('Invalid assistant id');
+
+const assistantValidators = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString().trim().isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+  body('description').optional().isString().isLength({ max: 300 }),
+  body('avatar').optional().isString().trim().isLength({ max: 16 }),
+  // An empty model means the user's preferred one
+  body('model').optional({ values: 'falsy' }).custom(validateModel),
+  body('systemPrompt').optional().isString().isLength({ max: 8000 }),
+  body('starterMessages').optional().isArray({ max: MAX_STARTERS }).withMessage(`At most ${MAX_STARTERS} starter messages`),
+  body('starterMessages.*').isString().trim().isLength({ min: 1, max: 500 })
+    .withMessage('Starter messages must be between 1 and 500 characters'),
+  body('shared').optional().isBoolean().withMessage('Shared must be true or false'),
+  ...paramsValidators('params')
+];
+
+const FIELDS = ['name', 'description', 'avatar', 'model', 'systemPrompt', 'starterMessages', 'shared', 'params'];
+
+// Copy the fields sent in the request onto the assistant
+const applyFields = (assistant, fields) => {
+  FIELDS.forEach(field => {
+    if (fields[field] === undefined) return;
+    if (field === 'params') assistant.params = pickSet(fields.params);
+    else if (field === 'model') assistant.model = fields.model || undefined;
+    else assistant[field] = fields[field];
+  });
+};
+
+const modelLimitProblems = (assistant) =>
+  assistant.model ? checkModelLimits(pickSet(assistant.params), getModel(assistant.model)) : [];
+
+// The user's own assistants and everyone's shared ones
+router.get('/', auth, async (req, res) => {
+  try {
+    const assistants = await Assistant.find(visibleTo(req.user.userId))
+      .sort({ updatedAt: -1 })
+      .populate('user', 'username');
+
+    res.json({
+      success: true,
+      assistants: assistants.map(assistant => serializeShared(assistant, req.user.userId))
+    });
+  } catch (error) {
+    console.error('Get assistants error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create an assistant
+router.post('/', auth, assistantValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assistant = new Assistant({ user: req.user.userId });
+    applyFields(assistant, req.body);
+
+    const problems = modelLimitProblems(assistant);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: problems.join('; ') });
+    }
+
+    await assistant.save();
+    await assistant.populate('user', 'username');
+
+    res.status(201).json({
+      success: true,
+      assistant: serializeShared(assistant, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Create assistant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one of the user's assistants or a shared one
+router.get('/:id', auth, [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assistant = await Assistant.findOne({
+      _id: req.params.id,
+      ...visibleTo(req.user.userId)
+    }).populate('user', 'username');
+
+    if (!assistant) {
+      return res.status(404).json({ message: 'Assistant not found' });
+    }
+
+    res.json({
+      success: true,
+      assistant: serializeShared(assistant, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Get assistant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change one of the user's assistants. Chats already started from it keep
+// the settings they were created with.
+router.put('/:id', auth, [idValidator, ...assistantValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (FIELDS.every(field => req.body[field] === undefined)) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const assistant = await Assistant.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!assistant) {
+      return res.status(404).json({ message: 'Assistant not found' });
+    }
+
+    applyFields(assistant, req.body);
+
+    const problems = modelLimitProblems(assistant);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: problems.join('; ') });
+    }
+
+    await assistant.save();
+    await assistant.populate('user', 'username');
+
+    res.json({
+      success: true,
+      assistant: serializeShared(assistant, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Update assistant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete one of the user's assistants. Chats started from it, including
+// other users' chats from a shared one, keep their settings but no longer
+// show its name.
+router.delete('/:id', auth, [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assistant = await Assistant.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!assistant) {
+      return res.status(404).json({ message: 'Assistant not found' });
+    }
+
+    await Chat.updateMany({ assistant: assistant._id }, { $unset: { assistant: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Assistant deleted'
+    });
+  } catch (error) {
+    console.error('Delete assistant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
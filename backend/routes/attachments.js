@@ -0,0 +1,150 @@
+// routes/attachments.js
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Attachment = require('../models/Attachment');
+const Chat = require('../models/Chat');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const auth = require('../middleware/auth');
+const receiveFile = require('../middleware/upload');
+const {
+  SUPPORTED_EXTENSIONS,
+  AttachmentError,
+  createAttachment,
+  readFile,
+  removeFile
+} = require('../services/attachments');
+
+const router = express.Router();
+
+// The extracted text can be long and where the file is stored is internal
+const withoutContent = (attachment) => {
+  const { text, storageKey, ...details } = attachment.toObject();
+  return details;
+};
+
+const idValidator = param('id').isMongoId().withMessage('Invalid attachment id');
+
+// Upload a file to attach to a message
+router.post('/', auth, receiveFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const { attachment } = await createAttachment(req.user.userId, req.file);
+
+    res.status(201).json({
+      success: true,
+      attachment: withoutContent(attachment)
+    });
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.status === 415 && { supported: SUPPORTED_EXTENSIONS })
+      });
+    }
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get an attachment's details
+router.get('/:id', auth, [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: req.params.id,
+      user: req.user.userId
+    }).select('-text -storageKey');
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    res.json({
+      success: true,
+      attachment
+    });
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download the uploaded file
+router.get('/:id/content', auth, [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: req.params.id,
+      user: req.user.userId
+    });
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const file = await readFile(attachment);
+    res.attachment(attachment.filename);
+    res.type(attachment.contentType);
+    res.send(file);
+  } catch (error) {
+    if (error.code === 'ENOENT' || /FileNotFound/.test(error.message)) {
+      return res.status(404).json({ message: 'The file is no longer stored' });
+    }
+    console.error('Download attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an attachment that hasn't been sent yet
+router.delete('/:id', auth, [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: req.params.id,
+      user: req.user.userId
+    });
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    // Sent attachments are part of the conversation the model saw
+    const inUse = await Chat.exists({ 'messages.attachments.attachment': attachment._id });
+    if (inUse) {
+      return res.status(409).json({ message: 'The attachment has been sent and cannot be deleted' });
+    }
+    // Documents are removed through their knowledge base (routes/knowledge.js)
+    const inKnowledgeBase = await KnowledgeBase.exists({ 'documents.attachment': attachment._id });
+    if (inKnowledgeBase) {
+      return res.status(409).json({ message: 'The file belongs to a knowledge base' });
+    }
+
+    await removeFile(attachment);
+    await attachment.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
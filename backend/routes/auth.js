@@ -4,6 +4,9 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { pickSet, paramsValidators } = require('../services/generationParams');
+const { validateModel } = require('../services/modelRegistry');
+const { getTool } = require('../tools');
 
 const router = express.Router();
 
@@ -130,6 +133,10 @@ router.get('/me', auth, async (req, res) => {
         username: user.username,
         email: user.email,
         preferredModel: user.preferredModel,
+        defaultSystemPrompt: user.defaultSystemPrompt,
+        defaultParams: user.defaultParams,
+        disabledTools: user.disabledTools,
+        role: user.role,
         lastLogin: user.lastLogin
       }
     });
@@ -141,15 +148,14 @@ router.get('/me', auth, async (req, res) => {
 
 // Update user preferences
 router.put('/preferences', auth, [
-  body('preferredModel').optional().isIn([
-    'openai/gpt-3.5-turbo',
-    'openai/gpt-4',
-    'anthropic/claude-3-haiku',
-    'anthropic/claude-3-sonnet',
-    'meta-llama/llama-3.1-8b-instruct',
-    'mistralai/mistral-7b-instruct',
-    'google/gemma-7b-it'
-  ])
+  body('preferredModel').optional().custom(validateModel),
+  body('defaultSystemPrompt').optional().isString().isLength({ max: 8000 }),
+  ...paramsValidators('defaultParams'),
+  body('disabledTools').optional().isArray(),
+  body('disabledTools.*').custom(name => {
+    if (!getTool(name)) throw new Error('Unknown tool');
+    return true;
+  })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -157,11 +163,16 @@ router.put('/preferences', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { preferredModel } = req.body;
+    const { preferredModel, defaultSystemPrompt, defaultParams, disabledTools } = req.body;
     
     const user = await User.findByIdAndUpdate(
       req.user.userId,
-      { preferredModel },
+      {
+        ...(preferredModel !== undefined && { preferredModel }),
+        ...(defaultSystemPrompt !== undefined && { defaultSystemPrompt }),
+        ...(defaultParams !== undefined && { defaultParams: pickSet(defaultParams) }),
+        ...(disabledTools !== undefined && { disabledTools: [...new Set(disabledTools)] })
+      },
       { new: true, select: '-password' }
     );
 
@@ -171,7 +182,11 @@ router.put('/preferences', auth, [
         id: user._id,
         username: user.username,
         email: user.email,
-        preferredModel: user.preferredModel
+        preferredModel: user.preferredModel,
+        defaultSystemPrompt: user.defaultSystemPrompt,
+        defaultParams: user.defaultParams,
+        disabledTools: user.disabledTools,
+        role: user.role
       }
     });
   } catch (error) {
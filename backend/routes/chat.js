@@ -1,12 +1,21 @@
 // routes/chat.js
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
 const User = require('../models/User');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const Assistant = require('../models/Assistant');
 const auth = require('../middleware/auth');
+const { visibleTo } = require('../utils/sharing');
+const { getModel, isModelEnabled, validateModel } = require('../services/modelRegistry');
+const { countTokens } = require('../services/tokens');
+const { pickSet, checkModelLimits, paramsValidators } = require('../services/generationParams');
 
 const router = express.Router();
 
+// What chat views show of a chat's assistant
+const ASSISTANT_FIELDS = 'name avatar description starterMessages';
+
 // Get all chats for user
 router.get('/', auth, async (req, res) => {
   try {
@@ -21,7 +30,8 @@ router.get('/', auth, async (req, res) => {
     .sort({ lastActivity: -1 })
     .skip(skip)
     .limit(limit)
-    .select('title model lastActivity createdAt totalTokens');
+    .select('title model assistant lastActivity createdAt totalTokens totalCost')
+    .populate('assistant', 'name avatar');
 
     const total = await Chat.countDocuments({ 
       user: req.user.userId,
@@ -51,7 +61,7 @@ router.get('/:chatId', auth, async (req, res) => {
       _id: req.params.chatId,
       user: req.user.userId,
       isActive: true
-    });
+    }).populate('assistant', ASSISTANT_FIELDS);
 
     if (!chat) {
       return res.status(404).json({ message: 'Chat not found' });
@@ -67,16 +77,14 @@ router.get('/:chatId', auth, async (req, res) => {
   }
 });
 
-// Create new chat
+// Create new chat, optionally from an assistant whose model, system prompt
+// and parameters it starts with. Values sent with the request win over both
+// the assistant's and the user's defaults.
 router.post('/', auth, [
   body('title').optional().isLength({ min: 1, max: 100 }).trim(),
-  body('model').optional().isIn([
-    'openai/gpt-3.5-turbo',
-    'anthropic/claude-3-haiku',
-    'anthropic/claude-3-sonnet',
-    'meta-llama/llama-3.1-8b-instruct',
-    'mistralai/mistral-7b-instruct'
-  ])
+  body('model').optional().custom(validateModel),
+  body('systemPrompt').optional().isString().isLength({ max: 8000 }),
+  body('assistant').optional().isMongoId().withMessage('Invalid assistant id')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -85,16 +93,34 @@ router.post('/', auth, [
     }
 
     const user = await User.findById(req.user.userId);
-    const { title, model } = req.body;
+    const { title, model, systemPrompt } = req.body;
+
+    let assistant = null;
+    if (req.body.assistant) {
+      assistant = await Assistant.findOne({
+        _id: req.body.assistant,
+        ...visibleTo(req.user.userId)
+      });
+      if (!assistant) {
+        return res.status(404).json({ message: 'Assistant not found' });
+      }
+    }
+
+    // An assistant's model may have been switched off since it was saved
+    const assistantModel = assistant?.model && isModelEnabled(assistant.model) ? assistant.model : undefined;
 
     const chat = new Chat({
       title: title || 'New Chat',
+      titleSetByUser: Boolean(title) && title !== 'New Chat',
       user: req.user.userId,
-      model: model || user.preferredModel,
+      model: model || assistantModel || user.preferredModel,
+      systemPrompt: systemPrompt ?? (assistant ? assistant.systemPrompt : user.defaultSystemPrompt),
+      ...(assistant && { assistant: assistant._id, params: pickSet(assistant.params) }),
       messages: []
     });
 
     await chat.save();
+    await chat.populate('assistant', ASSISTANT_FIELDS);
 
     // Add chat to user's chats array
     user.chats.push(chat._id);
@@ -106,6 +132,9 @@ router.post('/', auth, [
         _id: chat._id,
         title: chat.title,
         model: chat.model,
+        assistant: chat.assistant,
+        systemPrompt: chat.systemPrompt,
+        params: chat.params,
         messages: chat.messages,
         createdAt: chat.createdAt
       }
@@ -146,11 +175,12 @@ router.post('/:chatId/messages', auth, [
       content,
       timestamp: new Date(),
       ...(role === 'assistant' && { model }),
-      tokens: tokens || 0
+      tokens: tokens ?? countTokens(content, getModel(model || chat.model))
     };
 
-    chat.messages.push(message);
+    const savedMessage = chat.appendMessage(message);
     chat.calculateTotalTokens();
+    chat.calculateTotalCost();
     
     // Auto-generate title from first user message if title is "New Chat"
     if (chat.title === 'New Chat' && role === 'user' && chat.messages.length === 1) {
@@ -162,16 +192,17 @@ router.post('/:chatId/messages', auth, [
     // Emit real-time update
     req.io.to(req.params.chatId).emit('new-message', {
       chatId: chat._id,
-      message: message
+      message: savedMessage
     });
 
     res.status(201).json({
       success: true,
-      message,
+      message: savedMessage,
       chat: {
         _id: chat._id,
         title: chat.title,
-        totalTokens: chat.totalTokens
+        totalTokens: chat.totalTokens,
+        totalCost: chat.totalCost
       }
     });
   } catch (error) {
@@ -180,9 +211,15 @@ router.post('/:chatId/messages', auth, [
   }
 });
 
-// Update chat title
+// Update chat title and settings
 router.put('/:chatId', auth, [
-  body('title').isLength({ min: 1, max: 100 }).trim()
+  body('title').optional().isLength({ min: 1, max: 100 }).trim(),
+  body('systemPrompt').optional().isString().isLength({ max: 8000 }),
+  body('summary').optional().isString().isLength({ max: 20000 }),
+  body('knowledgeBases').optional().isArray({ max: 20 }),
+  body('knowledgeBases.*').isMongoId().withMessage('Invalid knowledge base id'),
+  body('useMemory').optional().isBoolean().withMessage('useMemory must be true or false'),
+  ...paramsValidators('params')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -190,22 +227,54 @@ router.put('/:chatId', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title } = req.body;
+    const { title, systemPrompt, summary, params, knowledgeBases, useMemory } = req.body;
 
-    const chat = await Chat.findOneAndUpdate(
-      {
-        _id: req.params.chatId,
-        user: req.user.userId,
-        isActive: true
-      },
-      { title },
-      { new: true }
-    ).select('title model lastActivity createdAt totalTokens');
+    if ([title, systemPrompt, summary, params, knowledgeBases, useMemory].every(value => value === undefined)) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const chat = await Chat.findOne({
+      _id: req.params.chatId,
+      user: req.user.userId,
+      isActive: true
+    }).select('title titleSetByUser model systemPrompt summary params knowledgeBases useMemory lastActivity createdAt totalTokens totalCost');
 
     if (!chat) {
       return res.status(404).json({ message: 'Chat not found' });
     }
 
+    if (knowledgeBases !== undefined) {
+      const ids = [...new Set(knowledgeBases)];
+      const owned = await KnowledgeBase.countDocuments({ _id: { $in: ids }, user: req.user.userId });
+      if (owned !== ids.length) {
+        return res.status(404).json({ message: 'Knowledge base not found' });
+      }
+      chat.knowledgeBases = ids;
+    }
+
+    if (params !== undefined) {
+      const chatParams = pickSet(params);
+      const problems = checkModelLimits(chatParams, getModel(chat.model));
+      if (problems.length > 0) {
+        return res.status(400).json({ message: problems.join('; ') });
+      }
+      chat.params = chatParams;
+    }
+    if (title !== undefined) {
+      chat.title = title;
+      chat.titleSetByUser = true;
+    }
+    if (systemPrompt !== undefined) chat.systemPrompt = systemPrompt;
+    if (useMemory !== undefined) chat.useMemory = useMemory;
+    if (summary !== undefined) {
+      // Keeps coversUntil, so later refreshes build on the user's version
+      chat.summary.content = summary;
+      chat.summary.editedByUser = true;
+      chat.summary.updatedAt = new Date();
+    }
+
+    await chat.save();
+
     res.json({
       success: true,
       chat
@@ -216,6 +285,51 @@ router.put('/:chatId', auth, [
   }
 });
 
+// Switch to another variant of a turn (e.g. a regenerated reply). The chosen
+// message and the messages leading to it become the conversation's active path.
+router.put('/:chatId/messages/:messageId/select', auth, [
+  param('chatId').isMongoId(),
+  param('messageId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chat = await Chat.findOne({
+      _id: req.params.chatId,
+      user: req.user.userId,
+      isActive: true
+    });
+
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    const { messageId } = req.params;
+    if (!chat.messages.id(messageId)) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    chat.selectMessage(messageId);
+    await chat.save();
+
+    req.io.to(req.params.chatId).emit('message-selected', {
+      chatId: chat._id,
+      messageId
+    });
+
+    res.json({
+      success: true,
+      messageId
+    });
+  } catch (error) {
+    console.error('Select message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete chat
 router.delete('/:chatId', auth, async (req, res) => {
   try {
@@ -0,0 +1,305 @@
+// routes/knowledge.js
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const Attachment = require('../models/Attachment');
+const Chat = require('../models/Chat');
+const auth = require('../middleware/auth');
+const receiveFile = require('../middleware/upload');
+const {
+  DOCUMENT_EXTENSIONS,
+  AttachmentError,
+  createAttachment,
+  removeFile
+} = require('../services/attachments');
+const { indexDocument, removeDocument, retrieve } = require('../services/knowledge');
+
+const router = express.Router();
+
+const MAX_DOCUMENTS = 200;
+
+const idValidator = param('id').isMongoId().withMessage('Invalid knowledge base id');
+
+const detailsValidators = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString().trim().isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description').optional().isString().isLength({ max: 500 })
+];
+
+const findOwned = (req) => KnowledgeBase.findOne({
+  _id: req.params.id,
+  user: req.user.userId
+});
+
+// Delete the stored files behind documents
+const removeAttachments = async (attachmentIds) => {
+  const attachments = await Attachment.find({ _id: { $in: attachmentIds } });
+  await Promise.all(attachments.map(removeFile));
+  await Attachment.deleteMany({ _id: { $in: attachmentIds } });
+};
+
+// Get the user's knowledge bases
+router.get('/', auth, async (req, res) => {
+  try {
+    const knowledgeBases = await KnowledgeBase.find({ user: req.user.userId })
+      .sort({ updatedAt: -1 })
+      .select('name description documents.filename chunkCount createdAt updatedAt');
+
+    res.json({
+      success: true,
+      knowledgeBases: knowledgeBases.map(knowledgeBase => {
+        const { documents, ...details } = knowledgeBase.toObject();
+        return { ...details, documentCount: documents.length };
+      })
+    });
+  } catch (error) {
+    console.error('Get knowledge bases error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a knowledge base
+router.post('/', auth, detailsValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const knowledgeBase = await KnowledgeBase.create({
+      user: req.user.userId,
+      name: req.body.name,
+      description: req.body.description || ''
+    });
+
+    res.status(201).json({
+      success: true,
+      knowledgeBase
+    });
+  } catch (error) {
+    console.error('Create knowledge base error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a knowledge base with its documents
+router.get('/:id', auth, [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const knowledgeBase = await findOwned(req);
+    if (!knowledgeBase) {
+      return res.status(404).json({ message: 'Knowledge base not found' });
+    }
+
+    res.json({
+      success: true,
+      knowledgeBase
+    });
+  } catch (error) {
+    console.error('Get knowledge base error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a knowledge base or change its description
+router.put('/:id', auth, [idValidator, ...detailsValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description } = req.body;
+    if (name === undefined && description === undefined) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const knowledgeBase = await findOwned(req);
+    if (!knowledgeBase) {
+      return res.status(404).json({ message: 'Knowledge base not found' });
+    }
+
+    if (name !== undefined) knowledgeBase.name = name;
+    if (description !== undefined) knowledgeBase.description = description;
+    await knowledgeBase.save();
+
+    res.json({
+      success: true,
+      knowledgeBase
+    });
+  } catch (error) {
+    console.error('Update knowledge base error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a knowledge base, its documents and their files. Chats using it
+// stop retrieving from it; citations already saved on replies stay.
+router.delete('/:id', auth, [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const knowledgeBase = await findOwned(req);
+    if (!knowledgeBase) {
+      return res.status(404).json({ message: 'Knowledge base not found' });
+    }
+
+    await KnowledgeChunk.deleteMany({ knowledgeBase: knowledgeBase._id });
+    await removeAttachments(knowledgeBase.documents.map(document => document.attachment));
+    await Chat.updateMany(
+      { user: req.user.userId, knowledgeBases: knowledgeBase._id },
+      { $pull: { knowledgeBases: knowledgeBase._id } }
+    );
+    await knowledgeBase.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Knowledge base deleted'
+    });
+  } catch (error) {
+    console.error('Delete knowledge base error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a document: the file is stored like an attachment, then chunked and
+// indexed
+router.post('/:id/documents', auth, [idValidator], receiveFile, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const knowledgeBase = await findOwned(req);
+    if (!knowledgeBase) {
+      return res.status(404).json({ message: 'Knowledge base not found' });
+    }
+    if (knowledgeBase.documents.length >= MAX_DOCUMENTS) {
+      return res.status(400).json({ message: `A knowledge base can hold at most ${MAX_DOCUMENTS} documents` });
+    }
+
+    const { attachment, text } = await createAttachment(req.user.userId, req.file, { images: false });
+
+    knowledgeBase.documents.push({
+      attachment: attachment._id,
+      filename: attachment.filename,
+      size: attachment.size,
+      kind: attachment.kind
+    });
+    const document = knowledgeBase.documents[knowledgeBase.documents.length - 1];
+
+    try {
+      await knowledgeBase.save();
+      await indexDocument(knowledgeBase._id, document, text);
+    } catch (error) {
+      await KnowledgeChunk.deleteMany({ document: document._id });
+      await KnowledgeBase.updateOne(
+        { _id: knowledgeBase._id },
+        { $pull: { documents: { _id: document._id } } }
+      );
+      await removeAttachments([attachment._id]);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      document
+    });
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.status === 415 && { supported: DOCUMENT_EXTENSIONS })
+      });
+    }
+    console.error('Add knowledge document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a document and its chunks
+router.delete('/:id/documents/:documentId', auth, [
+  idValidator,
+  param('documentId').isMongoId().withMessage('Invalid document id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const knowledgeBase = await findOwned(req);
+    const document = knowledgeBase?.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (!await removeDocument(knowledgeBase._id, document)) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    await removeAttachments([document.attachment]);
+
+    res.json({
+      success: true,
+      message: 'Document removed'
+    });
+  } catch (error) {
+    console.error('Remove knowledge document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The passages a chat using this knowledge base would be given for `q`
+router.get('/:id/search', auth, [
+  idValidator,
+  query('q').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Search text is required'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const exists = await KnowledgeBase.exists({ _id: req.params.id, user: req.user.userId });
+    if (!exists) {
+      return res.status(404).json({ message: 'Knowledge base not found' });
+    }
+
+    const results = await retrieve({
+      knowledgeBaseIds: [req.params.id],
+      query: req.query.q,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      results: results.map(({ chunk, score }) => ({
+        document: chunk.document,
+        attachment: chunk.attachment,
+        filename: chunk.filename,
+        position: chunk.position,
+        text: chunk.text,
+        score: Math.round(score * 1000) / 1000
+      }))
+    });
+  } catch (error) {
+    console.error('Search knowledge base error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+// routes/memories.js
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Memory = require('../models/Memory');
+const auth = require('../middleware/auth');
+const { MAX_MEMORIES } = require('../services/memories');
+
+const router = express.Router();
+
+const idValidator = param('id').isMongoId().withMessage('Invalid memory id');
+
+const contentValidator = (optional) => (optional ? body('content').optional() : body('content'))
+  .isString().trim().isLength({ min: 1, max: 500 })
+  .withMessage('A memory must be between 1 and 500 characters');
+
+// The user's memories, newest first; `status` and `chat` narrow them down,
+// e.g. to the proposals made in one chat
+router.get('/', auth, [
+  query('status').optional().isIn(['proposed', 'active']),
+  query('chat').optional().isMongoId().withMessage('Invalid chat id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { user: req.user.userId };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.chat) filter.chat = req.query.chat;
+
+    const memories = await Memory.find(filter)
+      .sort({ updatedAt: -1 })
+      .select('-user');
+
+    res.json({
+      success: true,
+      memories
+    });
+  } catch (error) {
+    console.error('Get memories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a memory by hand; it is used straight away
+router.post('/', auth, [contentValidator(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (await Memory.countDocuments({ user: req.user.userId }) >= MAX_MEMORIES) {
+      return res.status(400).json({ message: `You can keep at most ${MAX_MEMORIES} memories` });
+    }
+
+    const memory = await Memory.create({
+      user: req.user.userId,
+      content: req.body.content
+    });
+
+    res.status(201).json({
+      success: true,
+      memory
+    });
+  } catch (error) {
+    console.error('Create memory error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reword a memory, or confirm a proposed one with `{ "status": "active" }`
+router.put('/:id', auth, [
+  idValidator,
+  contentValidator(true),
+  body('status').optional().isIn(['active']).withMessage('A memory can only be confirmed')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { content, status } = req.body;
+    if (content === undefined && status === undefined) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const memory = await Memory.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!memory) {
+      return res.status(404).json({ message: 'Memory not found' });
+    }
+
+    if (content !== undefined) memory.content = content;
+    if (status !== undefined) memory.status = status;
+    await memory.save();
+
+    res.json({
+      success: true,
+      memory
+    });
+  } catch (error) {
+    console.error('Update memory error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Forget a memory, or dismiss a proposed one
+router.delete('/:id', auth, [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const memory = await Memory.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!memory) {
+      return res.status(404).json({ message: 'Memory not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Memory deleted'
+    });
+  } catch (error) {
+    console.error('Delete memory error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+// routes/prompts.js
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Prompt = require('../models/Prompt');
+const auth = require('../middleware/auth');
+const { escapeRegExp } = require('../utils/text');
+const { visibleTo, serializeShared } = require('../utils/sharing');
+
+const router = express.Router();
+
+const MAX_TAGS = 10;
+const MAX_LISTED = 500;
+
+const idValidator = param('id').isMongoId().withMessage('Invalid prompt id');
+
+const promptValidators = (optional) => [
+  (optional ? body('title').optional() : body('title'))
+    .isString().trim().isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  (optional ? body('body').optional() : body('body'))
+    .isString().isLength({ min: 1, max: 20000 })
+    .withMessage('Prompt must be between 1 and 20000 characters'),
+  body('tags').optional().isArray({ max: MAX_TAGS }).withMessage(`At most ${MAX_TAGS} tags`),
+  body('tags.*').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Tags must be between 1 and 30 characters'),
+  body('shared').optional().isBoolean().withMessage('Shared must be true or false')
+];
+
+// Tags are matched case-insensitively, so store each once in lower case
+const normalizeTags = (tags) => [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+
+const serializePrompt = (prompt, userId) =>
+  serializeShared(prompt, userId, { variables: prompt.variables() });
+
+// The user's own prompts and everyone's shared ones, optionally narrowed by
+// a search over title and body or by a tag
+router.get('/', auth, [
+  query('q').optional().isString().trim().isLength({ max: 200 }),
+  query('tag').optional().isString().trim().toLowerCase()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = visibleTo(req.user.userId);
+    if (req.query.q) {
+      const pattern = { $regex: escapeRegExp(req.query.q), $options: 'i' };
+      filter.$and = [{ $or: [{ title: pattern }, { body: pattern }] }];
+    }
+    if (req.query.tag) {
+      filter.tags = req.query.tag;
+    }
+
+    const prompts = await Prompt.find(filter)
+      .sort({ updatedAt: -1 })
+      .limit(MAX_LISTED)
+      .populate('user', 'username');
+
+    res.json({
+      success: true,
+      prompts: prompts.map(prompt => serializePrompt(prompt, req.user.userId))
+    });
+  } catch (error) {
+    console.error('Get prompts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a prompt to the library
+router.post('/', auth, promptValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const prompt = await Prompt.create({
+      user: req.user.userId,
+      title: req.body.title,
+      body: req.body.body,
+      tags: normalizeTags(req.body.tags || []),
+      shared: req.body.shared || false
+    });
+    await prompt.populate('user', 'username');
+
+    res.status(201).json({
+      success: true,
+      prompt: serializePrompt(prompt, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Create prompt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one of the user's prompts or a shared one
+router.get('/:id', auth, [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const prompt = await Prompt.findOne({
+      _id: req.params.id,
+      ...visibleTo(req.user.userId)
+    }).populate('user', 'username');
+
+    if (!prompt) {
+      return res.status(404).json({ message: 'Prompt not found' });
+    }
+
+    res.json({
+      success: true,
+      prompt: serializePrompt(prompt, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Get prompt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change one of the user's prompts
+router.put('/:id', auth, [idValidator, ...promptValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, body: promptBody, tags, shared } = req.body;
+    if ([title, promptBody, tags, shared].every(value => value === undefined)) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const prompt = await Prompt.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!prompt) {
+      return res.status(404).json({ message: 'Prompt not found' });
+    }
+
+    if (title !== undefined) prompt.title = title;
+    if (promptBody !== undefined) prompt.body = promptBody;
+    if (tags !== undefined) prompt.tags = normalizeTags(tags);
+    if (shared !== undefined) prompt.shared = shared;
+    await prompt.save();
+    await prompt.populate('user', 'username');
+
+    res.json({
+      success: true,
+      prompt: serializePrompt(prompt, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Update prompt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete one of the user's prompts
+router.delete('/:id', auth, [idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const prompt = await Prompt.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!prompt) {
+      return res.status(404).json({ message: 'Prompt not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prompt deleted'
+    });
+  } catch (error) {
+    console.error('Delete prompt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+// routes/usage.js
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { monthlyUsage } = require('../services/usage');
+const { QUOTAS, quotaStatus } = require('../services/quotas');
+
+const router = express.Router();
+
+// Spending for a month (default: the current UTC month), broken down by model
+router.get('/', auth, [
+  query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month must be YYYY-MM')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const usage = await monthlyUsage(req.user.userId, req.query.month);
+
+    res.json({
+      success: true,
+      usage
+    });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The user's quotas and how much of each is used
+router.get('/quota', auth, async (req, res) => {
+  try {
+    const { quotas } = await quotaStatus(req.user.userId);
+
+    res.json({
+      success: true,
+      quotas
+    });
+  } catch (error) {
+    console.error('Get quota error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a user's own limits (admin only); null goes back to the default
+router.put('/quotas/:userId', auth, admin, [
+  param('userId').isMongoId(),
+  ...QUOTAS.map(({ key }) => body(key).optional({ nullable: true }).isFloat({ min: 0 }).toFloat())
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const updates = QUOTAS
+      .filter(({ key }) => req.body[key] !== undefined)
+      .reduce((set, { key }) => ({ ...set, [`quotas.${key}`]: req.body[key] }), {});
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { $set: updates },
+      { new: true, select: 'username quotas' }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { quotas } = await quotaStatus(user._id);
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        overrides: user.quotas
+      },
+      quotas
+    });
+  } catch (error) {
+    console.error('Update quotas error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
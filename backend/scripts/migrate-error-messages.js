@@ -0,0 +1,52 @@
+// scripts/migrate-error-messages.js
+// Turns the placeholder replies older versions saved when a generation failed
+// into proper failed replies (status 'error'), so they stop being sent to
+// the model as if the assistant had said them.
+//
+//   node scripts/migrate-error-messages.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+
+const LEGACY_ERROR_TEXT = 'Sorry, I encountered an error while processing your request. Please try again.';
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const filter = { messages: { $elemMatch: { role: 'assistant', content: LEGACY_ERROR_TEXT } } };
+
+  if (dryRun) {
+    const count = await Chat.countDocuments(filter);
+    console.log(`[dry run] ${count} chats contain placeholder error replies`);
+    return;
+  }
+
+  const result = await Chat.updateMany(
+    filter,
+    {
+      $set: {
+        'messages.$[failed].status': 'error',
+        'messages.$[failed].content': '',
+        'messages.$[failed].error': {
+          code: 'unknown_error',
+          message: 'The reply failed before error details were recorded'
+        }
+      }
+    },
+    {
+      arrayFilters: [{ 'failed.role': 'assistant', 'failed.content': LEGACY_ERROR_TEXT }],
+      timestamps: false
+    }
+  );
+
+  console.log(`Updated ${result.modifiedCount} chats`);
+};
+
+run()
+  .catch(error => {
+    console.error('Error message migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
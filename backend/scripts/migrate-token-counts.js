@@ -0,0 +1,85 @@
+// scripts/migrate-token-counts.js
+// Recounts the tokens of messages saved with the old four-characters-per-token
+// estimate and backfills prompt/completion tokens on replies that lack them.
+// Replies that already carry provider-reported counts are left alone. Backfilled
+// replies are priced too, but monthly usage totals are not rebuilt.
+//
+//   node scripts/migrate-token-counts.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const { getModel } = require('../services/modelRegistry');
+const { buildContext } = require('../services/context');
+const { countTokens } = require('../services/tokens');
+const { calculateCost } = require('../services/usage');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Returns true when any message in the chat changed
+const migrateChat = (chat) => {
+  let changed = false;
+
+  chat.messages.forEach(msg => {
+    const model = getModel(msg.model || chat.model);
+
+    if (msg.role !== 'assistant') {
+      const tokens = countTokens(msg.content, model);
+      if (msg.tokens !== tokens) {
+        msg.tokens = tokens;
+        changed = true;
+      }
+      return;
+    }
+
+    if (msg.promptTokens !== undefined) return;
+
+    // Rebuild the context the reply was generated from, as far as we can tell
+    const { report } = buildContext(chat, {
+      model,
+      history: chat.getPathTo(chat.parentOf(msg._id))
+    });
+    msg.completionTokens = countTokens(msg.content, model);
+    msg.promptTokens = report.promptTokens;
+    msg.tokens = msg.completionTokens;
+    msg.cost = calculateCost(msg, msg.model);
+    changed = true;
+  });
+
+  if (changed) {
+    chat.calculateTotalTokens();
+    chat.calculateTotalCost();
+  }
+  return changed;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let scanned = 0;
+  let updated = 0;
+  const cursor = Chat.find({}).cursor();
+
+  for (let chat = await cursor.next(); chat; chat = await cursor.next()) {
+    scanned++;
+    if (!migrateChat(chat)) continue;
+
+    updated++;
+    if (!dryRun) {
+      // Bypass save() so lastActivity and the sidebar order stay put
+      await Chat.updateOne(
+        { _id: chat._id },
+        { $set: { messages: chat.messages, totalTokens: chat.totalTokens, totalCost: chat.totalCost } },
+        { timestamps: false }
+      );
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${scanned} chats, updated ${updated}`);
+};
+
+run()
+  .catch(error => {
+    console.error('Token migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,279 @@
+// services/attachments.js
+// Accepted file types, text extraction and storage for message attachments.
+// Images are stored as they are and only sent to vision models.
+// Files are kept on local disk under UPLOAD_DIR (ATTACHMENT_STORAGE=disk, the
+// default) or in MongoDB GridFS (ATTACHMENT_STORAGE=gridfs).
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+// The package's index runs a self-test when loaded, so load the parser itself
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const Attachment = require('../models/Attachment');
+const { countTokens } = require('./tokens');
+
+const MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+// Longer extracted text is cut; the context builder trims further to fit
+const MAX_TEXT_CHARS = 200000;
+const MAX_PER_MESSAGE = 10;
+// models/Attachment.js refuses longer names
+const MAX_FILENAME_LENGTH = 255;
+const STORAGE = process.env.ATTACHMENT_STORAGE === 'gridfs' ? 'gridfs' : 'disk';
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+
+const CODE_EXTENSIONS = [
+  'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'rb', 'php', 'java', 'kt', 'swift', 'go', 'rs',
+  'c', 'h', 'cpp', 'hpp', 'cs', 'scala', 'sh', 'bash', 'sql', 'html', 'css', 'scss', 'xml',
+  'yml', 'yaml', 'toml', 'ini', 'env', 'dockerfile', 'graphql', 'vue', 'svelte'
+];
+
+// Sent to the model as data URLs, so the type is ours rather than the browser's
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// Leading bytes of each image type
+const IMAGE_SIGNATURES = {
+  'image/png': (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/gif': (buffer) => buffer.subarray(0, 4).toString('latin1') === 'GIF8',
+  'image/webp': (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+};
+
+const KINDS_BY_EXTENSION = {
+  txt: 'text',
+  log: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  csv: 'csv',
+  json: 'json',
+  pdf: 'pdf',
+  ...Object.fromEntries(Object.keys(IMAGE_TYPES).map(extension => [extension, 'image'])),
+  ...Object.fromEntries(CODE_EXTENSIONS.map(extension => [extension, 'code']))
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(KINDS_BY_EXTENSION);
+// Files with text of their own
+const DOCUMENT_EXTENSIONS = SUPPORTED_EXTENSIONS.filter(extension => !IMAGE_TYPES[extension]);
+
+// A problem with the uploaded file itself, shown to the user as is
+class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+const extensionOf = (filename) => path.extname(filename).slice(1).toLowerCase();
+
+// Files are told apart by extension ("Dockerfile" counts as one)
+const fileKind = (filename) => (
+  KINDS_BY_EXTENSION[extensionOf(filename) || path.basename(filename).toLowerCase()] || null
+);
+
+// Content type to store a file under: images by their extension, other
+// files as the browser sent them
+const contentTypeOf = (filename, sentType) => (
+  IMAGE_TYPES[extensionOf(filename)] || sentType || 'application/octet-stream'
+);
+
+// Text to give the model for a file. Images have none; they are only checked
+// to be what their extension says.
+const extractText = async (buffer, kind, contentType) => {
+  if (kind === 'image') {
+    if (!IMAGE_SIGNATURES[contentType]?.(buffer)) {
+      throw new AttachmentError('The image is damaged or not of the type its name says');
+    }
+    return '';
+  }
+
+  if (kind === 'pdf') {
+    if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw new AttachmentError('This is not a valid PDF file');
+    }
+    try {
+      const { text } = await pdfParse(buffer);
+      return text.trim();
+    } catch (error) {
+      throw new AttachmentError('Could not read the text of this PDF');
+    }
+  }
+
+  if (buffer.includes(0)) {
+    throw new AttachmentError('Binary files are not supported');
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    throw new AttachmentError('The file is not UTF-8 text');
+  }
+};
+
+const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'attachments' });
+
+// Returns the key to read the file back with
+const storeFile = async (buffer, { filename, contentType }) => {
+  if (STORAGE === 'gridfs') {
+    return new Promise((resolve, reject) => {
+      const upload = bucket().openUploadStream(filename, { metadata: { contentType } });
+      upload.once('finish', () => resolve(upload.id.toString()));
+      upload.once('error', reject);
+      upload.end(buffer);
+    });
+  }
+
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  const key = `${crypto.randomUUID()}${path.extname(filename).toLowerCase()}`;
+  await fs.writeFile(path.join(UPLOAD_DIR, key), buffer);
+  return key;
+};
+
+const readFile = async (attachment) => {
+  if (attachment.storage === 'gridfs') {
+    const chunks = [];
+    const download = bucket().openDownloadStream(new mongoose.Types.ObjectId(attachment.storageKey));
+    for await (const chunk of download) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  return fs.readFile(path.join(UPLOAD_DIR, path.basename(attachment.storageKey)));
+};
+
+const removeFile = async (attachment) => {
+  if (attachment.storage === 'gridfs') {
+    await bucket().delete(new mongoose.Types.ObjectId(attachment.storageKey));
+    return;
+  }
+
+  await fs.unlink(path.join(UPLOAD_DIR, path.basename(attachment.storageKey))).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+};
+
+// Check, parse and store a file received by middleware/upload.js. Resolves to
+// the new attachment and the whole extracted text, which the attachment keeps
+// at most MAX_TEXT_CHARS of. With `images: false` images are refused as
+// unsupported.
+const createAttachment = async (userId, file, { images = true } = {}) => {
+  // Browsers send UTF-8 names, multer reads them as latin1
+  const filename = Buffer.from(file.originalname, 'latin1').toString('utf8');
+  if (filename.length > MAX_FILENAME_LENGTH) {
+    throw new AttachmentError(`File names can be at most ${MAX_FILENAME_LENGTH} characters`);
+  }
+  const kind = fileKind(filename);
+  if (!kind || (kind === 'image' && !images)) {
+    throw new AttachmentError('Unsupported file type', 415);
+  }
+
+  const contentType = contentTypeOf(filename, file.mimetype);
+  const text = await extractText(file.buffer, kind, contentType);
+  if (kind !== 'image' && !text.trim()) {
+    throw new AttachmentError('The file has no text to read');
+  }
+
+  const storageKey = await storeFile(file.buffer, { filename, contentType });
+  const kept = text.slice(0, MAX_TEXT_CHARS);
+
+  let attachment;
+  try {
+    attachment = await Attachment.create({
+      user: userId,
+      filename,
+      contentType,
+      size: file.size,
+      kind,
+      storage: STORAGE,
+      storageKey,
+      text: kept,
+      textTruncated: kept.length < text.length,
+      tokens: countTokens(kept)
+    });
+  } catch (error) {
+    // Don't leave the stored file without an attachment pointing at it
+    await removeFile({ storage: STORAGE, storageKey }).catch(removeError => {
+      console.error('Remove orphaned attachment file error:', removeError);
+    });
+    throw error;
+  }
+
+  return { attachment, text };
+};
+
+// References to store on a message for the user's attachments `ids`, in
+// the order given, or null if any of them isn't the user's
+const attachmentRefs = async (userId, ids = []) => {
+  const uniqueIds = [...new Set(ids)];
+  if (uniqueIds.length === 0) return [];
+
+  const attachments = await Attachment.find({ _id: { $in: uniqueIds }, user: userId })
+    .select('filename contentType size kind');
+  if (attachments.length !== uniqueIds.length) return null;
+
+  const byId = new Map(attachments.map(attachment => [attachment._id.toString(), attachment]));
+  return uniqueIds.map(id => {
+    const { _id, filename, contentType, size, kind } = byId.get(id);
+    return { attachment: _id, filename, contentType, size, kind };
+  });
+};
+
+// Checks for the attachment ids sent with a message
+const attachmentValidators = (field = 'attachments') => [
+  body(field).optional().isArray({ max: MAX_PER_MESSAGE })
+    .withMessage(`Attach at most ${MAX_PER_MESSAGE} files to a message`),
+  body(`${field}.*`).isMongoId()
+];
+
+// The attachments on `messages` for services/context.js, by attachment id:
+// `{ filename, kind, text }`, plus a base64 `dataUrl` for images when
+// `images` is set, since only vision models are sent them
+const loadAttachments = async (messages, { images = false } = {}) => {
+  const ids = messages.flatMap(msg => (msg.attachments || []).map(ref => ref.attachment));
+  if (ids.length === 0) return new Map();
+
+  const attachments = await Attachment.find({ _id: { $in: ids } })
+    .select('filename kind contentType text storage storageKey');
+
+  const loaded = await Promise.all(attachments.map(async (attachment) => {
+    const { filename, kind, text, contentType } = attachment;
+    const entry = { filename, kind, text };
+
+    if (images && kind === 'image') {
+      try {
+        const file = await readFile(attachment);
+        entry.dataUrl = `data:${contentType};base64,${file.toString('base64')}`;
+      } catch (error) {
+        console.error(`Attachment ${attachment._id} could not be read:`, error.message);
+      }
+    }
+    return [attachment._id.toString(), entry];
+  }));
+
+  return new Map(loaded);
+};
+
+module.exports = {
+  MAX_BYTES,
+  MAX_TEXT_CHARS,
+  MAX_PER_MESSAGE,
+  STORAGE,
+  SUPPORTED_EXTENSIONS,
+  DOCUMENT_EXTENSIONS,
+  AttachmentError,
+  fileKind,
+  contentTypeOf,
+  extractText,
+  storeFile,
+  readFile,
+  removeFile,
+  createAttachment,
+  attachmentRefs,
+  attachmentValidators,
+  loadAttachments
+};
@@ -0,0 +1,273 @@
+// services/context.js
+// Builds the message list sent to the model for a chat, fitted to the model's
+// context window.
+const {
+  countMessageTokens,
+  countTokens,
+  truncateToTokens,
+  IMAGE_TOKENS,
+  MESSAGE_OVERHEAD_TOKENS
+} = require('./tokens');
+
+const DEFAULT_CONTEXT_LENGTH = 8192;
+
+// An older message is only worth truncating if this much of it still fits
+const MIN_TRUNCATED_TOKENS = 256;
+
+// Knowledge base passages may take up to this share of the budget
+const MAX_SOURCES_SHARE = 0.25;
+
+const SOURCES_INSTRUCTIONS = 'Excerpts from the user\'s documents that may help with their latest '
+  + 'message follow. When you use one, cite it by its number in square brackets, like [1]. If they '
+  + 'don\'t answer the question, say so rather than guessing from them.';
+
+// Saved memories about the user may take up to this share
+const MAX_MEMORIES_SHARE = 0.1;
+
+const MEMORY_INSTRUCTIONS = 'Facts the user has asked you to remember from earlier conversations. '
+  + 'Take them into account when they are relevant, without mentioning them otherwise:';
+
+// Returns `{ messages, report, sources, memories }`. The newest message always goes in
+// (truncated if it alone overflows), older ones are added newest-first until
+// the budget runs out. `report` lists which chat messages made it in.
+// When some history is left out, the chat's running summary stands in for it.
+// The history is the chat's active branch unless `history` is given.
+// Attachments go in with their message when `attachments` is given; a
+// message with images gets OpenAI-style content parts for vision models.
+// Tool calls and their results go in for models that can call tools; other
+// models only see the text of the replies involved.
+// Retrieved `sources` (services/knowledge.js, best first) are added as
+// numbered excerpts, as many as fit in MAX_SOURCES_SHARE of the budget;
+// `sources` returns the ones that did, in the order they are numbered.
+// The user's `memories` (services/memories.js, most relevant first) go in
+// the same way, within MAX_MEMORIES_SHARE of the budget.
+const buildContext = (chat, options = {}) => {
+  const { memories, message: memoriesMessage } = fitMemories(options);
+  const { sources, message: sourcesMessage } = fitSources(options);
+  const extraInstructions = [memoriesMessage, sourcesMessage].filter(Boolean);
+  const counts = (report) => Object.assign(report, {
+    sourceCount: sources.length,
+    memoryCount: memories.length
+  });
+
+  const withoutSummary = fitHistory(chat, { ...options, extraInstructions });
+  counts(withoutSummary.report);
+  const summary = chat.summary?.content?.trim();
+
+  if (!summary || withoutSummary.report.droppedMessageIds.length === 0) {
+    return { ...withoutSummary, sources, memories };
+  }
+
+  const summaryMessage = {
+    role: 'system',
+    content: `Summary of the earlier conversation, which is no longer shown in full:\n${summary}`
+  };
+  const withSummary = fitHistory(chat, { ...options, extraInstructions: [...extraInstructions, summaryMessage] });
+  withSummary.report.summaryIncluded = true;
+  counts(withSummary.report);
+  return { ...withSummary, sources, memories };
+};
+
+const budgetOf = ({ model, reserveTokens = 0 }) => (
+  Math.max((model?.contextLength || DEFAULT_CONTEXT_LENGTH) - reserveTokens, 0)
+);
+
+const fitMemories = ({ memories = [], model, reserveTokens }) => {
+  const limit = Math.floor(budgetOf({ model, reserveTokens }) * MAX_MEMORIES_SHARE);
+  const fitting = [];
+  let used = countTokens(MEMORY_INSTRUCTIONS, model) + MESSAGE_OVERHEAD_TOKENS;
+
+  for (const memory of memories) {
+    const tokens = countTokens(`- ${memory.content}\n`, model);
+    if (used + tokens > limit) continue;
+    fitting.push(memory);
+    used += tokens;
+  }
+  if (fitting.length === 0) return { memories: fitting, message: null };
+
+  return {
+    memories: fitting,
+    message: {
+      role: 'system',
+      content: [MEMORY_INSTRUCTIONS, ...fitting.map(memory => `- ${memory.content}`)].join('\n')
+    }
+  };
+};
+
+const fitSources = ({ sources = [], model, reserveTokens }) => {
+  const limit = Math.floor(budgetOf({ model, reserveTokens }) * MAX_SOURCES_SHARE);
+  const fitting = [];
+  let used = countTokens(SOURCES_INSTRUCTIONS, model);
+
+  for (const source of sources) {
+    const tokens = countTokens(source.text, model) + MESSAGE_OVERHEAD_TOKENS;
+    if (used + tokens > limit) continue;
+    fitting.push(source);
+    used += tokens;
+  }
+  if (fitting.length === 0) return { sources: fitting, message: null };
+
+  const excerpts = fitting.map((source, i) => `[${i + 1}] ${source.filename}\n${source.text}`);
+  return {
+    sources: fitting,
+    message: { role: 'system', content: [SOURCES_INSTRUCTIONS, ...excerpts].join('\n\n') }
+  };
+};
+
+// Files attached to a message are sent ahead of its text, so when the message
+// has to be truncated the middle of the files goes before the question does.
+// Images are returned apart for vision models; other models are told one was
+// left out. `attachments` is what services/attachments.js loadAttachments
+// returns.
+const partsOf = (msg, attachments, model) => {
+  const files = [];
+  const images = [];
+
+  (msg.attachments || []).forEach(ref => {
+    const file = attachments?.get(ref.attachment.toString());
+    if (!file) return;
+
+    if (file.kind !== 'image') {
+      files.push(`<attachment name="${file.filename}">\n${file.text}\n</attachment>`);
+    } else if (model?.vision) {
+      images.push(file);
+    } else {
+      files.push(`<attachment name="${file.filename}">(image left out: this model cannot see images)</attachment>`);
+    }
+  });
+
+  return {
+    text: files.length > 0 ? [...files, msg.content].join('\n\n') : msg.content,
+    images
+  };
+};
+
+// Tool calls count towards the budget as the JSON the provider is sent
+const toolCallTokens = (msg, model) => (
+  model?.tools && msg.toolCalls?.length > 0 ? countTokens(JSON.stringify(msg.toolCalls), model) : 0
+);
+
+// The provider message for a chat message; tool calls and results keep the
+// ids that pair them up (see providers/index.js)
+const toMessage = (msg, content, model) => {
+  if (msg.role === 'tool') {
+    return { role: 'tool', tool_call_id: msg.toolCallId, content };
+  }
+  if (model?.tools && msg.toolCalls?.length > 0) {
+    return {
+      role: 'assistant',
+      content: content || null,
+      tool_calls: msg.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    };
+  }
+  return { role: msg.role, content };
+};
+
+// A plain string, or the text followed by image parts
+const toContent = (text, images) => {
+  const imageParts = images
+    .filter(image => image.dataUrl)
+    .map(image => ({ type: 'image_url', image_url: { url: image.dataUrl } }));
+
+  return imageParts.length > 0 ? [{ type: 'text', text }, ...imageParts] : text;
+};
+
+const fitHistory = (chat, {
+  model,
+  reserveTokens = 0,
+  history: messages,
+  attachments,
+  extraInstructions = []
+} = {}) => {
+  const contextLength = model?.contextLength || DEFAULT_CONTEXT_LENGTH;
+  const budget = budgetOf({ model, reserveTokens });
+
+  const instructions = [];
+
+  // The chat's system prompt always leads, however long the conversation gets
+  if (chat.systemPrompt?.trim()) {
+    instructions.push({ role: 'system', content: chat.systemPrompt.trim() });
+  }
+
+  const history = [];
+  (messages || chat.getActivePath()).forEach(msg => {
+    // Failed replies are shown to the user but never to the model
+    if (msg.status === 'error') return;
+    if (!model?.tools && (msg.role === 'tool' || (msg.toolCalls?.length > 0 && !msg.content))) return;
+
+    // System messages added through the API are instructions too, so they are
+    // kept outside the history window rather than aging out of it
+    if (msg.role === 'system') {
+      instructions.push({ role: 'system', content: msg.content });
+    } else {
+      history.push(msg);
+    }
+  });
+  instructions.push(...extraInstructions);
+
+  let used = instructions.reduce((total, msg) => total + countMessageTokens(msg, model), 0);
+  const included = [];
+  const truncated = new Set();
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const msg = history[i];
+    const { text, images } = partsOf(msg, attachments, model);
+    const callTokens = toolCallTokens(msg, model);
+    const tokens = countMessageTokens({ content: text }, model) + images.length * IMAGE_TOKENS + callTokens;
+    const remaining = budget - used;
+    const isNewest = i === history.length - 1;
+
+    if (tokens <= remaining) {
+      included.unshift({ source: msg, role: msg.role, content: toContent(text, images) });
+      used += tokens;
+      continue;
+    }
+
+    const room = remaining - MESSAGE_OVERHEAD_TOKENS - callTokens;
+    if (isNewest || room >= MIN_TRUNCATED_TOKENS) {
+      // Images stay only if enough room is left for some of the text
+      const keptImages = room - images.length * IMAGE_TOKENS >= MIN_TRUNCATED_TOKENS ? images : [];
+      const textRoom = room - keptImages.length * IMAGE_TOKENS;
+      const content = truncateToTokens(text, Math.max(textRoom, 1), model);
+      included.unshift({ source: msg, role: msg.role, content: toContent(content, keptImages) });
+      truncated.add(msg);
+      used += countMessageTokens({ content }, model) + keptImages.length * IMAGE_TOKENS + callTokens;
+    }
+    break;
+  }
+
+  // Providers expect the conversation to open with a user turn, and a tool
+  // result can't be sent without the call it answers
+  while (included.length > 1 && included[0].role !== 'user') {
+    const [dropped] = included.splice(0, 1);
+    truncated.delete(dropped.source);
+    used -= countMessageTokens(dropped, model) + toolCallTokens(dropped.source, model);
+  }
+
+  const sources = new Set(included.map(({ source }) => source));
+  const idOf = (msg) => msg._id?.toString();
+
+  return {
+    messages: [
+      ...instructions,
+      ...included.map(({ source, content }) => toMessage(source, content, model))
+    ],
+    report: {
+      contextLength,
+      budget,
+      promptTokens: used,
+      includedMessageIds: included.map(({ source }) => idOf(source)),
+      truncatedMessageIds: [...truncated].map(idOf),
+      droppedMessageIds: history.filter(msg => !sources.has(msg)).map(idOf),
+      summaryIncluded: false
+    }
+  };
+};
+
+module.exports = {
+  buildContext
+};
@@ -0,0 +1,175 @@
+// services/fallback.js
+// Calls a model with a timeout, retries transient failures with exponential
+// backoff, and moves down the model's `fallbacks` list (config/models.js)
+// when it keeps failing.
+const { getModel, isModelEnabled } = require('./modelRegistry');
+const { resolveModel, ProviderError } = require('../providers');
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// A blocking completion must finish within TIMEOUT_MS; a stream must produce
+// its first token, and every token after that, within STREAM_IDLE_TIMEOUT_MS
+const TIMEOUT_MS = envInt('AI_TIMEOUT_MS', 60000);
+const STREAM_IDLE_TIMEOUT_MS = envInt('AI_STREAM_IDLE_TIMEOUT_MS', 30000);
+const MAX_RETRIES = envInt('AI_MAX_RETRIES', 2);
+const RETRY_BASE_MS = envInt('AI_RETRY_BASE_MS', 500);
+// Longer waits (including a long Retry-After) go to the next model instead
+const RETRY_MAX_MS = envInt('AI_RETRY_MAX_MS', 10000);
+
+const isRetryable = (error) => error instanceof ProviderError && (
+  ['timeout', 'network_error'].includes(error.code) ||
+  [408, 409, 425, 429].includes(error.status) ||
+  error.status >= 500
+);
+
+// Exponential backoff with "equal jitter": half the delay is fixed, the
+// other half random, so clients that failed together don't retry together
+const backoffDelay = (attempt, retryAfter) => {
+  const exponential = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+  const delay = exponential / 2 + Math.random() * exponential / 2;
+  return Math.max(delay, (retryAfter || 0) * 1000);
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    const error = new Error('canceled');
+    error.name = 'CanceledError';
+    error.code = 'ERR_CANCELED';
+    reject(error);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  if (signal?.aborted) return onAbort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// The model and its fallbacks, leaving out any an admin has switched off
+const fallbackChain = (modelId) => [
+  modelId,
+  ...(getModel(modelId)?.fallbacks || [])
+].filter((id, index, chain) => isModelEnabled(id) && chain.indexOf(id) === index);
+
+// One call to the provider, aborted when the caller's signal fires or the
+// timeout passes. Timeouts surface as ProviderError code 'timeout' so they
+// can be told apart from a user stopping the generation.
+const callOnce = async (provider, request, { stream, signal, onToken }) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort);
+
+  let timer;
+  let timedOut = false;
+  const armTimeout = (ms) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, ms);
+  };
+  armTimeout(stream ? STREAM_IDLE_TIMEOUT_MS : TIMEOUT_MS);
+
+  try {
+    const call = { ...request, signal: controller.signal };
+    if (!stream) return await provider.complete(call);
+
+    return await provider.stream(call, {
+      onToken: (token) => {
+        armTimeout(STREAM_IDLE_TIMEOUT_MS);
+        onToken?.(token);
+      }
+    });
+  } catch (error) {
+    if (timedOut && !signal?.aborted) {
+      const seconds = (stream ? STREAM_IDLE_TIMEOUT_MS : TIMEOUT_MS) / 1000;
+      throw new ProviderError(`No response within ${seconds}s`, { provider: provider.id, code: 'timeout' });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+};
+
+// Generate a reply with `modelId`, or with its fallbacks if it can't answer
+// (unless `fallbacks` is false, when only `modelId` is tried).
+// `prepare(modelId)` returns `{ params, messages, tools }` fitted to that model and
+// `onModel(modelId, prepared)` runs before the first call to each model.
+// Resolves to `{ result, modelId }` naming the model that answered; rejects
+// with the last error when every model failed, or as soon as the signal
+// fires. Once a stream has produced text it is not retried, since the
+// tokens already went out.
+const generateWithFallback = async ({
+  modelId,
+  prepare,
+  fallbacks = true,
+  stream = false,
+  signal,
+  onToken,
+  onModel
+}) => {
+  const chain = fallbacks ? fallbackChain(modelId) : [modelId].filter(isModelEnabled);
+  if (chain.length === 0) {
+    throw new ProviderError(`${getModel(modelId)?.name || modelId} is not available`, { code: 'model_unavailable' });
+  }
+
+  let lastError;
+  let streamed = false;
+
+  for (const candidate of chain) {
+    let provider;
+    let request;
+    try {
+      const resolved = resolveModel(candidate);
+      provider = resolved.provider;
+      const prepared = await prepare(candidate);
+      request = { model: resolved.upstreamModel, messages: prepared.messages, tools: prepared.tools, ...prepared.params };
+      onModel?.(candidate, prepared);
+    } catch (error) {
+      lastError = error;
+      continue;
+    }
+
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      try {
+        const result = await callOnce(provider, request, {
+          stream,
+          signal,
+          onToken: (token) => {
+            streamed = true;
+            onToken?.(token);
+          }
+        });
+        return { result, modelId: candidate };
+      } catch (error) {
+        if (signal?.aborted || streamed) throw error;
+        lastError = error;
+
+        if (!isRetryable(error) || attempt === MAX_RETRIES) break;
+
+        const delay = backoffDelay(attempt, error.retryAfter);
+        if (delay > RETRY_MAX_MS) break;
+
+        console.warn(`Retrying ${candidate} in ${Math.round(delay)}ms after: ${error.message}`);
+        await sleep(delay, signal);
+      }
+    }
+
+    console.warn(`Model ${candidate} failed: ${lastError.message}`);
+  }
+
+  throw lastError;
+};
+
+module.exports = {
+  callOnce,
+  fallbackChain,
+  generateWithFallback
+};
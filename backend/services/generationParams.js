@@ -0,0 +1,78 @@
+// services/generationParams.js
+const { body } = require('express-validator');
+
+const DEFAULT_PARAMS = {
+  temperature: 0.7,
+  maxTokens: 1000
+};
+
+const PARAM_KEYS = [
+  'temperature',
+  'topP',
+  'maxTokens',
+  'stop',
+  'presencePenalty',
+  'frequencyPenalty',
+  'seed'
+];
+
+// Keep only the parameters that are actually set; null and [] mean "inherit"
+const pickSet = (params) => {
+  const plain = params?.toObject ? params.toObject() : params || {};
+
+  return PARAM_KEYS.reduce((picked, key) => {
+    const value = plain[key];
+    const isUnset = value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+    return isUnset ? picked : { ...picked, [key]: value };
+  }, {});
+};
+
+// Effective parameters for one request: app defaults, then the user's
+// defaults, then the chat's overrides, then any sent with the request itself,
+// fitted to the model's output limit
+const resolveParams = ({ chatParams, userParams, requestParams, model }) => {
+  const params = {
+    ...DEFAULT_PARAMS,
+    ...pickSet(userParams),
+    ...pickSet(chatParams),
+    ...pickSet(requestParams)
+  };
+
+  if (model?.maxOutputTokens && params.maxTokens > model.maxOutputTokens) {
+    params.maxTokens = model.maxOutputTokens;
+  }
+
+  return params;
+};
+
+// Problems with explicitly chosen parameters for a given model
+const checkModelLimits = (params, model) => {
+  const problems = [];
+
+  if (params?.maxTokens && model?.maxOutputTokens && params.maxTokens > model.maxOutputTokens) {
+    problems.push(`maxTokens cannot exceed ${model.maxOutputTokens} for ${model.name}`);
+  }
+
+  return problems;
+};
+
+// Request body validators for a params object sent as `field`
+const paramsValidators = (field) => [
+  body(field).optional({ nullable: true }).isObject(),
+  body(`${field}.temperature`).optional({ nullable: true }).isFloat({ min: 0, max: 2 }).toFloat(),
+  body(`${field}.topP`).optional({ nullable: true }).isFloat({ min: 0, max: 1 }).toFloat(),
+  body(`${field}.maxTokens`).optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body(`${field}.stop`).optional({ nullable: true }).isArray({ max: 4 }),
+  body(`${field}.stop.*`).isString().isLength({ min: 1, max: 100 }),
+  body(`${field}.presencePenalty`).optional({ nullable: true }).isFloat({ min: -2, max: 2 }).toFloat(),
+  body(`${field}.frequencyPenalty`).optional({ nullable: true }).isFloat({ min: -2, max: 2 }).toFloat(),
+  body(`${field}.seed`).optional({ nullable: true }).isInt().toInt()
+];
+
+module.exports = {
+  DEFAULT_PARAMS,
+  pickSet,
+  resolveParams,
+  checkModelLimits,
+  paramsValidators
+};
@@ -0,0 +1,49 @@
+// services/generations.js
+// Tracks in-flight AI generations per chat so they can be cancelled from a
+// separate request (the Stop button) or when the client disconnects.
+
+const activeGenerations = new Map();
+
+// Register a new generation for a chat and return its AbortController
+const begin = (chatId) => {
+  const key = chatId.toString();
+  const controller = new AbortController();
+
+  if (!activeGenerations.has(key)) {
+    activeGenerations.set(key, new Set());
+  }
+  activeGenerations.get(key).add(controller);
+
+  return controller;
+};
+
+// Forget a generation once it has completed, failed or been stopped
+const end = (chatId, controller) => {
+  const key = chatId.toString();
+  const controllers = activeGenerations.get(key);
+  if (!controllers) return;
+
+  controllers.delete(controller);
+  if (controllers.size === 0) {
+    activeGenerations.delete(key);
+  }
+};
+
+// Abort every generation running for a chat; returns how many were stopped
+const stop = (chatId) => {
+  const controllers = activeGenerations.get(chatId.toString());
+  if (!controllers) return 0;
+
+  const stopped = [...controllers];
+  stopped.forEach(controller => controller.abort());
+  return stopped.length;
+};
+
+const isActive = (chatId) => activeGenerations.has(chatId.toString());
+
+module.exports = {
+  begin,
+  end,
+  stop,
+  isActive
+};
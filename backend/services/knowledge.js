@@ -0,0 +1,254 @@
+// services/knowledge.js
+// Chunking, indexing and BM25 retrieval for knowledge bases. Chunks are
+// stored with their term counts (models/KnowledgeChunk.js); MongoDB finds and
+// ranks the chunks sharing terms with a question.
+const mongoose = require('mongoose');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const { countTokens } = require('./tokens');
+
+// Target size of a chunk; paragraphs are kept whole where they fit
+const CHUNK_TOKENS = 400;
+const TOP_K = parseInt(process.env.RETRIEVAL_TOP_K) || 5;
+// Chunks scoring below this share of the best match are left out
+const MIN_RELATIVE_SCORE = 0.2;
+const MAX_QUERY_TERMS = 32;
+// Saved on replies to show where an answer came from
+const EXCERPT_CHARS = 1200;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(`a an and are as at be but by can do does for from had has have how i if in
+into is it its me my no not of on or our so than that the their them then there these they this to
+was we were what when where which who why will with you your`.split(/\s+/));
+
+// Lower-cased words and numbers, without stopwords and single characters
+const termsOf = (text) => (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+  .filter(term => term.length > 1 && !STOPWORDS.has(term));
+
+// Pieces of at most CHUNK_TOKENS: lines, then sentences, then a hard cut
+const splitLong = (paragraph) => {
+  if (countTokens(paragraph) <= CHUNK_TOKENS) return [paragraph];
+
+  const lines = paragraph.split('\n');
+  const pieces = lines.length > 1 ? lines : paragraph.split(/(?<=[.!?])\s+/);
+  if (pieces.length > 1) return pieces.flatMap(splitLong);
+
+  const cut = Math.floor(paragraph.length * CHUNK_TOKENS / countTokens(paragraph));
+  return [paragraph.slice(0, cut), ...splitLong(paragraph.slice(cut))];
+};
+
+// Split a document's text into passages of about CHUNK_TOKENS, breaking
+// between paragraphs where possible
+const chunkText = (text) => {
+  const pieces = text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .flatMap(splitLong);
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  pieces.forEach(piece => {
+    const tokens = countTokens(piece);
+    if (current.length > 0 && currentTokens + tokens > CHUNK_TOKENS) {
+      chunks.push(current.join('\n\n'));
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(piece);
+    currentTokens += tokens;
+  });
+  if (current.length > 0) chunks.push(current.join('\n\n'));
+
+  return chunks.filter(chunk => chunk.trim());
+};
+
+const termCounts = (terms) => {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return [...counts].map(([term, count]) => ({ term, count }));
+};
+
+// Chunk and index `text` as `document`, which must already be saved in the
+// knowledge base. The statistics and the document's chunkCount are updated
+// with $inc, in one write, so concurrent uploads and removals don't
+// overwrite each other's counts.
+const indexDocument = async (knowledgeBaseId, document, text) => {
+  const chunks = chunkText(text).map((passage, position) => {
+    const terms = termsOf(passage);
+    return {
+      knowledgeBase: knowledgeBaseId,
+      document: document._id,
+      attachment: document.attachment,
+      filename: document.filename,
+      position,
+      text: passage,
+      tokens: countTokens(passage),
+      length: terms.length,
+      terms: termCounts(terms)
+    };
+  });
+
+  await KnowledgeChunk.insertMany(chunks);
+
+  await KnowledgeBase.updateOne(
+    { _id: knowledgeBaseId, 'documents._id': document._id },
+    {
+      $inc: {
+        chunkCount: chunks.length,
+        totalTerms: chunks.reduce((total, chunk) => total + chunk.length, 0),
+        'documents.$.chunkCount': chunks.length
+      }
+    }
+  );
+  document.chunkCount = chunks.length;
+};
+
+// Take a document out of its knowledge base and the statistics, then delete
+// its chunks. Returns false when a concurrent request removed it first.
+const removeDocument = async (knowledgeBaseId, document) => {
+  const [totals] = await KnowledgeChunk.aggregate([
+    { $match: { document: document._id } },
+    { $group: { _id: null, chunks: { $sum: 1 }, terms: { $sum: '$length' } } }
+  ]);
+
+  const { modifiedCount } = await KnowledgeBase.updateOne(
+    { _id: knowledgeBaseId, 'documents._id': document._id },
+    {
+      $pull: { documents: { _id: document._id } },
+      $inc: { chunkCount: -(totals?.chunks || 0), totalTerms: -(totals?.terms || 0) }
+    }
+  );
+  if (modifiedCount === 0) return false;
+
+  await KnowledgeChunk.deleteMany({ document: document._id });
+  return true;
+};
+
+// The `limit` chunks of the knowledge bases that best match `query`, best
+// first, as `{ chunk, score }`
+const retrieve = async ({ knowledgeBaseIds, query, limit = TOP_K }) => {
+  const queryTerms = [...new Set(termsOf(query))].slice(0, MAX_QUERY_TERMS);
+  if (queryTerms.length === 0 || knowledgeBaseIds.length === 0) return [];
+
+  const ids = knowledgeBaseIds.map(id => new mongoose.Types.ObjectId(id));
+  const bases = await KnowledgeBase.find({ _id: { $in: ids } }).select('chunkCount totalTerms');
+  const chunkCount = bases.reduce((total, base) => total + base.chunkCount, 0);
+  if (chunkCount === 0) return [];
+  const averageLength = bases.reduce((total, base) => total + base.totalTerms, 0) / chunkCount || 1;
+
+  const match = { knowledgeBase: { $in: ids }, 'terms.term': { $in: queryTerms } };
+  const frequencies = await KnowledgeChunk.aggregate([
+    { $match: match },
+    { $unwind: '$terms' },
+    { $match: { 'terms.term': { $in: queryTerms } } },
+    { $group: { _id: '$terms.term', chunks: { $sum: 1 } } }
+  ]);
+
+  // Indexed like queryTerms, so the pipeline can look a term's IDF up
+  const idf = queryTerms.map(term => {
+    const chunks = frequencies.find(({ _id }) => _id === term)?.chunks || 0;
+    return Math.log(1 + (chunkCount - chunks + 0.5) / (chunks + 0.5));
+  });
+
+  // Every matching chunk is scored in MongoDB and only the best come back,
+  // so a common term can't crowd the best matches out before ranking
+  const scored = await KnowledgeChunk.aggregate([
+    { $match: match },
+    {
+      $project: {
+        knowledgeBase: 1,
+        document: 1,
+        attachment: 1,
+        filename: 1,
+        position: 1,
+        text: 1,
+        score: {
+          $sum: {
+            $map: {
+              input: { $filter: { input: '$terms', cond: { $in: ['$$this.term', queryTerms] } } },
+              as: 'match',
+              in: {
+                $divide: [
+                  {
+                    $multiply: [
+                      { $arrayElemAt: [idf, { $indexOfArray: [queryTerms, '$$match.term'] }] },
+                      '$$match.count',
+                      K1 + 1
+                    ]
+                  },
+                  {
+                    $add: [
+                      '$$match.count',
+                      { $multiply: [K1, { $add: [1 - B, { $multiply: [B, { $divide: ['$length', averageLength] }] }] }] }
+                    ]
+                  }
+                ]
+              }
+            }
+          }
+        }
+      }
+    },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  const best = scored[0]?.score || 0;
+  return scored
+    .filter(({ score }) => score > 0 && score >= best * MIN_RELATIVE_SCORE)
+    .map(({ score, ...chunk }) => ({ chunk, score }));
+};
+
+// Chunks of the chat's knowledge bases for the newest user message in
+// `history`, as sources for services/context.js
+const retrieveForChat = async (chat, history) => {
+  if (!chat.knowledgeBases?.length) return [];
+
+  const question = [...history].reverse().find(msg => msg.role === 'user');
+  if (!question?.content) return [];
+
+  const results = await retrieve({
+    knowledgeBaseIds: chat.knowledgeBases.map(id => id.toString()),
+    query: question.content
+  });
+
+  return results.map(({ chunk, score }) => ({
+    knowledgeBase: chunk.knowledgeBase,
+    document: chunk.document,
+    attachment: chunk.attachment,
+    chunk: chunk._id,
+    filename: chunk.filename,
+    position: chunk.position,
+    text: chunk.text,
+    score: Math.round(score * 1000) / 1000
+  }));
+};
+
+// What a reply keeps of a source it was given
+const citationOf = (source, index) => ({
+  index: index + 1,
+  knowledgeBase: source.knowledgeBase,
+  document: source.document,
+  attachment: source.attachment,
+  chunk: source.chunk,
+  filename: source.filename,
+  position: source.position,
+  excerpt: source.text.slice(0, EXCERPT_CHARS),
+  score: source.score
+});
+
+module.exports = {
+  chunkText,
+  termsOf,
+  indexDocument,
+  removeDocument,
+  retrieve,
+  retrieveForChat,
+  citationOf
+};
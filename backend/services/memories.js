@@ -0,0 +1,49 @@
+// services/memories.js
+// Picks which of the user's memories go into a chat's context. Memories
+// sharing words with the newest user message come first, best match first;
+// the rest follow newest first, since standing preferences ("answer in
+// British English") rarely share words with a question.
+const Memory = require('../models/Memory');
+const { termsOf } = require('./knowledge');
+
+const TOP_K = parseInt(process.env.MEMORY_TOP_K) || 10;
+// A user can keep at most this many memories, proposed ones included
+const MAX_MEMORIES = 500;
+
+// The share of a memory's words that appear in the message
+const overlapOf = (memoryTerms, messageTerms) => {
+  if (memoryTerms.length === 0) return 0;
+  return memoryTerms.filter(term => messageTerms.has(term)).length / memoryTerms.length;
+};
+
+// The user's confirmed memories for the newest user message in `history`,
+// most relevant first, as memories for services/context.js. Chats with
+// memory turned off get none.
+const memoriesForChat = async (chat, userId, history) => {
+  if (chat.useMemory === false) return [];
+
+  const memories = await Memory.find({ user: userId, status: 'active' })
+    .sort({ updatedAt: -1 })
+    .limit(MAX_MEMORIES)
+    .select('content updatedAt')
+    .lean();
+  if (memories.length === 0) return [];
+
+  const question = [...history].reverse().find(msg => msg.role === 'user');
+  const messageTerms = new Set(termsOf(question?.content || ''));
+
+  return memories
+    .map((memory, recency) => ({
+      memory,
+      recency,
+      score: overlapOf([...new Set(termsOf(memory.content))], messageTerms)
+    }))
+    .sort((a, b) => b.score - a.score || a.recency - b.recency)
+    .slice(0, TOP_K)
+    .map(({ memory }) => memory);
+};
+
+module.exports = {
+  MAX_MEMORIES,
+  memoriesForChat
+};
@@ -0,0 +1,198 @@
+// services/modelRegistry.js
+// The one list of models the app knows about. It is seeded from
+// config/models.js, can be extended with the models providers list
+// (MODEL_DISCOVERY), and admins switch entries on and off (ModelSetting).
+// Validators, schemas and GET /api/ai/models all read from here.
+const ModelSetting = require('../models/ModelSetting');
+const { AVAILABLE_MODELS, compatibleModel } = require('../config/models');
+
+// Provider adapters (the `api` keys of providers/index.js) whose model
+// listings are merged into the catalog, e.g. MODEL_DISCOVERY=openrouter
+const DISCOVERY_APIS = (process.env.MODEL_DISCOVERY || '')
+  .split(',')
+  .map(api => api.trim())
+  .filter(Boolean);
+const DISCOVERY_TTL_MS = parseInt(process.env.MODEL_DISCOVERY_TTL_MS) || 6 * 60 * 60 * 1000;
+const DISCOVERY_TIMEOUT_MS = 10000;
+
+const TOKENIZER_PREFIXES = [
+  ['openai/gpt-4o', 'o200k'],
+  ['openai/o', 'o200k'],
+  ['openai/', 'cl100k'],
+  ['anthropic/', 'claude'],
+  ['meta-llama/', 'llama'],
+  ['mistralai/', 'mistral'],
+  ['google/gemma', 'gemma']
+];
+
+const guessTokenizer = (modelId) => (
+  TOKENIZER_PREFIXES.find(([prefix]) => modelId.startsWith(prefix))?.[1] || 'cl100k'
+);
+
+// OpenRouter names models "Provider: Model" and prices them per token
+const fromOpenRouter = (model) => {
+  const [provider, name] = model.name?.includes(': ')
+    ? model.name.split(': ', 2)
+    : [model.id.split('/')[0], model.name || model.id];
+  const perMillion = (price) => Math.round((parseFloat(price) || 0) * 1e12) / 1e6;
+  const contextLength = model.context_length || 8192;
+
+  return {
+    name,
+    provider,
+    api: 'openrouter',
+    contextLength,
+    maxOutputTokens: Math.min(model.top_provider?.max_completion_tokens || 4096, contextLength),
+    tokenizer: guessTokenizer(model.id),
+    vision: Boolean(model.architecture?.input_modalities?.includes('image') ||
+      model.architecture?.modality?.split('->')[0].includes('image')),
+    tools: Boolean(model.supported_parameters?.includes('tools')),
+    pricing: {
+      prompt: perMillion(model.pricing?.prompt),
+      completion: perMillion(model.pricing?.completion)
+    }
+  };
+};
+
+// How a listed model becomes a catalog id and entry, per adapter
+const DISCOVERY_SOURCES = {
+  openrouter: {
+    idOf: (model) => model.id,
+    toEntry: fromOpenRouter
+  },
+  'openai-compatible': {
+    idOf: (model) => `custom/${model.id}`,
+    toEntry: (model) => compatibleModel(model.id)
+  }
+};
+
+const seeded = AVAILABLE_MODELS;
+let discovered = {};
+let discoveredAt = 0;
+let refreshing = null;
+
+// Admin choices by model id. Loaded at startup and kept in step by
+// setModelEnabled, so a change made on another server shows after a restart.
+const settings = new Map();
+// Catalog entries of discovered models an admin has made a choice about, as
+// saved with that choice. A fresh listing takes precedence.
+let remembered = {};
+
+// Any known model, offered or not: old chats and usage rows keep pointing at
+// models that were switched off later
+const getModel = (modelId) => seeded[modelId] || discovered[modelId] || remembered[modelId];
+
+const isKnownModel = (modelId) => Boolean(getModel(modelId));
+
+// Configured models are on unless an admin switched them off. Discovered
+// ones stay off until an admin switches them on, so a provider listing
+// hundreds of models doesn't flood the model picker.
+const isModelEnabled = (modelId) => {
+  if (!isKnownModel(modelId)) return false;
+  return settings.get(modelId) ?? Boolean(seeded[modelId]);
+};
+
+// Catalog entries by id: the enabled ones, or all of them marked with
+// `enabled` and `discovered` for the admin view
+const listModels = ({ includeDisabled = false } = {}) => (
+  Object.entries({ ...seeded, ...remembered, ...discovered }).reduce((models, [id, entry]) => {
+    const enabled = isModelEnabled(id);
+    if (!enabled && !includeDisabled) return models;
+
+    return {
+      ...models,
+      [id]: includeDisabled ? { ...entry, enabled, discovered: !seeded[id] } : entry
+    };
+  }, {})
+);
+
+// express-validator custom check for a model a user may choose
+const validateModel = (modelId) => {
+  if (!isModelEnabled(modelId)) {
+    throw new Error('Unknown or disabled model');
+  }
+  return true;
+};
+
+const discoverModels = async () => {
+  // Required here because providers/index.js reads its models from this module
+  const { providers } = require('../providers');
+  const found = {};
+
+  for (const api of DISCOVERY_APIS) {
+    const source = DISCOVERY_SOURCES[api];
+    if (!source || !providers[api]?.listModels) {
+      console.warn(`Model discovery is not supported for "${api}"`);
+      continue;
+    }
+
+    try {
+      const listed = await providers[api].listModels({ signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS) });
+      listed.forEach(model => {
+        const id = source.idOf(model);
+        if (!seeded[id]) found[id] = source.toEntry(model);
+      });
+    } catch (error) {
+      console.error(`Model discovery error (${api}):`, error.message);
+      // Keep what this provider listed last time
+      Object.entries(discovered)
+        .filter(([, entry]) => entry.api === api)
+        .forEach(([id, entry]) => { found[id] = entry; });
+    }
+  }
+
+  discovered = found;
+  discoveredAt = Date.now();
+  return discovered;
+};
+
+// Re-read the providers' model listings once the cached ones are older than
+// MODEL_DISCOVERY_TTL_MS (or right away with `force`). Never rejects.
+const refreshModels = ({ force = false } = {}) => {
+  if (DISCOVERY_APIS.length === 0) return Promise.resolve(discovered);
+  if (refreshing) return refreshing;
+  if (!force && Date.now() - discoveredAt < DISCOVERY_TTL_MS) return Promise.resolve(discovered);
+
+  refreshing = discoverModels().finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+};
+
+const loadModelSettings = async () => {
+  const rows = await ModelSetting.find({}).select('model enabled entry').lean();
+  settings.clear();
+  remembered = {};
+  rows.forEach(row => {
+    settings.set(row.model, row.enabled);
+    if (row.entry && !seeded[row.model]) remembered[row.model] = row.entry;
+  });
+};
+
+const setModelEnabled = async (modelId, enabled, userId) => {
+  const entry = seeded[modelId] ? undefined : getModel(modelId);
+  await ModelSetting.updateOne(
+    { model: modelId },
+    { $set: { enabled, updatedBy: userId, ...(entry && { entry }) } },
+    { upsert: true }
+  );
+  settings.set(modelId, enabled);
+  if (entry) remembered[modelId] = entry;
+};
+
+// Called once the database is connected
+const initModelRegistry = async () => {
+  await loadModelSettings();
+  refreshModels();
+};
+
+module.exports = {
+  getModel,
+  isKnownModel,
+  isModelEnabled,
+  listModels,
+  validateModel,
+  refreshModels,
+  setModelEnabled,
+  initModelRegistry
+};
@@ -0,0 +1,76 @@
+// services/quotas.js
+// Daily and monthly token and cost allowances per user, checked before each
+// upstream call against the totals kept by services/usage.js.
+const User = require('../models/User');
+const { usageTotals } = require('./usage');
+
+// Defaults for every user; unset or empty means unlimited. Users can be given
+// their own limits through PUT /api/usage/quotas/:userId.
+const limitFromEnv = (name) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+const DEFAULT_QUOTAS = {
+  dailyTokens: limitFromEnv('QUOTA_DAILY_TOKENS'),
+  monthlyTokens: limitFromEnv('QUOTA_MONTHLY_TOKENS'),
+  dailyCost: limitFromEnv('QUOTA_DAILY_COST'),
+  monthlyCost: limitFromEnv('QUOTA_MONTHLY_COST')
+};
+
+const QUOTAS = [
+  { key: 'dailyTokens', period: 'day', unit: 'tokens' },
+  { key: 'monthlyTokens', period: 'month', unit: 'tokens' },
+  { key: 'dailyCost', period: 'day', unit: 'cost' },
+  { key: 'monthlyCost', period: 'month', unit: 'cost' }
+];
+
+// Share of a quota at which the UI starts warning
+const WARNING_RATIO = 0.8;
+
+const resolveQuotas = (overrides = {}) => QUOTAS.reduce((quotas, { key }) => ({
+  ...quotas,
+  [key]: overrides[key] ?? DEFAULT_QUOTAS[key]
+}), {});
+
+// Periods are UTC, so they reset at midnight UTC and on the 1st of the month
+const resetTime = (period, now = new Date()) => (period === 'day'
+  ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+  : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)));
+
+// Every configured quota with how much of it is used, fullest first
+const quotaStatus = async (userId) => {
+  const user = await User.findById(userId).select('quotas');
+  const limits = resolveQuotas(user?.quotas || {});
+  const totals = await usageTotals(userId);
+
+  const quotas = QUOTAS
+    .filter(({ key }) => limits[key] !== null)
+    .map(({ key, period, unit }) => {
+      const limit = limits[key];
+      const used = unit === 'tokens' ? totals[period].tokens : totals[period].cost;
+      const ratio = limit > 0 ? used / limit : 1;
+
+      return {
+        key,
+        period,
+        unit,
+        limit,
+        used,
+        percent: Math.min(Math.round(ratio * 100), 100),
+        warning: ratio >= WARNING_RATIO,
+        exceeded: used >= limit,
+        resetsAt: resetTime(period)
+      };
+    })
+    .sort((a, b) => b.percent - a.percent);
+
+  return { quotas, exceeded: quotas.filter(quota => quota.exceeded) };
+};
+
+module.exports = {
+  DEFAULT_QUOTAS,
+  QUOTAS,
+  resolveQuotas,
+  quotaStatus
+};
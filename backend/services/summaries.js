@@ -0,0 +1,127 @@
+// services/summaries.js
+// Keeps a running summary of the part of a chat that no longer fits in the
+// context window, so older turns are condensed rather than forgotten.
+const Chat = require('../models/Chat');
+const { getModel } = require('./modelRegistry');
+const { resolveModel } = require('../providers');
+const { callOnce } = require('./fallback');
+const { buildContext } = require('./context');
+const { loadAttachments } = require('./attachments');
+const { countMessageTokens, truncateToTokens } = require('./tokens');
+const { calculateCost, recordUsage } = require('./usage');
+
+// Refresh once this many tokens have aged out since the last summary
+const SUMMARY_THRESHOLD_TOKENS = parseInt(process.env.SUMMARY_THRESHOLD_TOKENS) || 1000;
+const SUMMARY_MAX_TOKENS = 600;
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL;
+
+const SUMMARY_INSTRUCTIONS = `You maintain a running summary of a conversation between a user and an AI assistant.
+Update the existing summary with the new messages. Keep facts, decisions, names, numbers,
+code identifiers and open questions; drop pleasantries. Write in the third person, at most
+about 300 words, and reply with the summary only.`;
+
+// Chats currently being summarised, so refreshes don't pile up
+const inProgress = new Set();
+
+// History messages the summary has not absorbed yet and that are out of context
+const findUnsummarized = (chat, droppedIds) => {
+  const history = chat.getActivePath().filter(msg => msg.role !== 'system' && msg.status !== 'error');
+  const coveredIndex = chat.summary?.coversUntil
+    ? history.findIndex(msg => msg._id.equals(chat.summary.coversUntil))
+    : -1;
+
+  const dropped = new Set(droppedIds);
+  return history
+    .slice(coveredIndex + 1)
+    .filter(msg => dropped.has(msg._id.toString()));
+};
+
+const summarize = async ({ previousSummary, messages, modelId }) => {
+  const { provider, upstreamModel } = resolveModel(modelId);
+  const model = getModel(modelId);
+
+  // Leave room for the instructions, previous summary and the answer
+  const transcriptBudget = Math.max((model?.contextLength || 8192) - SUMMARY_MAX_TOKENS - 1500, 1000);
+  const transcript = truncateToTokens(
+    messages.map(msg => `${msg.role.toUpperCase()}: ${msg.content}`).join('\n\n'),
+    transcriptBudget,
+    model
+  );
+
+  // Under the same timeout as replies, so a stalled call can't hold the
+  // chat in inProgress for good
+  const result = await callOnce(provider, {
+    model: upstreamModel,
+    messages: [
+      { role: 'system', content: SUMMARY_INSTRUCTIONS },
+      {
+        role: 'user',
+        content: `Existing summary:\n${previousSummary || '(none yet)'}\n\nNew messages:\n${transcript}`
+      }
+    ],
+    temperature: 0.2,
+    maxTokens: SUMMARY_MAX_TOKENS
+  }, { stream: false });
+
+  return { content: result.content.trim(), usage: result.usage };
+};
+
+// Fold newly out-of-context messages into the chat summary when enough of
+// them have piled up. Runs in the background after a reply has been sent.
+const refreshSummary = async ({ chatId, modelId, reserveTokens, io }) => {
+  const key = chatId.toString();
+  if (inProgress.has(key)) return;
+  inProgress.add(key);
+
+  try {
+    const chat = await Chat.findById(chatId);
+    if (!chat) return;
+
+    const model = getModel(modelId);
+    const attachments = await loadAttachments(chat.getActivePath());
+    const { report } = buildContext(chat, { model, reserveTokens, attachments });
+    const pending = findUnsummarized(chat, report.droppedMessageIds);
+    const pendingTokens = pending.reduce((total, msg) => total + countMessageTokens(msg, model), 0);
+
+    if (pendingTokens < SUMMARY_THRESHOLD_TOKENS) return;
+
+    const summaryModelId = SUMMARY_MODEL || modelId;
+    const { content, usage } = await summarize({
+      previousSummary: chat.summary?.content,
+      messages: pending,
+      modelId: summaryModelId
+    });
+
+    // Summaries are paid for like replies, so they count towards spending
+    if (usage) {
+      await recordUsage({
+        userId: chat.user,
+        model: summaryModelId,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        cost: calculateCost(usage, summaryModelId)
+      });
+    }
+    if (!content) return;
+
+    const summary = {
+      content,
+      coversUntil: pending[pending.length - 1]._id,
+      updatedAt: new Date(),
+      editedByUser: false
+    };
+
+    // Update just the summary so a concurrent message save isn't clobbered
+    await Chat.updateOne({ _id: chat._id }, { $set: { summary } });
+
+    io?.to(key).emit('summary-updated', { chatId: chat._id, summary });
+  } catch (error) {
+    console.error('Summary refresh error:', error.message);
+  } finally {
+    inProgress.delete(key);
+  }
+};
+
+module.exports = {
+  refreshSummary
+};
@@ -0,0 +1,132 @@
+// services/titles.js
+// Names a chat after its first exchange with a short model-written title,
+// falling back to the start of the user's first message.
+const Chat = require('../models/Chat');
+const { resolveModel } = require('../providers');
+const { callOnce } = require('./fallback');
+const { getModel, isModelEnabled, listModels } = require('./modelRegistry');
+const { truncateToTokens } = require('./tokens');
+const { calculateCost, recordUsage } = require('./usage');
+
+const DEFAULT_TITLE = 'New Chat';
+const TITLE_MAX_TOKENS = 24;
+// How much of the first message and reply the title is written from
+const EXCERPT_TOKENS = 500;
+
+const TITLE_INSTRUCTIONS = `Write a title of at most six words for the conversation below, in the
+language of the conversation. No quotes and no trailing punctuation. Reply with the title only.`;
+
+// Chats currently being titled, so a second reply doesn't start another call
+const inProgress = new Set();
+
+// TITLE_MODEL when it is on offer, otherwise the cheapest model that is.
+// Models without a known price may be anything but cheap, so they are left
+// out.
+const titleModelId = () => {
+  if (process.env.TITLE_MODEL && isModelEnabled(process.env.TITLE_MODEL)) {
+    return process.env.TITLE_MODEL;
+  }
+
+  const price = (model) => model.pricing.prompt + model.pricing.completion;
+  const [cheapest] = Object.entries(listModels())
+    .filter(([, model]) => model.pricing)
+    .sort(([, a], [, b]) => price(a) - price(b));
+  return cheapest?.[0];
+};
+
+// Models like to quote or label the title, or go on for a second line
+const cleanTitle = (text) => text
+  .trim()
+  .split('\n')[0]
+  .replace(/^title\s*:\s*/i, '')
+  .replace(/^["'“”‘’*#\s]+|["'“”‘’*.\s]+$/g, '')
+  .slice(0, 100)
+  .trim();
+
+const writeTitle = async ({ userId, userMessage, reply }) => {
+  const modelId = titleModelId();
+  if (!modelId) return '';
+
+  const { provider, upstreamModel } = resolveModel(modelId);
+  const model = getModel(modelId);
+  const excerpt = (msg) => truncateToTokens(msg.content, EXCERPT_TOKENS, model);
+
+  // Under the same timeout as replies, so a stalled call can't keep the chat
+  // untitled
+  const result = await callOnce(provider, {
+    model: upstreamModel,
+    messages: [
+      { role: 'system', content: TITLE_INSTRUCTIONS },
+      {
+        role: 'user',
+        content: `USER: ${excerpt(userMessage)}${reply ? `\n\nASSISTANT: ${excerpt(reply)}` : ''}`
+      }
+    ],
+    temperature: 0.3,
+    maxTokens: TITLE_MAX_TOKENS
+  }, { stream: false });
+
+  // Titles are paid for like replies, so they count towards spending
+  if (result.usage) {
+    await recordUsage({
+      userId,
+      model: modelId,
+      promptTokens: result.usage.promptTokens,
+      completionTokens: result.usage.completionTokens,
+      cost: calculateCost(result.usage, modelId)
+    });
+  }
+
+  return cleanTitle(result.content || '');
+};
+
+// Title a chat that still has the default one after a successful reply. Runs
+// in the background; tells every tab of the chat's owner through the socket.
+// A title the user set, before or while this runs, is never replaced.
+const autoTitle = async ({ chatId, io }) => {
+  const key = chatId.toString();
+  if (inProgress.has(key)) return;
+  inProgress.add(key);
+
+  try {
+    const chat = await Chat.findById(chatId);
+    if (!chat || chat.titleSetByUser || chat.title !== DEFAULT_TITLE) return;
+
+    const history = chat.getActivePath().filter(msg => msg.role !== 'system' && msg.status !== 'error');
+    const userMessage = history.find(msg => msg.role === 'user');
+    if (!userMessage) return;
+
+    let title = '';
+    try {
+      title = await writeTitle({
+        userId: chat.user,
+        userMessage,
+        reply: history.find(msg => msg.role === 'assistant' && msg.content)
+      });
+    } catch (error) {
+      console.error('Title generation error:', error.message);
+    }
+    title = title || chat.generateTitle();
+
+    const { modifiedCount } = await Chat.updateOne(
+      { _id: chat._id, title: DEFAULT_TITLE, titleSetByUser: { $ne: true } },
+      { $set: { title } }
+    );
+
+    if (modifiedCount > 0) {
+      io?.to(`user:${chat.user}`).emit('chat-title-updated', { chatId: chat._id, title });
+    }
+  } catch (error) {
+    console.error('Auto title error:', error.message);
+  } finally {
+    inProgress.delete(key);
+  }
+};
+
+// Cheap check on an already loaded chat, so most replies skip the lookup
+const needsTitle = (chat) => !chat.titleSetByUser && chat.title === DEFAULT_TITLE;
+
+module.exports = {
+  autoTitle,
+  needsTitle
+};
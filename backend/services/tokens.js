@@ -0,0 +1,91 @@
+// services/tokens.js
+// Token counting per model family, used for context budgeting and for the
+// token counts stored on messages when a provider reports no usage.
+const { Tiktoken } = require('js-tiktoken/lite');
+
+// Role markers and separators each message costs on top of its content
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// What an image costs in the prompt. Providers charge by resolution (OpenAI
+// 85-1,500ish, Anthropic about width x height / 750); this is a typical
+// screenshot, so budgets err on the safe side.
+const IMAGE_TOKENS = 1600;
+
+const TRUNCATION_MARKER = '\n\n[... truncated to fit the context window ...]\n\n';
+
+// `encoding` is the BPE vocabulary to count with. Families whose tokenizer is
+// not published as a BPE table are counted with the closest one and scaled
+// by how many more (or fewer) tokens they use for the same text.
+const TOKENIZERS = {
+  cl100k: { encoding: 'cl100k_base' },
+  o200k: { encoding: 'o200k_base' },
+  claude: { encoding: 'cl100k_base', scale: 1.15 },
+  llama: { encoding: 'cl100k_base', scale: 1.0 },
+  mistral: { encoding: 'cl100k_base', scale: 1.2 },
+  gemma: { encoding: 'cl100k_base', scale: 1.05 }
+};
+
+const DEFAULT_TOKENIZER = 'cl100k';
+
+// BPE cost grows quadratically with the length of a single word, so long runs
+// of letters or symbols (base64, ASCII art, "aaaa...") are extrapolated from
+// their first SAMPLE_CHARS instead of being encoded whole
+const SAMPLE_CHARS = 64;
+const LONG_RUN = new RegExp(`\\p{L}{${SAMPLE_CHARS},}|[^\\s\\p{L}\\p{N}]{${SAMPLE_CHARS},}`, 'gu');
+
+// Rank tables are a few MB each, so they are only loaded when first needed
+const encoders = {};
+const getEncoder = (encoding) => {
+  if (!encoders[encoding]) {
+    encoders[encoding] = new Tiktoken(require(`js-tiktoken/ranks/${encoding}`));
+  }
+  return encoders[encoding];
+};
+
+// `model` is an entry of config/models.js; unknown models count as cl100k
+const tokenizerFor = (model) => TOKENIZERS[model?.tokenizer] || TOKENIZERS[DEFAULT_TOKENIZER];
+
+const countTokens = (text, model) => {
+  if (!text) return 0;
+
+  const { encoding, scale = 1 } = tokenizerFor(model);
+  const encoder = getEncoder(encoding);
+  // Special-token markers in user text are counted as plain text
+  const encode = (part) => encoder.encode(part, [], []).length;
+
+  let tokens = 0;
+  let offset = 0;
+  for (const match of text.matchAll(LONG_RUN)) {
+    tokens += encode(text.slice(offset, match.index));
+    tokens += Math.ceil(encode(match[0].slice(0, SAMPLE_CHARS)) * match[0].length / SAMPLE_CHARS);
+    offset = match.index + match[0].length;
+  }
+  tokens += encode(text.slice(offset));
+
+  return Math.ceil(tokens * scale);
+};
+
+const countMessageTokens = (message, model) => MESSAGE_OVERHEAD_TOKENS + countTokens(message.content, model);
+
+// Shorten text to about maxTokens, keeping its beginning and end, which is
+// where pasted logs and files usually carry the useful parts
+const truncateToTokens = (text, maxTokens, model) => {
+  const tokens = countTokens(text, model);
+  if (tokens <= maxTokens) return text;
+
+  const charsPerToken = text.length / tokens;
+  const keepChars = Math.max(0, Math.floor((maxTokens - countTokens(TRUNCATION_MARKER, model)) * charsPerToken));
+  const headChars = Math.ceil(keepChars * 0.6);
+  const tailChars = keepChars - headChars;
+
+  return text.slice(0, headChars) + TRUNCATION_MARKER + (tailChars > 0 ? text.slice(-tailChars) : '');
+};
+
+module.exports = {
+  IMAGE_TOKENS,
+  MESSAGE_OVERHEAD_TOKENS,
+  TOKENIZERS,
+  countTokens,
+  countMessageTokens,
+  truncateToTokens
+};
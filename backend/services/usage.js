@@ -0,0 +1,101 @@
+// services/usage.js
+// Prices model calls and keeps per-user spending totals.
+const mongoose = require('mongoose');
+const Usage = require('../models/Usage');
+const { getModel } = require('./modelRegistry');
+
+// UTC periods, so a month means the same thing for every user
+const periodsOf = (date = new Date()) => {
+  const day = date.toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+};
+
+// USD for a call, from the model's per-million-token prices. Unpriced models
+// cost nothing rather than failing the request.
+const calculateCost = ({ promptTokens = 0, completionTokens = 0 }, modelId) => {
+  const pricing = getModel(modelId)?.pricing;
+  if (!pricing) return 0;
+
+  const cost = (promptTokens * pricing.prompt + completionTokens * pricing.completion) / 1e6;
+  // Micro-dollar precision keeps float noise out of the stored totals
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+const recordUsage = async ({ userId, model, promptTokens = 0, completionTokens = 0, cost = 0 }) => {
+  const { day, month } = periodsOf();
+
+  await Usage.updateOne(
+    { user: userId, day, model },
+    {
+      $setOnInsert: { month },
+      $inc: { requests: 1, promptTokens, completionTokens, cost }
+    },
+    { upsert: true }
+  );
+};
+
+// Totals for one month, overall and per model (most expensive first)
+const monthlyUsage = async (userId, month = periodsOf().month) => {
+  const rows = await Usage.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), month } },
+    {
+      $group: {
+        _id: '$model',
+        requests: { $sum: '$requests' },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        cost: { $sum: '$cost' }
+      }
+    },
+    { $sort: { cost: -1, _id: 1 } }
+  ]);
+
+  const models = rows.map(({ _id, ...totals }) => ({
+    model: _id,
+    name: getModel(_id)?.name || _id,
+    ...totals
+  }));
+
+  const sum = (key) => models.reduce((total, row) => total + row[key], 0);
+
+  return {
+    month,
+    requests: sum('requests'),
+    promptTokens: sum('promptTokens'),
+    completionTokens: sum('completionTokens'),
+    cost: Math.round(sum('cost') * 1e6) / 1e6,
+    models
+  };
+};
+
+// Tokens and cost so far today and this month, across all models
+const usageTotals = async (userId, date = new Date()) => {
+  const { day, month } = periodsOf(date);
+  const rows = await Usage.find({ user: userId, month })
+    .select('day promptTokens completionTokens cost')
+    .lean();
+
+  const totals = {
+    day: { tokens: 0, cost: 0 },
+    month: { tokens: 0, cost: 0 }
+  };
+  rows.forEach(row => {
+    const tokens = row.promptTokens + row.completionTokens;
+    totals.month.tokens += tokens;
+    totals.month.cost += row.cost;
+    if (row.day === day) {
+      totals.day.tokens += tokens;
+      totals.day.cost += row.cost;
+    }
+  });
+
+  return totals;
+};
+
+module.exports = {
+  periodsOf,
+  calculateCost,
+  recordUsage,
+  monthlyUsage,
+  usageTotals
+};
@@ -0,0 +1,175 @@
+// tools/calculator.js
+// Arithmetic the model would otherwise guess at. Expressions are parsed here
+// rather than evaluated as JavaScript.
+const { ToolError } = require('./errors');
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+const TOKEN = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/iy;
+
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) break;
+
+    const position = TOKEN.lastIndex;
+    const match = TOKEN.exec(expression);
+    if (!match) {
+      throw new ToolError(`Unexpected "${expression.slice(position).trim()[0]}" in the expression`);
+    }
+    const [, number, name, operator] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: parseFloat(number) });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name.toLowerCase() });
+    else tokens.push({ type: 'operator', value: operator === '**' ? '^' : operator });
+  }
+  return tokens;
+};
+
+// Recursive descent over
+//   sum     = product (("+" | "-") product)*
+//   product = unary (("*" | "/" | "%") unary)*
+//   unary   = ("-" | "+") unary | power
+//   power   = atom ("^" unary)?
+//   atom    = number | constant | function "(" sum ("," sum)* ")" | "(" sum ")"
+const evaluate = (expression) => {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) throw new ToolError(`Expected "${value}" in the expression`);
+    index++;
+  };
+
+  const atom = () => {
+    const token = tokens[index++];
+    if (!token) throw new ToolError('The expression ends too early');
+
+    if (token.type === 'number') return token.value;
+
+    if (token.type === 'name') {
+      if (token.value in CONSTANTS) return CONSTANTS[token.value];
+      const fn = FUNCTIONS[token.value];
+      if (!fn) throw new ToolError(`Unknown function or constant "${token.value}"`);
+
+      expect('(');
+      const args = [sum()];
+      while (isOperator(',')) {
+        index++;
+        args.push(sum());
+      }
+      expect(')');
+      return fn(...args);
+    }
+
+    if (token.value === '(') {
+      const value = sum();
+      expect(')');
+      return value;
+    }
+    throw new ToolError(`Unexpected "${token.value}" in the expression`);
+  };
+
+  const power = () => {
+    const base = atom();
+    if (!isOperator('^')) return base;
+    index++;
+    return base ** unary();
+  };
+
+  const unary = () => {
+    if (isOperator('-')) {
+      index++;
+      return -unary();
+    }
+    if (isOperator('+')) {
+      index++;
+      return unary();
+    }
+    return power();
+  };
+
+  const product = () => {
+    let value = unary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const operator = tokens[index++].value;
+      const right = unary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const sum = () => {
+    let value = product();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = tokens[index++].value;
+      const right = product();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const result = sum();
+  if (index < tokens.length) {
+    throw new ToolError(`Unexpected "${tokens[index].value}" in the expression`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new ToolError('The result is not a finite number (division by zero?)');
+  }
+  return result;
+};
+
+module.exports = {
+  name: 'calculator',
+  title: 'Calculator',
+  description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, '
+    + 'the constants pi and e, and sqrt, cbrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, '
+    + 'atan, ln, log (base 10), log2, exp, min, max and pow. Angles are in radians.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression, e.g. "(3.5 + 2) * sqrt(16) / 7"'
+      }
+    },
+    required: ['expression'],
+    additionalProperties: false
+  },
+  run: async ({ expression }) => {
+    if (expression.length > 1000) throw new ToolError('The expression is too long');
+    // Parsed to the precision of a double, so trim the float noise
+    const result = evaluate(expression);
+    return { expression, result: Number(result.toPrecision(15)) };
+  }
+};
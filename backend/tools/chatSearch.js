@@ -0,0 +1,71 @@
+// tools/chatSearch.js
+// Lets the model look up what was said in the user's other conversations
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const { ToolError } = require('./errors');
+const { escapeRegExp } = require('../utils/text');
+
+const DEFAULT_LIMIT = 5;
+// Characters of context kept on each side of the first match
+const EXCERPT_RADIUS = 150;
+
+// A window of the content around the first of the words
+const excerptOf = (content, words) => {
+  const lower = content.toLowerCase();
+  const at = Math.max(Math.min(...words.map(word => lower.indexOf(word)).filter(index => index >= 0)), 0);
+  const start = Math.max(at - EXCERPT_RADIUS, 0);
+  const end = Math.min(at + EXCERPT_RADIUS, content.length);
+  return `${start > 0 ? '...' : ''}${content.slice(start, end).trim()}${end < content.length ? '...' : ''}`;
+};
+
+module.exports = {
+  name: 'search_chats',
+  title: 'Search my chats',
+  description: 'Search the user\'s earlier conversations in this app for messages containing all of the '
+    + 'given words. Returns the newest matches with the chat title, who wrote them and an excerpt.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Words to look for; every word must appear in a message'
+      },
+      limit: {
+        type: 'integer',
+        description: `Most messages to return (default ${DEFAULT_LIMIT})`,
+        minimum: 1,
+        maximum: 20
+      }
+    },
+    required: ['query'],
+    additionalProperties: false
+  },
+  run: async ({ query, limit = DEFAULT_LIMIT }, { userId }) => {
+    const words = [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))].slice(0, 10);
+    if (words.length === 0) throw new ToolError('The query is empty');
+
+    const matchesAll = words.map(word => ({
+      'messages.content': { $regex: escapeRegExp(word), $options: 'i' }
+    }));
+
+    const matches = await Chat.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId), isActive: true, $and: matchesAll } },
+      { $unwind: '$messages' },
+      { $match: { 'messages.role': { $in: ['user', 'assistant'] }, $and: matchesAll } },
+      { $sort: { 'messages.timestamp': -1 } },
+      { $limit: limit },
+      { $project: { title: 1, message: '$messages' } }
+    ]);
+
+    return {
+      query,
+      results: matches.map(({ _id, title, message }) => ({
+        chatId: _id.toString(),
+        chatTitle: title,
+        role: message.role,
+        timestamp: message.timestamp,
+        excerpt: excerptOf(message.content, words)
+      }))
+    };
+  }
+};
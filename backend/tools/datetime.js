@@ -0,0 +1,55 @@
+// tools/datetime.js
+// The current date and time, which the model has no way of knowing
+const { ToolError } = require('./errors');
+
+const partsIn = (date, timeZone) => Object.fromEntries(
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'longOffset'
+  }).formatToParts(date).map(({ type, value }) => [type, value])
+);
+
+module.exports = {
+  name: 'datetime',
+  title: 'Date and time',
+  description: 'Get the current date, time and day of the week, in UTC or in a given IANA time zone.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANA time zone such as "Europe/Paris" or "America/New_York"; defaults to UTC'
+      }
+    },
+    additionalProperties: false
+  },
+  run: async ({ timezone = 'UTC' }) => {
+    const now = new Date();
+
+    let parts;
+    try {
+      parts = partsIn(now, timezone);
+    } catch (error) {
+      throw new ToolError(`Unknown time zone "${timezone}"`);
+    }
+
+    const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.replace('GMT', '');
+    return {
+      timezone,
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}:${parts.second}`,
+      weekday: parts.weekday,
+      utcOffset: offset,
+      iso: now.toISOString(),
+      unixSeconds: Math.floor(now.getTime() / 1000)
+    };
+  }
+};
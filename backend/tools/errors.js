@@ -0,0 +1,14 @@
+// tools/errors.js
+
+// A problem with a tool call the model can act on, such as bad arguments.
+// Its message is returned to the model as the call's result.
+class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+module.exports = {
+  ToolError
+};
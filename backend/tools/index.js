@@ -0,0 +1,128 @@
+// tools/index.js
+// Tools a model can call while it answers (see saveToolStep in routes/ai.js).
+// Every tool exposes
+//   name, title, description
+//   parameters              -> JSON schema of its arguments, an object
+//   run(args, context)      -> Promise of the result, any JSON value
+// where context is { userId, chatId, signal }. Throw a ToolError for a
+// problem the model should hear about (bad input, nothing found); the message
+// is sent back to it as the result.
+const calculator = require('./calculator');
+const datetime = require('./datetime');
+const chatSearch = require('./chatSearch');
+const remember = require('./remember');
+const { ToolError } = require('./errors');
+
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS) || 10000;
+// Longer results are cut before they go back to the model
+const MAX_RESULT_CHARS = 8000;
+
+const tools = [calculator, datetime, chatSearch, remember];
+const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+const getTool = (name) => toolsByName.get(name);
+
+// The tools a user hasn't switched off
+const enabledTools = (disabledTools = []) => tools.filter(tool => !disabledTools.includes(tool.name));
+
+// Tool descriptions in the OpenAI `tools` format providers/index.js takes
+const toolDefinitions = (list) => list.map(tool => ({
+  type: 'function',
+  function: {
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters
+  }
+}));
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean'
+};
+
+// Check arguments against the parts of JSON schema the tools use: required
+// properties, their types, enums and numeric bounds
+const checkArguments = (schema, args) => {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new ToolError('Arguments must be a JSON object');
+  }
+
+  (schema.required || []).forEach(name => {
+    if (args[name] === undefined) throw new ToolError(`Missing argument "${name}"`);
+  });
+
+  Object.entries(args).forEach(([name, value]) => {
+    const property = schema.properties?.[name];
+    if (!property) {
+      if (schema.additionalProperties === false) throw new ToolError(`Unknown argument "${name}"`);
+      return;
+    }
+    if (property.type && !TYPE_CHECKS[property.type]?.(value)) {
+      throw new ToolError(`Argument "${name}" must be a ${property.type}`);
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      throw new ToolError(`Argument "${name}" must be one of ${property.enum.join(', ')}`);
+    }
+    if (property.minimum !== undefined && value < property.minimum) {
+      throw new ToolError(`Argument "${name}" must be at least ${property.minimum}`);
+    }
+    if (property.maximum !== undefined && value > property.maximum) {
+      throw new ToolError(`Argument "${name}" must be at most ${property.maximum}`);
+    }
+  });
+};
+
+const withTimeout = (promise, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new ToolError(`No result within ${TOOL_TIMEOUT_MS / 1000}s`)), TOOL_TIMEOUT_MS);
+  const onAbort = () => reject(new ToolError('Stopped'));
+  if (signal?.aborted) onAbort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  promise.then(resolve, reject).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
+});
+
+// Run one call the model asked for, `{ name, arguments }` with the arguments
+// as a JSON string, if `allowed` includes the tool. Resolves to `{ content,
+// isError }` with the result as text for the model; a tool that crashes is
+// reported to the model as failed rather than failing the reply.
+const runToolCall = async (call, allowed, context) => {
+  try {
+    const tool = allowed.find(candidate => candidate.name === call.name);
+    if (!tool) throw new ToolError(`No tool named "${call.name}" is available`);
+
+    let args;
+    try {
+      args = call.arguments ? JSON.parse(call.arguments) : {};
+    } catch (error) {
+      throw new ToolError('Arguments are not valid JSON');
+    }
+    checkArguments(tool.parameters, args);
+
+    const result = await withTimeout(Promise.resolve().then(() => tool.run(args, context)), context.signal);
+    const content = typeof result === 'string' ? result : JSON.stringify(result);
+    return {
+      content: content.length > MAX_RESULT_CHARS ? `${content.slice(0, MAX_RESULT_CHARS)}... (cut)` : content,
+      isError: false
+    };
+  } catch (error) {
+    if (!(error instanceof ToolError)) {
+      console.error(`Tool ${call.name} error:`, error);
+      return { content: 'Error: The tool failed', isError: true };
+    }
+    return { content: `Error: ${error.message}`, isError: true };
+  }
+};
+
+module.exports = {
+  tools,
+  getTool,
+  enabledTools,
+  toolDefinitions,
+  runToolCall,
+  ToolError
+};
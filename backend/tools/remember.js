@@ -0,0 +1,43 @@
+// tools/remember.js
+// Lets the model suggest a memory (models/Memory.js). It is saved as a
+// proposal and only used in later chats once the user confirms it.
+const Memory = require('../models/Memory');
+const { MAX_MEMORIES } = require('../services/memories');
+const { ToolError } = require('./errors');
+
+module.exports = {
+  name: 'remember',
+  title: 'Propose memories',
+  description: 'Propose remembering a lasting fact about the user or their work, such as their '
+    + 'tech stack, preferences or role, so it is available in their future chats. The user is '
+    + 'asked to confirm it first. Use it only for facts that will still matter in other '
+    + 'conversations, stated briefly in the third person ("Uses Postgres 15").',
+  parameters: {
+    type: 'object',
+    properties: {
+      content: {
+        type: 'string',
+        description: 'The fact, in one short sentence'
+      }
+    },
+    required: ['content'],
+    additionalProperties: false
+  },
+  run: async ({ content }, { userId, chatId }) => {
+    const text = content.trim();
+    if (!text) throw new ToolError('The memory is empty');
+    if (text.length > 500) throw new ToolError('The memory is too long; keep it to one sentence');
+
+    const existing = await Memory.findOne({ user: userId, content: text });
+    if (existing) {
+      return { status: existing.status, content: text, note: 'Already remembered or proposed' };
+    }
+
+    if (await Memory.countDocuments({ user: userId }) >= MAX_MEMORIES) {
+      throw new ToolError('The user has too many memories to add more');
+    }
+
+    await Memory.create({ user: userId, content: text, status: 'proposed', chat: chatId });
+    return { status: 'proposed', content: text, note: 'The user will be asked to confirm it' };
+  }
+};
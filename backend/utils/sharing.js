@@ -0,0 +1,26 @@
+// utils/sharing.js
+// Prompts and assistants belong to the user who made them and can be
+// shared: shared ones can be used, but not changed, by every user. Only the
+// owner may edit or delete one, so those routes look it up by `user` alone.
+
+// Query conditions for what a user may use: their own and all shared ones
+const visibleTo = (userId) => ({ $or: [{ user: userId }, { shared: true }] });
+
+// A shareable document as the client sees it, with its author's name (when
+// `user` is populated) and whether the user owns it; `extra` adds fields of
+// the document's own
+const serializeShared = (doc, userId, extra = {}) => {
+  const { user, ...details } = doc.toObject();
+  const ownerId = doc.populated('user') || doc.user;
+  return {
+    ...details,
+    ...extra,
+    author: user?.username,
+    mine: String(ownerId) === userId
+  };
+};
+
+module.exports = {
+  visibleTo,
+  serializeShared
+};
@@ -0,0 +1,9 @@
+// utils/text.js
+
+// Text matched literally inside a regular expression, e.g. a search typed
+// by the user turned into a MongoDB $regex
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegExp
+};
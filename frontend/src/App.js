@@ -7,6 +7,10 @@ import { SocketProvider } from './contexts/SocketContext';
 import Login from './components/Login';
 import Register from './components/Register';
 import ClaudeInterface from './components/ClaudeInterface';
+import KnowledgeBases from './components/KnowledgeBases';
+import PromptLibrary from './components/PromptLibrary';
+import Assistants from './components/Assistants';
+import Memories from './components/Memories';
 import './App.css';
 
 function PrivateRoute({ children }) {
@@ -88,6 +92,30 @@ function App() {
                 </PrivateRoute>
               } />
               
+              <Route path="/knowledge" element={
+                <PrivateRoute>
+                  <KnowledgeBases />
+                </PrivateRoute>
+              } />
+              
+              <Route path="/prompts" element={
+                <PrivateRoute>
+                  <PromptLibrary />
+                </PrivateRoute>
+              } />
+              
+              <Route path="/assistants" element={
+                <PrivateRoute>
+                  <Assistants />
+                </PrivateRoute>
+              } />
+              
+              <Route path="/memories" element={
+                <PrivateRoute>
+                  <Memories />
+                </PrivateRoute>
+              } />
+              
               <Route path="*" element={<Navigate to="/" />} />
             </Routes>
           </div>
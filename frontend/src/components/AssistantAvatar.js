@@ -0,0 +1,26 @@
+// src/components/AssistantAvatar.js
+import React from 'react';
+import { Bot } from 'lucide-react';
+
+const SIZES = {
+  sm: { box: 'w-10 h-10', icon: 'h-5 w-5', emoji: 'text-xl' },
+  lg: { box: 'w-16 h-16', icon: 'h-8 w-8', emoji: 'text-3xl' }
+};
+
+// The round avatar beside replies: the chat assistant's emoji, or the bot
+// icon for chats without one
+function AssistantAvatar({ assistant, size = 'sm', iconClassName = 'animate-float' }) {
+  const { box, icon, emoji } = SIZES[size];
+
+  return (
+    <div className={`flex-shrink-0 ${box} rounded-full flex items-center justify-center shadow-lg transition-all duration-300 hover:scale-110 animate-glow bg-gradient-to-r from-orange-500 to-orange-600`}>
+      {assistant?.avatar ? (
+        <span className={`${emoji} leading-none`}>{assistant.avatar}</span>
+      ) : (
+        <Bot className={`${icon} text-white ${iconClassName}`} />
+      )}
+    </div>
+  );
+}
+
+export default AssistantAvatar;
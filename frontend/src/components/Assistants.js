@@ -0,0 +1,428 @@
+// src/components/Assistants.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeft,
+  Sparkles,
+  Plus,
+  Trash2,
+  Save,
+  Copy,
+  Users,
+  Lock,
+  MessageSquarePlus
+} from 'lucide-react';
+import AssistantAvatar from './AssistantAvatar';
+
+const MAX_STARTERS = 4;
+
+const EMPTY_DRAFT = {
+  name: '',
+  avatar: '',
+  description: '',
+  model: '',
+  systemPrompt: '',
+  temperature: '',
+  maxTokens: '',
+  starterMessages: [],
+  shared: false
+};
+
+// Form state for an assistant, numbers as the inputs hold them: strings,
+// empty when unset
+const draftOf = (assistant) => ({
+  name: assistant.name,
+  avatar: assistant.avatar || '',
+  description: assistant.description || '',
+  model: assistant.model || '',
+  systemPrompt: assistant.systemPrompt || '',
+  temperature: String(assistant.params?.temperature ?? ''),
+  maxTokens: String(assistant.params?.maxTokens ?? ''),
+  starterMessages: assistant.starterMessages || [],
+  shared: assistant.shared
+});
+
+const payloadOf = (draft) => ({
+  name: draft.name.trim(),
+  avatar: draft.avatar.trim(),
+  description: draft.description,
+  model: draft.model,
+  systemPrompt: draft.systemPrompt,
+  params: {
+    temperature: draft.temperature === '' ? null : Number(draft.temperature),
+    maxTokens: draft.maxTokens === '' ? null : Number(draft.maxTokens)
+  },
+  starterMessages: draft.starterMessages.map(starter => starter.trim()).filter(Boolean),
+  shared: draft.shared
+});
+
+const inputClassName = 'w-full px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50';
+
+// Manage assistants: named bundles of model, system prompt and parameters
+// that new chats can be started from
+function Assistants() {
+  const navigate = useNavigate();
+
+  const [assistants, setAssistants] = useState([]);
+  const [availableModels, setAvailableModels] = useState({});
+  // The assistant open in the editor; a draft without one is a new assistant
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchAssistants = async () => {
+    try {
+      const response = await axios.get('/api/assistants');
+      setAssistants(response.data.assistants);
+    } catch (error) {
+      console.error('Error fetching assistants:', error);
+      toast.error('Failed to load assistants');
+    }
+  };
+
+  useEffect(() => {
+    fetchAssistants();
+    axios.get('/api/ai/models')
+      .then(response => setAvailableModels(response.data.models))
+      .catch(error => console.error('Error fetching models:', error));
+  }, []);
+
+  const openAssistant = (assistant) => {
+    setSelected(assistant);
+    setDraft(assistant.mine ? draftOf(assistant) : null);
+  };
+
+  const startNewAssistant = (from = EMPTY_DRAFT) => {
+    setSelected(null);
+    setDraft(from);
+  };
+
+  const updateDraft = (changes) => setDraft(current => ({ ...current, ...changes }));
+
+  const setStarter = (index, text) => updateDraft({
+    starterMessages: draft.starterMessages.map((starter, i) => (i === index ? text : starter))
+  });
+
+  const saveAssistant = async (e) => {
+    e.preventDefault();
+    if (!draft.name.trim()) return;
+
+    setIsSaving(true);
+    try {
+      const response = selected
+        ? await axios.put(`/api/assistants/${selected._id}`, payloadOf(draft))
+        : await axios.post('/api/assistants', payloadOf(draft));
+      openAssistant(response.data.assistant);
+      fetchAssistants();
+      toast.success('Assistant saved');
+    } catch (error) {
+      console.error('Error saving assistant:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save assistant');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deleteAssistant = async () => {
+    if (!window.confirm(`Delete "${selected.name}"? Chats started from it keep their settings.`)) return;
+
+    try {
+      await axios.delete(`/api/assistants/${selected._id}`);
+      setSelected(null);
+      setDraft(null);
+      fetchAssistants();
+      toast.success('Assistant deleted');
+    } catch (error) {
+      console.error('Error deleting assistant:', error);
+      toast.error('Failed to delete assistant');
+    }
+  };
+
+  const startChat = async (assistant) => {
+    try {
+      const response = await axios.post('/api/chat', {
+        title: 'New Chat',
+        assistant: assistant._id
+      });
+      navigate(`/chat/${response.data.chat._id}`);
+    } catch (error) {
+      console.error('Error creating chat:', error);
+      toast.error('Failed to start a chat');
+    }
+  };
+
+  const isDirty = draft && (!selected || JSON.stringify(draft) !== JSON.stringify(draftOf(selected)));
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white">
+      <div className="max-w-6xl mx-auto px-6 py-8">
+        <div className="flex items-center space-x-3 mb-8">
+          <button
+            onClick={() => navigate('/')}
+            className="p-2 text-gray-400 hover:text-gray-200 hover:bg-gray-700/50 rounded-lg transition-all duration-200"
+            title="Back to chats"
+          >
+            <ArrowLeft className="h-5 w-5" />
+          </button>
+          <Sparkles className="h-6 w-6 text-orange-400" />
+          <h1 className="text-2xl font-semibold">Assistants</h1>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="space-y-3">
+            <button
+              onClick={() => startNewAssistant()}
+              className="w-full flex items-center justify-center space-x-2 p-2 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white text-sm rounded-lg transition-all duration-300"
+            >
+              <Plus className="h-4 w-4" />
+              <span>New assistant</span>
+            </button>
+
+            {assistants.map(assistant => (
+              <button
+                key={assistant._id}
+                onClick={() => openAssistant(assistant)}
+                className={`w-full flex items-center space-x-3 text-left p-3 rounded-xl border transition-all duration-200 ${
+                  selected?._id === assistant._id
+                    ? 'bg-gray-700/60 border-orange-500/50'
+                    : 'bg-gray-800/60 border-gray-700/50 hover:bg-gray-700/40'
+                }`}
+              >
+                <AssistantAvatar assistant={assistant} iconClassName="" />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm font-medium truncate flex-1">{assistant.name}</span>
+                    {assistant.shared && <Users className="h-3.5 w-3.5 text-gray-400 flex-shrink-0" />}
+                  </div>
+                  <div className="text-xs text-gray-400 mt-1 truncate">
+                    {assistant.mine ? (assistant.description || 'Yours') : `Shared by ${assistant.author}`}
+                  </div>
+                </div>
+              </button>
+            ))}
+
+            {assistants.length === 0 && (
+              <p className="text-sm text-gray-500 text-center py-6">
+                No assistants yet
+              </p>
+            )}
+          </div>
+
+          <div className="md:col-span-2">
+            {draft ? (
+              <form onSubmit={saveAssistant} className="bg-gray-800/60 border border-gray-700/50 rounded-2xl p-6 space-y-4">
+                <div className="flex space-x-3">
+                  <input
+                    value={draft.avatar}
+                    onChange={(e) => updateDraft({ avatar: e.target.value })}
+                    maxLength={16}
+                    placeholder="🤖"
+                    title="Avatar: an emoji"
+                    className="w-16 flex-shrink-0 px-2 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-lg text-center text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50"
+                  />
+                  <input
+                    value={draft.name}
+                    onChange={(e) => updateDraft({ name: e.target.value })}
+                    maxLength={60}
+                    placeholder="Name, e.g. SQL reviewer"
+                    className={inputClassName}
+                  />
+                </div>
+                <input
+                  value={draft.description}
+                  onChange={(e) => updateDraft({ description: e.target.value })}
+                  maxLength={300}
+                  placeholder="What it's for"
+                  className={inputClassName}
+                />
+
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <label className="block sm:col-span-1">
+                    <span className="block text-xs text-gray-400 mb-1">Model</span>
+                    <select
+                      value={draft.model}
+                      onChange={(e) => updateDraft({ model: e.target.value })}
+                      className={inputClassName}
+                    >
+                      <option value="">Your preferred model</option>
+                      {Object.entries(availableModels).map(([modelId, model]) => (
+                        <option key={modelId} value={modelId}>{model.name}</option>
+                      ))}
+                      {draft.model && !availableModels[draft.model] && (
+                        <option value={draft.model}>{draft.model} (unavailable)</option>
+                      )}
+                    </select>
+                  </label>
+                  <label className="block">
+                    <span className="block text-xs text-gray-400 mb-1">Temperature</span>
+                    <input
+                      type="number"
+                      min={0}
+                      max={2}
+                      step={0.1}
+                      value={draft.temperature}
+                      onChange={(e) => updateDraft({ temperature: e.target.value })}
+                      placeholder="Default"
+                      className={inputClassName}
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="block text-xs text-gray-400 mb-1">Max tokens</span>
+                    <input
+                      type="number"
+                      min={1}
+                      step={1}
+                      value={draft.maxTokens}
+                      onChange={(e) => updateDraft({ maxTokens: e.target.value })}
+                      placeholder="Default"
+                      className={inputClassName}
+                    />
+                  </label>
+                </div>
+
+                <label className="block">
+                  <span className="block text-xs text-gray-400 mb-1">System prompt</span>
+                  <textarea
+                    value={draft.systemPrompt}
+                    onChange={(e) => updateDraft({ systemPrompt: e.target.value })}
+                    maxLength={8000}
+                    rows={8}
+                    placeholder="e.g. You review SQL for correctness, performance and injection risks. Point at the exact line."
+                    className={`${inputClassName} resize-y`}
+                  />
+                </label>
+
+                <div>
+                  <span className="block text-xs text-gray-400 mb-1">Starter messages, offered in new chats</span>
+                  <div className="space-y-2">
+                    {draft.starterMessages.map((starter, index) => (
+                      <div key={index} className="flex space-x-2">
+                        <input
+                          value={starter}
+                          onChange={(e) => setStarter(index, e.target.value)}
+                          maxLength={500}
+                          className={inputClassName}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => updateDraft({ starterMessages: draft.starterMessages.filter((_, i) => i !== index) })}
+                          className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700/50 rounded-lg transition-all duration-200"
+                          title="Remove"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ))}
+                    {draft.starterMessages.length < MAX_STARTERS && (
+                      <button
+                        type="button"
+                        onClick={() => updateDraft({ starterMessages: [...draft.starterMessages, ''] })}
+                        className="flex items-center space-x-1 text-xs text-gray-400 hover:text-orange-400 transition-colors duration-200"
+                      >
+                        <Plus className="h-3.5 w-3.5" />
+                        <span>Add a starter message</span>
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                <label className="flex items-center space-x-2 text-sm text-gray-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={draft.shared}
+                    onChange={(e) => updateDraft({ shared: e.target.checked })}
+                    className="accent-orange-500"
+                  />
+                  <span>Share with everyone</span>
+                </label>
+
+                <div className="flex justify-between">
+                  {selected ? (
+                    <div className="flex space-x-2">
+                      <button
+                        type="button"
+                        onClick={deleteAssistant}
+                        className="flex items-center space-x-2 text-sm text-gray-400 hover:text-red-400 bg-gray-700/80 hover:bg-gray-600/80 px-3 py-2 rounded-lg transition-all duration-300"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                        <span>Delete</span>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => startChat(selected)}
+                        disabled={isDirty}
+                        title={isDirty ? 'Save your changes first' : undefined}
+                        className="flex items-center space-x-2 text-sm text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg transition-all duration-300"
+                      >
+                        <MessageSquarePlus className="h-4 w-4" />
+                        <span>Start chat</span>
+                      </button>
+                    </div>
+                  ) : <span />}
+                  <button
+                    type="submit"
+                    disabled={!isDirty || !draft.name.trim() || isSaving}
+                    className="flex items-center space-x-2 text-sm text-white bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg transition-all duration-300"
+                  >
+                    <Save className="h-4 w-4" />
+                    <span>{selected ? 'Save' : 'Create'}</span>
+                  </button>
+                </div>
+              </form>
+            ) : selected ? (
+              <div className="bg-gray-800/60 border border-gray-700/50 rounded-2xl p-6 space-y-4">
+                <div className="flex items-start justify-between">
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <AssistantAvatar assistant={selected} iconClassName="" />
+                    <div className="min-w-0">
+                      <h2 className="text-xl font-semibold truncate">{selected.name}</h2>
+                      <p className="flex items-center space-x-1 text-sm text-gray-400 mt-1">
+                        <Lock className="h-3.5 w-3.5" />
+                        <span>Shared by {selected.author}; only they can change it</span>
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex space-x-2 flex-shrink-0">
+                    <button
+                      onClick={() => startNewAssistant({ ...draftOf(selected), name: `${selected.name} (copy)`.slice(0, 60), shared: false })}
+                      className="flex items-center space-x-2 text-sm text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 px-3 py-2 rounded-lg transition-all duration-300"
+                    >
+                      <Copy className="h-4 w-4" />
+                      <span>Make a copy</span>
+                    </button>
+                    <button
+                      onClick={() => startChat(selected)}
+                      className="flex items-center space-x-2 text-sm text-white bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 px-3 py-2 rounded-lg transition-all duration-300"
+                    >
+                      <MessageSquarePlus className="h-4 w-4" />
+                      <span>Start chat</span>
+                    </button>
+                  </div>
+                </div>
+                {selected.description && (
+                  <p className="text-sm text-gray-300">{selected.description}</p>
+                )}
+                <p className="text-xs text-gray-400">
+                  Model: {selected.model ? (availableModels[selected.model]?.name || selected.model) : 'your preferred model'}
+                </p>
+                {selected.systemPrompt && (
+                  <pre className="text-sm text-gray-300 bg-gray-900/60 border border-gray-700/50 rounded-lg p-3 whitespace-pre-wrap font-mono">{selected.systemPrompt}</pre>
+                )}
+              </div>
+            ) : (
+              <div className="text-center text-gray-500 py-16 border border-dashed border-gray-700 rounded-2xl">
+                <Sparkles className="h-8 w-8 mx-auto mb-3 opacity-50" />
+                <p className="text-sm">An assistant bundles a model, a system prompt and settings</p>
+                <p className="text-sm">under a name; start chats from it instead of from scratch.</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Assistants;
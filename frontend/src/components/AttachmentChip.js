@@ -0,0 +1,149 @@
+// src/components/AttachmentChip.js
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { File, FileCode, FileJson, FileSpreadsheet, FileText, Image as ImageIcon, Loader2, X } from 'lucide-react';
+import { formatBytes } from '../utils/format';
+
+const KIND_ICONS = {
+  text: FileText,
+  markdown: FileText,
+  pdf: FileText,
+  code: FileCode,
+  json: FileJson,
+  csv: FileSpreadsheet
+};
+
+// The download needs the auth header, so it goes through axios rather than
+// a plain link
+export const downloadAttachment = async (attachmentId, filename) => {
+  try {
+    const response = await axios.get(`/api/attachments/${attachmentId}/content`, { responseType: 'blob' });
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    toast.error('Failed to download file');
+  }
+};
+
+// Object URL to show an image attachment with: the local `previewUrl` of a
+// file still in the composer, or the stored file, which needs the auth header
+const useImageUrl = (attachmentId, previewUrl) => {
+  const [url, setUrl] = useState(previewUrl || null);
+
+  useEffect(() => {
+    if (previewUrl) {
+      setUrl(previewUrl);
+      return undefined;
+    }
+    if (!attachmentId) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+    axios.get(`/api/attachments/${attachmentId}/content`, { responseType: 'blob' })
+      .then(response => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setUrl(objectUrl);
+      })
+      .catch(error => console.error('Error loading image:', error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachmentId, previewUrl]);
+
+  return url;
+};
+
+function ImageThumbnail({ attachment, attachmentId, uploading, onRemove }) {
+  const url = useImageUrl(attachmentId, attachment.previewUrl);
+
+  return (
+    <span className="relative inline-block">
+      <button
+        onClick={() => url && window.open(url, '_blank', 'noopener')}
+        disabled={!url}
+        className="block h-20 w-20 rounded-lg overflow-hidden bg-gray-700/60 border border-gray-600/50 hover:border-orange-500/50 disabled:cursor-default transition-all duration-200"
+        title={uploading ? 'Uploading...' : attachment.filename}
+      >
+        {url ? (
+          <img
+            src={url}
+            alt={attachment.filename}
+            className={`h-full w-full object-cover ${uploading ? 'opacity-50' : ''}`}
+          />
+        ) : (
+          <ImageIcon className="h-6 w-6 m-auto text-gray-500" />
+        )}
+        {uploading && (
+          <Loader2 className="absolute inset-0 m-auto h-5 w-5 text-orange-400 animate-spin" />
+        )}
+      </button>
+      {onRemove && (
+        <button
+          onClick={onRemove}
+          className="absolute -top-2 -right-2 p-0.5 bg-gray-800 border border-gray-600/50 text-gray-400 hover:text-gray-200 rounded-full transition-all duration-200"
+          title="Remove"
+        >
+          <X className="h-3.5 w-3.5" />
+        </button>
+      )}
+    </span>
+  );
+}
+
+// A file attached to a message, or waiting in the composer to be sent.
+// `attachment` is a message's attachment reference or an uploaded
+// attachment; `uploading` ones have no id yet. Images show as thumbnails.
+// With `onRemove` the chip gets a remove button.
+function AttachmentChip({ attachment, uploading = false, onRemove }) {
+  const attachmentId = attachment.attachment || attachment._id;
+
+  if (attachment.kind === 'image') {
+    return (
+      <ImageThumbnail
+        attachment={attachment}
+        attachmentId={attachmentId}
+        uploading={uploading}
+        onRemove={onRemove}
+      />
+    );
+  }
+
+  const Icon = uploading ? Loader2 : KIND_ICONS[attachment.kind] || File;
+
+  return (
+    <span className="inline-flex items-center max-w-xs space-x-2 text-xs text-gray-300 bg-gray-700/60 backdrop-blur border border-gray-600/50 rounded-lg pl-2 pr-1 py-1">
+      <Icon className={`h-4 w-4 flex-shrink-0 text-orange-400 ${uploading ? 'animate-spin' : ''}`} />
+      <button
+        onClick={() => attachmentId && downloadAttachment(attachmentId, attachment.filename)}
+        disabled={uploading || !attachmentId}
+        className="truncate hover:text-white disabled:cursor-default disabled:hover:text-gray-300 transition-colors duration-200"
+        title={uploading ? 'Uploading...' : `Download ${attachment.filename}`}
+      >
+        {attachment.filename}
+      </button>
+      {attachment.size !== undefined && (
+        <span className="text-gray-500 flex-shrink-0">{formatBytes(attachment.size)}</span>
+      )}
+      {onRemove && (
+        <button
+          onClick={onRemove}
+          className="p-0.5 text-gray-400 hover:text-gray-200 rounded hover:bg-gray-600/50 transition-all duration-200 flex-shrink-0"
+          title="Remove"
+        >
+          <X className="h-3.5 w-3.5" />
+        </button>
+      )}
+    </span>
+  );
+}
+
+export default AttachmentChip;
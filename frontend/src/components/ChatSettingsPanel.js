@@ -0,0 +1,274 @@
+// src/components/ChatSettingsPanel.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { X, Save, Loader, BookOpen, Wrench, Brain } from 'lucide-react';
+
+const idsOf = (knowledgeBases) => (knowledgeBases || []).map(id => id.toString());
+
+function ChatSettingsPanel({ chat, onClose, onChatUpdated }) {
+  const { user, updatePreferences } = useAuth();
+
+  const [systemPrompt, setSystemPrompt] = useState(chat?.systemPrompt || '');
+  const [summary, setSummary] = useState(chat?.summary?.content || '');
+  const [knowledgeBaseIds, setKnowledgeBaseIds] = useState(idsOf(chat?.knowledgeBases));
+  const [knowledgeBases, setKnowledgeBases] = useState(null);
+  const [tools, setTools] = useState(null);
+  const [useMemory, setUseMemory] = useState(chat?.useMemory !== false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setSystemPrompt(chat?.systemPrompt || '');
+  }, [chat?._id, chat?.systemPrompt]);
+
+  useEffect(() => {
+    setSummary(chat?.summary?.content || '');
+  }, [chat?._id, chat?.summary?.content]);
+
+  useEffect(() => {
+    setKnowledgeBaseIds(idsOf(chat?.knowledgeBases));
+  }, [chat?._id, chat?.knowledgeBases]);
+
+  useEffect(() => {
+    setUseMemory(chat?.useMemory !== false);
+  }, [chat?._id, chat?.useMemory]);
+
+  useEffect(() => {
+    axios.get('/api/knowledge')
+      .then(response => setKnowledgeBases(response.data.knowledgeBases))
+      .catch(error => {
+        console.error('Error loading knowledge bases:', error);
+        setKnowledgeBases([]);
+      });
+  }, []);
+
+  useEffect(() => {
+    axios.get('/api/ai/tools')
+      .then(response => setTools(response.data.tools))
+      .catch(error => {
+        console.error('Error loading tools:', error);
+        setTools([]);
+      });
+  }, []);
+
+  const toggleKnowledgeBase = (id) => {
+    setKnowledgeBaseIds(ids => (ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id]));
+  };
+
+  const isPromptDirty = systemPrompt !== (chat?.systemPrompt || '');
+  const isSummaryDirty = summary !== (chat?.summary?.content || '');
+  const savedIds = idsOf(chat?.knowledgeBases);
+  const isKnowledgeDirty = knowledgeBaseIds.length !== savedIds.length ||
+    knowledgeBaseIds.some(id => !savedIds.includes(id));
+  const isMemoryDirty = useMemory !== (chat?.useMemory !== false);
+  const summaryUpdatedAt = chat?.summary?.updatedAt;
+
+  const saveSettings = async () => {
+    setIsSaving(true);
+    try {
+      const response = await axios.put(`/api/chat/${chat._id}`, {
+        ...(isPromptDirty && { systemPrompt }),
+        ...(isSummaryDirty && { summary }),
+        ...(isKnowledgeDirty && { knowledgeBases: knowledgeBaseIds }),
+        ...(isMemoryDirty && { useMemory })
+      });
+      onChatUpdated(response.data.chat);
+      toast.success('Chat settings saved');
+    } catch (error) {
+      console.error('Error saving chat settings:', error);
+      toast.error('Failed to save chat settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Tools are switched on and off for all of the user's chats, so the change
+  // is saved straight away
+  const toggleTool = (name) => {
+    const disabledTools = user?.disabledTools || [];
+    updatePreferences({
+      disabledTools: disabledTools.includes(name)
+        ? disabledTools.filter(other => other !== name)
+        : [...disabledTools, name]
+    });
+  };
+
+  const saveAsDefault = () => {
+    updatePreferences({ defaultSystemPrompt: systemPrompt });
+  };
+
+  return (
+    <div className="absolute right-0 mt-2 w-96 bg-gray-700/90 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-600/50 z-50 animate-dropdown">
+      <div className="p-3 border-b border-gray-600/50 flex items-center justify-between">
+        <h3 className="font-semibold text-white">Chat settings</h3>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-400 hover:text-gray-200 transition-all duration-200 hover:scale-110"
+          title="Close"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-3 max-h-[70vh] overflow-y-auto">
+        <div>
+          <label className="block text-sm font-medium text-gray-200 mb-1">
+            System prompt
+          </label>
+          <p className="text-xs text-gray-400 mb-2">
+            Sent before every message in this chat, however long it gets.
+          </p>
+          <textarea
+            value={systemPrompt}
+            onChange={(e) => setSystemPrompt(e.target.value)}
+            maxLength={8000}
+            rows={6}
+            placeholder="e.g. You are a concise senior engineer. Answer in British English."
+            className="w-full px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50 resize-y"
+          />
+        </div>
+
+        <div className="flex items-center justify-between text-xs">
+          <button
+            onClick={() => setSystemPrompt(user?.defaultSystemPrompt || '')}
+            disabled={!user?.defaultSystemPrompt}
+            className="text-gray-400 hover:text-orange-400 disabled:opacity-40 disabled:hover:text-gray-400 transition-colors duration-200"
+          >
+            Use my default
+          </button>
+          <button
+            onClick={saveAsDefault}
+            className="text-gray-400 hover:text-orange-400 transition-colors duration-200"
+          >
+            Save as my default
+          </button>
+        </div>
+
+        <div className="pt-3 border-t border-gray-600/50">
+          <label className="block text-sm font-medium text-gray-200 mb-1">
+            Conversation summary
+          </label>
+          <p className="text-xs text-gray-400 mb-2">
+            {summaryUpdatedAt
+              ? `Stands in for messages that no longer fit in the context window. ${chat.summary.editedByUser ? 'Edited by you' : 'Updated'} ${new Date(summaryUpdatedAt).toLocaleString()}.`
+              : 'Written automatically once this chat outgrows the context window.'}
+          </p>
+          <textarea
+            value={summary}
+            onChange={(e) => setSummary(e.target.value)}
+            maxLength={20000}
+            rows={5}
+            placeholder="No summary yet"
+            className="w-full px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50 resize-y"
+          />
+        </div>
+
+        <div className="pt-3 border-t border-gray-600/50">
+          <label className="block text-sm font-medium text-gray-200 mb-1">
+            Knowledge bases
+          </label>
+          <p className="text-xs text-gray-400 mb-2">
+            Passages matching each message are sent along with it, and replies cite them.
+          </p>
+          {knowledgeBases === null ? (
+            <Loader className="h-4 w-4 text-gray-400 animate-spin" />
+          ) : knowledgeBases.length === 0 ? (
+            <p className="text-xs text-gray-500">
+              No knowledge bases yet. <Link to="/knowledge" className="text-orange-400 hover:text-orange-300">Create one</Link>
+            </p>
+          ) : (
+            <div className="space-y-1">
+              {knowledgeBases.map(knowledgeBase => (
+                <label
+                  key={knowledgeBase._id}
+                  className="flex items-center space-x-2 px-2 py-1.5 rounded-lg hover:bg-gray-600/40 cursor-pointer text-sm text-gray-200"
+                >
+                  <input
+                    type="checkbox"
+                    checked={knowledgeBaseIds.includes(knowledgeBase._id)}
+                    onChange={() => toggleKnowledgeBase(knowledgeBase._id)}
+                    className="accent-orange-500"
+                  />
+                  <BookOpen className="h-4 w-4 text-orange-400 flex-shrink-0" />
+                  <span className="truncate flex-1">{knowledgeBase.name}</span>
+                  <span className="text-xs text-gray-500 flex-shrink-0">
+                    {knowledgeBase.documentCount} {knowledgeBase.documentCount === 1 ? 'file' : 'files'}
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="pt-3 border-t border-gray-600/50">
+          <label className="flex items-start space-x-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={useMemory}
+              onChange={(e) => setUseMemory(e.target.checked)}
+              className="accent-orange-500 mt-1"
+            />
+            <span className="flex-1">
+              <span className="flex items-center space-x-1.5 text-sm font-medium text-gray-200">
+                <Brain className="h-4 w-4 text-orange-400" />
+                <span>Use memory</span>
+              </span>
+              <span className="block text-xs text-gray-400 mt-1">
+                Facts you asked to be remembered are sent when relevant, and the assistant may propose new ones. <Link to="/memories" className="text-orange-400 hover:text-orange-300">Manage memories</Link>
+              </span>
+            </span>
+          </label>
+        </div>
+
+        <div className="pt-3 border-t border-gray-600/50">
+          <label className="block text-sm font-medium text-gray-200 mb-1">
+            Tools
+          </label>
+          <p className="text-xs text-gray-400 mb-2">
+            Models that support tools can call these while answering. Applies to all your chats.
+          </p>
+          {tools === null ? (
+            <Loader className="h-4 w-4 text-gray-400 animate-spin" />
+          ) : (
+            <div className="space-y-1">
+              {tools.map(tool => (
+                <label
+                  key={tool.name}
+                  className="flex items-start space-x-2 px-2 py-1.5 rounded-lg hover:bg-gray-600/40 cursor-pointer text-sm text-gray-200"
+                  title={tool.description}
+                >
+                  <input
+                    type="checkbox"
+                    checked={!(user?.disabledTools || []).includes(tool.name)}
+                    onChange={() => toggleTool(tool.name)}
+                    className="accent-orange-500 mt-0.5"
+                  />
+                  <Wrench className="h-4 w-4 text-orange-400 flex-shrink-0 mt-0.5" />
+                  <span className="flex-1 min-w-0">
+                    <span className="block">{tool.title}</span>
+                    <span className="block text-xs text-gray-500 truncate">{tool.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="p-3 border-t border-gray-600/50 flex justify-end">
+        <button
+          onClick={saveSettings}
+          disabled={!(isPromptDirty || isSummaryDirty || isKnowledgeDirty || isMemoryDirty) || isSaving}
+          className="flex items-center space-x-2 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-white text-sm px-4 py-2 rounded-lg transition-all duration-300"
+        >
+          {isSaving ? <Loader className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+          <span>Save</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ChatSettingsPanel;
@@ -1,20 +1,35 @@
 // src/components/ClaudeInterface.js
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
 import axios from 'axios';
 import toast from 'react-hot-toast';
-import ReactMarkdown from 'react-markdown';
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import MarkdownMessage from './MarkdownMessage';
+import ChatSettingsPanel from './ChatSettingsPanel';
+import GenerationParamsPopover from './GenerationParamsPopover';
+import UsageWidget from './UsageWidget';
+import QuotaBar from './QuotaBar';
+import VariantPager from './VariantPager';
+import CompareColumns from './CompareColumns';
+import useComparison from './useComparison';
+import AttachmentChip from './AttachmentChip';
+import SourceChips from './SourceChips';
+import ToolSteps from './ToolSteps';
+import AssistantAvatar from './AssistantAvatar';
+import MemoryProposals from './MemoryProposals';
+import SlashCommandMenu from './SlashCommandMenu';
+import PromptVariablesForm from './PromptVariablesForm';
+import { postEventStream } from '../utils/eventStream';
+import { formatCost, formatTokens } from '../utils/format';
+import { matchPrompts } from '../utils/prompts';
+import { getActivePath, getPathTo, getSiblings, parentOf, promptOf, selectMessage } from '../utils/messageTree';
 import {
   Plus,
   Send,
   Bot,
   User,
   Settings,
-  Loader,
   Copy,
   Check,
   MessageSquare,
@@ -26,22 +41,105 @@ import {
   X,
   Edit3,
   Save,
-  XCircle
+  XCircle,
+  Square,
+  SlidersHorizontal,
+  AlertCircle,
+  RotateCcw,
+  RefreshCw,
+  Columns,
+  Paperclip,
+  Upload,
+  Eye,
+  BookOpen,
+  ScrollText,
+  Sparkles,
+  Brain
 } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 
+// Files the backend accepts as attachments (see services/attachments.js)
+const ATTACHMENT_ACCEPT = [
+  '.txt', '.log', '.md', '.markdown', '.csv', '.json', '.pdf',
+  '.js', '.jsx', '.ts', '.tsx', '.py', '.rb', '.php', '.java', '.go', '.rs', '.c', '.h', '.cpp',
+  '.cs', '.sh', '.sql', '.html', '.css', '.xml', '.yml', '.yaml', '.toml',
+  '.png', '.jpg', '.jpeg', '.gif', '.webp'
+].join(',');
+const MAX_ATTACHMENTS = 10;
+
+// What a message keeps of an uploaded attachment
+const attachmentRef = ({ _id, filename, contentType, size, kind }) => ({
+  attachment: _id,
+  filename,
+  contentType,
+  size,
+  kind
+});
+
+// Add a message coming from the stream or the socket exactly once. Saved
+// messages are matched by _id; the optimistic copy of the user's own message
+// is swapped for the saved one when it comes back. A new variant of a turn
+// becomes the one shown, as it is on the server.
+const mergeMessage = (messages, incoming) => {
+  if (incoming._id && messages.some(msg => msg._id === incoming._id)) {
+    return messages;
+  }
+
+  const pendingIndex = messages.findIndex(msg =>
+    msg.pending && msg.role === incoming.role && msg.content === incoming.content
+  );
+  if (pendingIndex !== -1) {
+    return messages.map((msg, i) => (i === pendingIndex ? incoming : msg));
+  }
+
+  const exists = messages.some(msg =>
+    msg.timestamp === incoming.timestamp &&
+    msg.content === incoming.content
+  );
+  if (exists) return messages;
+
+  const merged = [...messages, incoming];
+  return incoming.parentId !== undefined && incoming.selected !== false
+    ? selectMessage(merged, incoming._id)
+    : merged;
+};
+
 function ClaudeInterface() {
   const { chatId } = useParams();
   const navigate = useNavigate();
   const { user, logout } = useAuth();
-  const { joinChat, leaveChat, onNewMessage } = useSocket();
+  const {
+    joinChat,
+    leaveChat,
+    onNewMessage,
+    onSummaryUpdated,
+    onMessageRemoved,
+    onMessageSelected,
+    onChatTitleUpdated
+  } = useSocket();
   
   // Chat state
   const [chat, setChat] = useState(null);
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isSending, setIsSending] = useState(false);
+  const [streamingMessage, setStreamingMessage] = useState(null);
+  // Message the reply being generated answers; the turn is shown up to it
+  const [generatingReplyTo, setGeneratingReplyTo] = useState(null);
+  // Files uploaded for the next message; ones still uploading have no _id
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [contextReport, setContextReport] = useState(null);
+  const [usageRefreshKey, setUsageRefreshKey] = useState(0);
+  // Memories the assistant proposed in this chat, awaiting the user's answer
+  const [memoryProposals, setMemoryProposals] = useState([]);
+  const [memoryRefreshKey, setMemoryRefreshKey] = useState(0);
   const [copiedMessageId, setCopiedMessageId] = useState(null);
+  // Prompt library: the slash-command menu and the prompt being filled in
+  const [libraryPrompts, setLibraryPrompts] = useState(null);
+  const [slashHighlighted, setSlashHighlighted] = useState(0);
+  const [slashDismissed, setSlashDismissed] = useState(false);
+  const [fillingPrompt, setFillingPrompt] = useState(null);
   
   // Dashboard state
   const [chats, setChats] = useState([]);
@@ -49,18 +147,27 @@ function ClaudeInterface() {
   
   // UI state
   const [availableModels, setAvailableModels] = useState({});
+  const [defaultParams, setDefaultParams] = useState({});
   const [selectedModel, setSelectedModel] = useState('');
   const [showModelSelector, setShowModelSelector] = useState(false);
+  const [showChatSettings, setShowChatSettings] = useState(false);
+  const [showParamsPopover, setShowParamsPopover] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(true);
   
   // Chat editing state
   const [editingChatId, setEditingChatId] = useState(null);
   const [editingChatTitle, setEditingChatTitle] = useState('');
+
+  // Message editing state
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editingMessageText, setEditingMessageText] = useState('');
   
   const messagesEndRef = useRef(null);
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
   const editInputRef = useRef(null);
+  const streamControllerRef = useRef(null);
 
   useEffect(() => {
     fetchChats();
@@ -68,6 +175,20 @@ function ClaudeInterface() {
   }, []);
 
   useEffect(() => {
+    setShowChatSettings(false);
+    setShowParamsPopover(false);
+    setEditingMessageId(null);
+
+    // Chats are titled in the background after their first reply
+    const titleCleanup = onChatTitleUpdated((data) => {
+      setChats(prev => prev.map(chatItem => (
+        chatItem._id === data.chatId ? { ...chatItem, title: data.title } : chatItem
+      )));
+      if (data.chatId === chatId) {
+        setChat(prev => prev && { ...prev, title: data.title });
+      }
+    });
+
     if (chatId) {
       fetchChat();
       joinChat(chatId);
@@ -75,33 +196,81 @@ function ClaudeInterface() {
       // Listen for real-time messages
       const cleanup = onNewMessage((data) => {
         if (data.chatId === chatId) {
-          setMessages(prev => {
-            const exists = prev.some(msg => 
-              msg.timestamp === data.message.timestamp && 
-              msg.content === data.message.content
-            );
-            if (!exists) {
-              return [...prev, data.message];
-            }
-            return prev;
-          });
+          setMessages(prev => mergeMessage(prev, data.message));
+        }
+      });
+
+      // A failed reply was replaced by a retry, possibly from another tab
+      const removedCleanup = onMessageRemoved((data) => {
+        if (data.chatId === chatId) {
+          setMessages(prev => prev.filter(msg => msg._id !== data.messageId));
+        }
+      });
+
+      // Another variant of a turn was picked, possibly in another tab
+      const selectedCleanup = onMessageSelected((data) => {
+        if (data.chatId === chatId) {
+          setMessages(prev => selectMessage(prev, data.messageId));
+        }
+      });
+
+      // Older turns were condensed in the background after a reply
+      const summaryCleanup = onSummaryUpdated((data) => {
+        if (data.chatId === chatId) {
+          setChat(prev => prev && { ...prev, summary: data.summary });
         }
       });
 
       return () => {
         leaveChat(chatId);
+        if (titleCleanup) titleCleanup();
         if (cleanup) cleanup();
+        if (summaryCleanup) summaryCleanup();
+        if (removedCleanup) removedCleanup();
+        if (selectedCleanup) selectedCleanup();
+        // Leaving the chat (or closing the tab) drops the stream, which the
+        // backend treats as a stop so nobody pays for unread tokens
+        streamControllerRef.current?.abort();
       };
     } else {
       // Clear chat state when no chat is selected
       setChat(null);
       setMessages([]);
+      return titleCleanup;
     }
   }, [chatId]);
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, streamingMessage]);
+
+  // Which messages the model would see with the next message
+  const fetchContextReport = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/ai/context/${chatId}`, {
+        params: { model: selectedModel }
+      });
+      setContextReport(response.data.context);
+    } catch (error) {
+      console.error('Error fetching context report:', error);
+    }
+  }, [chatId, selectedModel]);
+
+  useEffect(() => {
+    if (chatId && selectedModel) {
+      fetchContextReport();
+    } else {
+      setContextReport(null);
+    }
+  }, [chatId, selectedModel, chat?.summary?.updatedAt, fetchContextReport]);
+
+  useEffect(() => {
+    setMemoryProposals([]);
+    if (!chatId) return;
+    axios.get('/api/memories', { params: { status: 'proposed', chat: chatId } })
+      .then(response => setMemoryProposals(response.data.memories))
+      .catch(error => console.error('Error loading memory proposals:', error));
+  }, [chatId, memoryRefreshKey]);
 
   // Auto-focus edit input when editing starts
   useEffect(() => {
@@ -141,6 +310,7 @@ function ClaudeInterface() {
     try {
       const response = await axios.get('/api/ai/models');
       setAvailableModels(response.data.models);
+      setDefaultParams(response.data.defaultParams || {});
       // Set default model if none selected
       if (!selectedModel && Object.keys(response.data.models).length > 0) {
         setSelectedModel(Object.keys(response.data.models)[0]);
@@ -242,32 +412,476 @@ function ClaudeInterface() {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  const sendMessage = async () => {
-    if (!inputMessage.trim() || isSending || !chatId) return;
+  // Run a generation over the event stream, showing the reply as it arrives.
+  // `onEvent` sees every event first, for the caller's own bookkeeping.
+  // `replyTo` is the message being answered, when it is already saved.
+  const streamGeneration = async (url, body, { onEvent, replyTo = null } = {}) => {
+    let answeringModel = body.model;
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    setIsSending(true);
+    setGeneratingReplyTo(replyTo);
 
+    try {
+      await postEventStream(url, body, {
+        signal: controller.signal,
+        onEvent: (event) => {
+          onEvent?.(event);
+
+          if (event.error) {
+            // Carries the server's message like an error response does
+            const error = new Error(event.error);
+            error.data = { message: event.error };
+            throw error;
+          }
+          // A comparison column's events are left to the caller
+          if (event.column) return;
+
+          if (event.context) {
+            setContextReport(event.context);
+          }
+          if (event.model) {
+            answeringModel = event.model;
+          }
+          if (event.fallback) {
+            const modelName = (id) => availableModels[id]?.name || id;
+            toast(`${modelName(event.fallback.from)} is unavailable, answering with ${modelName(event.fallback.to)}`, {
+              icon: '↪️'
+            });
+          }
+          if (event.userMessage) {
+            setMessages(prev => mergeMessage(prev, event.userMessage));
+            setGeneratingReplyTo(event.userMessage._id);
+          }
+          if (event.toolCalls) {
+            // The model called tools; its answer continues after their results
+            const stepMessages = [event.toolCalls, ...event.toolResults];
+            setMessages(prev => stepMessages.reduce(mergeMessage, prev));
+            setStreamingMessage(null);
+            setGeneratingReplyTo(stepMessages[stepMessages.length - 1]._id);
+            if (event.toolCalls.toolCalls.some(call => call.name === 'remember')) {
+              setMemoryRefreshKey(key => key + 1);
+            }
+          }
+          if (event.partial) {
+            setStreamingMessage(prev => ({
+              role: 'assistant',
+              model: answeringModel,
+              timestamp: prev?.timestamp || new Date().toISOString(),
+              content: (prev?.content || '') + event.content
+            }));
+          }
+          if (event.done) {
+            if (event.fullMessage) {
+              setMessages(prev => mergeMessage(prev, event.fullMessage));
+              setUsageRefreshKey(key => key + 1);
+            }
+            // Every reply of a comparison, with the one the chat continues from
+            if (event.messages) {
+              setMessages(prev => {
+                const merged = event.messages.reduce(mergeMessage, prev);
+                return event.selectedId ? selectMessage(merged, event.selectedId) : merged;
+              });
+              setUsageRefreshKey(key => key + 1);
+            }
+            setStreamingMessage(null);
+            setGeneratingReplyTo(null);
+          }
+        }
+      });
+    } finally {
+      if (streamControllerRef.current === controller) {
+        streamControllerRef.current = null;
+        setStreamingMessage(null);
+        setGeneratingReplyTo(null);
+        setIsSending(false);
+      }
+    }
+  };
+
+  const showGenerationError = (error, fallbackText) => {
+    if (error.data?.code === 'quota_exceeded') {
+      toast.error(`${error.data.message}. It resets ${formatDistanceToNow(new Date(error.data.resetsAt), { addSuffix: true })}.`);
+      setUsageRefreshKey(key => key + 1);
+    } else {
+      toast.error(error.data?.message || fallbackText);
+    }
+  };
+
+  const isUploading = pendingAttachments.some(attachment => attachment.uploading);
+  const canSend = Boolean(inputMessage.trim() && chatId) && !isSending && !isUploading;
+
+  // Send the composer's message to `url` with `body`, showing it straight
+  // away as pending. If the server never saved it, it goes back into the
+  // composer with its attachments and `onUnsaved` runs.
+  const sendComposerMessage = async (url, body, { onEvent, onUnsaved, errorText }) => {
     const messageText = inputMessage.trim();
+    const attachments = pendingAttachments;
+    const pendingMessage = {
+      _id: `pending-${Date.now()}`,
+      parentId: getActivePath(messages).pop()?._id || null,
+      role: 'user',
+      content: messageText,
+      ...(attachments.length > 0 && { attachments: attachments.map(attachmentRef) }),
+      timestamp: new Date().toISOString(),
+      pending: true
+    };
+
+    let userMessageSaved = false;
+
     setInputMessage('');
-    setIsSending(true);
+    setPendingAttachments([]);
+    setMessages(prev => [...prev, pendingMessage]);
 
     try {
-      await axios.post('/api/ai/chat', {
+      await streamGeneration(url, {
         chatId,
         message: messageText,
-        model: selectedModel
+        ...body,
+        attachments: attachments.map(attachment => attachment._id)
+      }, {
+        onEvent: (event) => {
+          if (event.userMessage) {
+            userMessageSaved = true;
+            releasePreviews(attachments);
+          }
+          onEvent?.(event);
+        }
       });
     } catch (error) {
+      if (error.name === 'AbortError') return;
+
       console.error('Error sending message:', error);
-      toast.error('Failed to send message');
-      setInputMessage(messageText);
-    } finally {
-      setIsSending(false);
+      showGenerationError(error, errorText);
+      if (!userMessageSaved) {
+        setMessages(prev => prev.filter(msg => msg._id !== pendingMessage._id));
+        setInputMessage(messageText);
+        setPendingAttachments(attachments);
+        onUnsaved?.();
+      }
+    }
+  };
+
+  const sendMessage = () => {
+    if (!canSend) return;
+    sendComposerMessage('/api/ai/stream', { model: selectedModel }, { errorText: 'Failed to send message' });
+  };
+
+  // Replace a failed reply with a fresh attempt at the same turn
+  const retryReply = async (failedMessage) => {
+    if (isSending) return;
+
+    try {
+      await streamGeneration('/api/ai/retry', {
+        chatId,
+        messageId: failedMessage._id,
+        model: selectedModel
+      }, {
+        replyTo: parentOf(messages, failedMessage._id),
+        onEvent: (event) => {
+          if (event.removedMessageId) {
+            setMessages(prev => prev.filter(msg => msg._id !== event.removedMessageId));
+          }
+        }
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+
+      console.error('Error retrying reply:', error);
+      showGenerationError(error, 'Failed to retry');
     }
   };
 
+  // Ask for another answer to the turn a reply belongs to; the current one
+  // stays available through the variant pager
+  const regenerateReply = async (reply) => {
+    if (isSending) return;
+
+    const userMessageId = promptOf(messages, reply._id);
+    try {
+      await streamGeneration('/api/ai/regenerate', {
+        chatId,
+        messageId: userMessageId,
+        model: selectedModel
+      }, {
+        replyTo: userMessageId
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+
+      console.error('Error regenerating reply:', error);
+      showGenerationError(error, 'Failed to regenerate');
+    }
+  };
+
+  const startEditingMessage = (message) => {
+    setEditingMessageId(message._id);
+    setEditingMessageText(message.content);
+  };
+
+  const cancelEditingMessage = () => {
+    setEditingMessageId(null);
+    setEditingMessageText('');
+  };
+
+  // Send an edited version of an earlier message. It starts a new branch
+  // from that point with a fresh reply; the original branch stays reachable
+  // through the pager on the message.
+  const submitEditedMessage = async (original) => {
+    const messageText = editingMessageText.trim();
+    if (!messageText || isSending) return;
+
+    if (messageText === original.content) {
+      cancelEditingMessage();
+      return;
+    }
+
+    const pendingMessage = {
+      _id: `pending-${Date.now()}`,
+      parentId: parentOf(messages, original._id),
+      role: 'user',
+      content: messageText,
+      attachments: original.attachments,
+      timestamp: new Date().toISOString(),
+      pending: true
+    };
+
+    let userMessageSaved = false;
+
+    cancelEditingMessage();
+    setMessages(prev => selectMessage([...prev, pendingMessage], pendingMessage._id));
+
+    try {
+      await streamGeneration('/api/ai/edit', {
+        chatId,
+        messageId: original._id,
+        message: messageText,
+        model: selectedModel
+      }, {
+        onEvent: (event) => {
+          if (event.userMessage) userMessageSaved = true;
+        }
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+
+      console.error('Error editing message:', error);
+      showGenerationError(error, 'Failed to edit message');
+      if (!userMessageSaved) {
+        setMessages(prev => selectMessage(
+          prev.filter(msg => msg._id !== pendingMessage._id),
+          original._id
+        ));
+      }
+    }
+  };
+
+  // Show another variant of a turn and continue the conversation from it
+  const selectVariant = async (messageId) => {
+    const previous = messages;
+    setMessages(prev => selectMessage(prev, messageId));
+
+    try {
+      await axios.put(`/api/chat/${chatId}/messages/${messageId}/select`);
+      fetchContextReport();
+    } catch (error) {
+      console.error('Error selecting variant:', error);
+      toast.error('Failed to switch version');
+      setMessages(previous);
+    }
+  };
+
+  const stopGeneration = async () => {
+    try {
+      // The backend saves the partial reply and closes the stream itself
+      await axios.post('/api/ai/stop', { chatId });
+    } catch (error) {
+      console.error('Error stopping generation:', error);
+      streamControllerRef.current?.abort();
+    }
+  };
+
+  const {
+    compareMode,
+    compareModelIds,
+    comparison,
+    toggleCompareMode,
+    toggleCompareModel,
+    sendComparison,
+    pickComparisonWinner,
+    dismissComparison
+  } = useComparison({
+    chatId,
+    selectedModel,
+    setSelectedModel,
+    canSend,
+    sendComposerMessage,
+    selectVariant
+  });
+
+  // Models the next message goes to that would not be sent its images
+  const imagesLeftOutFor = pendingAttachments.some(attachment => attachment.kind === 'image')
+    ? (compareMode ? compareModelIds : [selectedModel])
+      .filter(modelId => availableModels[modelId] && !availableModels[modelId].vision)
+    : [];
+
+  // Upload files picked, dropped or pasted into the composer; they are sent
+  // with the next message
+  const attachFiles = async (files) => {
+    if (!chatId || files.length === 0) return;
+
+    const room = MAX_ATTACHMENTS - pendingAttachments.length;
+    if (files.length > room) {
+      toast.error(`Attach at most ${MAX_ATTACHMENTS} files to a message`);
+    }
+
+    await Promise.all(files.slice(0, Math.max(room, 0)).map(async (file, i) => {
+      const localId = `upload-${Date.now()}-${i}`;
+      // Images show a thumbnail from the local file while they upload
+      const previewUrl = file.type.startsWith('image/') ? URL.createObjectURL(file) : undefined;
+      setPendingAttachments(prev => [...prev, {
+        localId,
+        filename: file.name,
+        size: file.size,
+        uploading: true,
+        ...(previewUrl && { kind: 'image', previewUrl })
+      }]);
+
+      try {
+        const formData = new FormData();
+        formData.append('file', file);
+        const response = await axios.post('/api/attachments', formData);
+        setPendingAttachments(prev => prev.map(attachment => (
+          attachment.localId === localId ? { localId, previewUrl, ...response.data.attachment } : attachment
+        )));
+      } catch (error) {
+        console.error('Error uploading attachment:', error);
+        toast.error(`${file.name}: ${error.response?.data?.message || 'Upload failed'}`);
+        setPendingAttachments(prev => prev.filter(attachment => attachment.localId !== localId));
+        releasePreviews([{ previewUrl }]);
+      }
+    }));
+  };
+
+  // Sent messages load their images from the server, so local previews can go
+  const releasePreviews = (attachments) => {
+    attachments.forEach(attachment => {
+      if (attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl);
+    });
+  };
+
+  const removePendingAttachment = async (attachment) => {
+    setPendingAttachments(prev => prev.filter(item => item.localId !== attachment.localId));
+    releasePreviews([attachment]);
+
+    try {
+      await axios.delete(`/api/attachments/${attachment._id}`);
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+    }
+  };
+
+  const handleFileInput = (e) => {
+    attachFiles(Array.from(e.target.files));
+    e.target.value = '';
+  };
+
+  // Typing `/` at the start of an otherwise empty message box opens the
+  // prompt library; the rest of the word narrows it down
+  const slashQuery = !slashDismissed && !fillingPrompt
+    ? /^\/(\S*)$/.exec(inputMessage)?.[1] ?? null
+    : null;
+  const isSlashMenuOpen = slashQuery !== null;
+  const slashMatches = isSlashMenuOpen && libraryPrompts ? matchPrompts(libraryPrompts, slashQuery) : null;
+
+  // Refreshed each time the menu opens, so new and newly shared prompts show up
+  useEffect(() => {
+    if (!isSlashMenuOpen) return;
+    axios.get('/api/prompts')
+      .then(response => setLibraryPrompts(response.data.prompts))
+      .catch(error => {
+        console.error('Error loading prompts:', error);
+        setLibraryPrompts(current => current || []);
+      });
+  }, [isSlashMenuOpen]);
+
+  const handleInputChange = (e) => {
+    setInputMessage(e.target.value);
+    setSlashDismissed(false);
+    setSlashHighlighted(0);
+  };
+
+  const insertText = (text) => {
+    setInputMessage(text);
+    setFillingPrompt(null);
+    requestAnimationFrame(() => textareaRef.current?.focus());
+  };
+
+  const choosePrompt = (prompt) => {
+    if (prompt.variables.length > 0) {
+      setInputMessage('');
+      setFillingPrompt(prompt);
+    } else {
+      insertText(prompt.body);
+    }
+  };
+
+  const handleSlashKeys = (e) => {
+    if (!isSlashMenuOpen) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      setSlashDismissed(true);
+      return;
+    }
+    if (!slashMatches?.length) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSlashHighlighted(index => (index + step + slashMatches.length) % slashMatches.length);
+    } else if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+      e.preventDefault();
+      choosePrompt(slashMatches[Math.min(slashHighlighted, slashMatches.length - 1)]);
+    }
+  };
+
+  // Pasted files are attached; pasted text is left to the textarea
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length > 0) {
+      e.preventDefault();
+      attachFiles(files);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    if (!chatId || !e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDraggingFile(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDraggingFile(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    if (!chatId) return;
+    e.preventDefault();
+    setIsDraggingFile(false);
+    attachFiles(Array.from(e.dataTransfer.files));
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
-      sendMessage();
+      if (compareMode) {
+        sendComparison();
+      } else {
+        sendMessage();
+      }
     }
   };
 
@@ -308,6 +922,27 @@ function ClaudeInterface() {
     }
   };
 
+  // While a reply is generated the turn is shown up to the message it
+  // answers, so a regenerated reply takes the place of the one it replaces
+  const shownReplyTo = comparison?.userMessageId || generatingReplyTo;
+  const shownPath = shownReplyTo
+    ? getPathTo(messages, shownReplyTo)
+    : getActivePath(messages);
+  // Tool results are shown with the call they answer rather than on their own
+  const toolResults = Object.fromEntries(
+    shownPath.filter(message => message.role === 'tool').map(message => [message.toolCallId, message])
+  );
+  const conversationPath = shownPath.filter(message => message.role !== 'tool');
+  const displayMessages = streamingMessage
+    ? [...conversationPath, { ...streamingMessage, streaming: true }]
+    : conversationPath;
+
+  // Replies are labelled with the chat's assistant, if it was started from one
+  const assistantName = chat?.assistant?.name || 'Claude';
+
+  const droppedMessageIds = new Set(contextReport?.droppedMessageIds || []);
+  const truncatedMessageIds = new Set(contextReport?.truncatedMessageIds || []);
+
   if (loading) {
     return (
       <div className="h-screen bg-gray-900 flex items-center justify-center relative overflow-hidden">
@@ -400,7 +1035,11 @@ function ClaudeInterface() {
                 >
                   <div className="flex-1 min-w-0">
                     <div className="flex items-center space-x-2 mb-1">
-                      <MessageSquare className="h-4 w-4 flex-shrink-0 text-orange-400 transition-transform duration-300 group-hover:scale-110 group-hover:rotate-12" />
+                      {chatItem.assistant?.avatar ? (
+                        <span className="w-4 text-sm leading-none flex-shrink-0" title={chatItem.assistant.name}>{chatItem.assistant.avatar}</span>
+                      ) : (
+                        <MessageSquare className="h-4 w-4 flex-shrink-0 text-orange-400 transition-transform duration-300 group-hover:scale-110 group-hover:rotate-12" />
+                      )}
                       {editingChatId === chatItem._id ? (
                         <input
                           ref={editInputRef}
@@ -478,6 +1117,8 @@ function ClaudeInterface() {
             )}
           </div>
 
+          <UsageWidget refreshKey={usageRefreshKey} />
+
           {/* User Profile Section */}
           <div className="p-4 border-t border-gray-700/50">
             <div className="relative">
@@ -502,6 +1143,46 @@ function ClaudeInterface() {
 
               {showUserMenu && (
                 <div className="absolute bottom-full left-0 right-0 mb-2 bg-gray-700/90 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-600/50 z-50 animate-dropdown">
+                  <button
+                    onClick={() => {
+                      navigate('/knowledge');
+                      setShowUserMenu(false);
+                    }}
+                    className="w-full flex items-center space-x-2 px-4 py-3 text-sm text-gray-200 hover:bg-gray-600/50 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+                  >
+                    <BookOpen className="h-4 w-4" />
+                    <span>Knowledge bases</span>
+                  </button>
+                  <button
+                    onClick={() => {
+                      navigate('/prompts');
+                      setShowUserMenu(false);
+                    }}
+                    className="w-full flex items-center space-x-2 px-4 py-3 text-sm text-gray-200 hover:bg-gray-600/50 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+                  >
+                    <ScrollText className="h-4 w-4" />
+                    <span>Prompt library</span>
+                  </button>
+                  <button
+                    onClick={() => {
+                      navigate('/assistants');
+                      setShowUserMenu(false);
+                    }}
+                    className="w-full flex items-center space-x-2 px-4 py-3 text-sm text-gray-200 hover:bg-gray-600/50 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+                  >
+                    <Sparkles className="h-4 w-4" />
+                    <span>Assistants</span>
+                  </button>
+                  <button
+                    onClick={() => {
+                      navigate('/memories');
+                      setShowUserMenu(false);
+                    }}
+                    className="w-full flex items-center space-x-2 px-4 py-3 text-sm text-gray-200 hover:bg-gray-600/50 rounded-xl transition-all duration-200 hover:scale-[1.02]"
+                  >
+                    <Brain className="h-4 w-4" />
+                    <span>Memory</span>
+                  </button>
                   <button
                     onClick={() => {
                       logout();
@@ -520,7 +1201,22 @@ function ClaudeInterface() {
       </div>
 
       {/* Main Content Area */}
-      <div className="flex-1 flex flex-col min-w-0 relative z-10">
+      <div
+        className="flex-1 flex flex-col min-w-0 relative z-10"
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
+        {isDraggingFile && (
+          <div className="absolute inset-0 z-30 m-4 flex items-center justify-center rounded-2xl border-2 border-dashed border-orange-500/60 bg-gray-900/80 backdrop-blur pointer-events-none animate-fade-in">
+            <div className="text-center">
+              <Upload className="h-10 w-10 text-orange-400 mx-auto mb-3" />
+              <p className="text-lg text-gray-200">Drop files to attach them</p>
+              <p className="text-sm text-gray-500">Text, code, Markdown, CSV, JSON, PDF or images</p>
+            </div>
+          </div>
+        )}
+
         {/* Top Header */}
         <header className="h-16 flex items-center justify-between px-4 border-b border-gray-700/50 bg-gray-800/50 backdrop-blur-xl flex-shrink-0">
           <div className="flex items-center space-x-3 h-full">
@@ -541,45 +1237,128 @@ function ClaudeInterface() {
             </h1>
           </div>
 
-          {/* Model Selector */}
-          <div className="relative">
-            <button
-              onClick={() => setShowModelSelector(!showModelSelector)}
-              className="flex items-center space-x-2 px-4 py-2 bg-gray-700/80 hover:bg-gray-600/80 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl backdrop-blur transform hover:scale-[1.02]"
-            >
-              <span className="text-sm font-medium">
-                {availableModels[selectedModel]?.name || selectedModel || 'Claude Sonnet 4'}
-              </span>
-              <ChevronDown className={`h-4 w-4 transition-transform duration-300 ${showModelSelector ? 'rotate-180' : ''}`} />
-            </button>
+          <div className="flex items-center space-x-2">
+            {/* Compare mode */}
+            {chatId && chat && (
+              <button
+                onClick={toggleCompareMode}
+                disabled={isSending}
+                className={`p-2 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl backdrop-blur transform hover:scale-[1.02] disabled:opacity-50 disabled:cursor-not-allowed ${
+                  compareMode ? 'bg-gray-600/80 text-orange-400' : 'bg-gray-700/80 hover:bg-gray-600/80'
+                }`}
+                title={compareMode ? 'Leave compare mode' : 'Compare models side by side'}
+              >
+                <Columns className="h-5 w-5" />
+              </button>
+            )}
 
-            {showModelSelector && (
-              <div className="absolute right-0 mt-2 w-64 bg-gray-700/90 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-600/50 z-50 animate-dropdown">
-                <div className="p-3 border-b border-gray-600/50">
-                  <h3 className="font-semibold text-white">Select Model</h3>
-                </div>
-                <div className="max-h-64 overflow-y-auto">
-                  {Object.entries(availableModels).map(([key, model], index) => (
-                    <button
-                      key={key}
-                      onClick={() => {
-                        setSelectedModel(key);
-                        setShowModelSelector(false);
-                      }}
-                      className={`w-full text-left px-4 py-3 hover:bg-gray-600/50 transition-all duration-200 hover:scale-[1.02] first:rounded-t-xl last:rounded-b-xl focus:outline-none animate-slide-in ${
-                        selectedModel === key ? 'bg-gray-600/70 text-orange-400' : 'text-gray-300'
-                      }`}
-                      style={{
-                        animationDelay: `${index * 50}ms`
-                      }}
-                    >
-                      <div className="font-medium">{model.name}</div>
-                      <div className="text-sm text-gray-400">{model.provider}</div>
-                    </button>
-                  ))}
-                </div>
+            {/* Chat Settings */}
+            {chatId && chat && (
+              <div className="relative">
+                <button
+                  onClick={() => {
+                    setShowChatSettings(!showChatSettings);
+                    setShowParamsPopover(false);
+                    setShowModelSelector(false);
+                  }}
+                  className={`p-2 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl backdrop-blur transform hover:scale-[1.02] ${
+                    showChatSettings ? 'bg-gray-600/80 text-orange-400' : 'bg-gray-700/80 hover:bg-gray-600/80'
+                  }`}
+                  title="Chat settings"
+                >
+                  <Settings className="h-5 w-5" />
+                </button>
+
+                {showChatSettings && (
+                  <ChatSettingsPanel
+                    chat={chat}
+                    onClose={() => setShowChatSettings(false)}
+                    onChatUpdated={(updatedChat) => setChat(prev => ({ ...prev, ...updatedChat }))}
+                  />
+                )}
+              </div>
+            )}
+
+            {/* Generation Parameters */}
+            {chatId && chat && (
+              <div className="relative">
+                <button
+                  onClick={() => {
+                    setShowParamsPopover(!showParamsPopover);
+                    setShowChatSettings(false);
+                    setShowModelSelector(false);
+                  }}
+                  className={`p-2 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl backdrop-blur transform hover:scale-[1.02] ${
+                    showParamsPopover ? 'bg-gray-600/80 text-orange-400' : 'bg-gray-700/80 hover:bg-gray-600/80'
+                  }`}
+                  title="Generation settings"
+                >
+                  <SlidersHorizontal className="h-5 w-5" />
+                </button>
+
+                {showParamsPopover && (
+                  <GenerationParamsPopover
+                    chat={chat}
+                    model={availableModels[chat.model]}
+                    appDefaults={defaultParams}
+                    onClose={() => setShowParamsPopover(false)}
+                    onChatUpdated={(updatedChat) => setChat(prev => ({ ...prev, ...updatedChat }))}
+                  />
+                )}
               </div>
             )}
+
+            {/* Model Selector */}
+            <div className="relative">
+              <button
+                onClick={() => {
+                  setShowModelSelector(!showModelSelector);
+                  setShowChatSettings(false);
+                  setShowParamsPopover(false);
+                }}
+                className="flex items-center space-x-2 px-4 py-2 bg-gray-700/80 hover:bg-gray-600/80 rounded-xl transition-all duration-300 shadow-lg hover:shadow-xl backdrop-blur transform hover:scale-[1.02]"
+              >
+                <span className="text-sm font-medium">
+                  {availableModels[selectedModel]?.name || selectedModel || 'Claude Sonnet 4'}
+                </span>
+                <ChevronDown className={`h-4 w-4 transition-transform duration-300 ${showModelSelector ? 'rotate-180' : ''}`} />
+              </button>
+
+              {showModelSelector && (
+                <div className="absolute right-0 mt-2 w-64 bg-gray-700/90 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-600/50 z-50 animate-dropdown">
+                  <div className="p-3 border-b border-gray-600/50">
+                    <h3 className="font-semibold text-white">Select Model</h3>
+                  </div>
+                  <div className="max-h-64 overflow-y-auto">
+                    {Object.entries(availableModels).map(([key, model], index) => (
+                      <button
+                        key={key}
+                        onClick={() => {
+                          setSelectedModel(key);
+                          setShowModelSelector(false);
+                        }}
+                        className={`w-full text-left px-4 py-3 hover:bg-gray-600/50 transition-all duration-200 hover:scale-[1.02] first:rounded-t-xl last:rounded-b-xl focus:outline-none animate-slide-in ${
+                          selectedModel === key ? 'bg-gray-600/70 text-orange-400' : 'text-gray-300'
+                        }`}
+                        style={{
+                          animationDelay: `${index * 50}ms`
+                        }}
+                      >
+                        <div className="font-medium">{model.name}</div>
+                        <div className="flex items-center space-x-2 text-sm text-gray-400">
+                          <span>{model.provider}</span>
+                          {model.vision && (
+                            <span title="Accepts images">
+                              <Eye className="h-3.5 w-3.5" />
+                            </span>
+                          )}
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
           </div>
         </header>
 
@@ -610,13 +1389,56 @@ function ClaudeInterface() {
                     <span>Start new chat</span>
                   </span>
                 </button>
+                <button
+                  onClick={() => navigate('/assistants')}
+                  className="flex items-center space-x-2 mx-auto mt-4 text-sm text-gray-400 hover:text-orange-400 transition-colors duration-200"
+                >
+                  <Sparkles className="h-4 w-4" />
+                  <span>or start from an assistant</span>
+                </button>
               </div>
             </div>
           ) : (
             // Chat messages
             <div className="px-4 py-6">
               <div className="max-w-4xl mx-auto space-y-8">
-                {messages.length === 0 ? (
+                {droppedMessageIds.size > 0 && (
+                  <div className="text-center text-xs text-gray-500 bg-gray-800/40 backdrop-blur border border-gray-700/50 rounded-xl px-4 py-2 animate-fade-in">
+                    {droppedMessageIds.size} earlier {droppedMessageIds.size === 1 ? 'message is' : 'messages are'} outside
+                    the model's context window{contextReport?.summaryIncluded
+                      ? '; the model sees a summary of them instead (see chat settings).'
+                      : " and won't be seen by it."}
+                  </div>
+                )}
+
+                {displayMessages.length === 0 && chat?.assistant ? (
+                  <div className="text-center py-16 animate-fade-in-up">
+                    <div className="flex justify-center mb-6">
+                      <AssistantAvatar assistant={chat.assistant} size="lg" />
+                    </div>
+                    <h3 className="text-xl font-semibold text-gray-300 mb-3">
+                      {chat.assistant.name}
+                    </h3>
+                    {chat.assistant.description && (
+                      <p className="text-gray-500 text-lg">
+                        {chat.assistant.description}
+                      </p>
+                    )}
+                    {chat.assistant.starterMessages?.length > 0 && (
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-8 text-left">
+                        {chat.assistant.starterMessages.map(starter => (
+                          <button
+                            key={starter}
+                            onClick={() => insertText(starter)}
+                            className="p-4 text-sm text-gray-300 bg-gray-700/30 hover:bg-gray-700/50 border border-gray-600/30 hover:border-orange-500/40 rounded-xl transition-all duration-300"
+                          >
+                            {starter}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ) : displayMessages.length === 0 ? (
                   <div className="text-center py-16 animate-fade-in-up">
                     <Bot className="h-16 w-16 text-gray-600 mx-auto mb-6 animate-bounce-slow" />
                     <h3 className="text-xl font-semibold text-gray-300 mb-3">
@@ -627,146 +1449,254 @@ function ClaudeInterface() {
                     </p>
                   </div>
                 ) : (
-                  messages.map((message, index) => (
+                  displayMessages.map((message, index) => (
                     <div 
-                      key={index} 
-                      className="flex items-start space-x-4 animate-message-appear"
+                      key={message._id || index} 
+                      className={`flex items-start space-x-4 animate-message-appear transition-opacity duration-300 ${
+                        droppedMessageIds.has(message._id) ? 'opacity-50' : ''
+                      }`}
                       style={{
                         animationDelay: `${index * 100}ms`
                       }}
                     >
-                      <div className={`flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center shadow-lg transition-all duration-300 hover:scale-110 animate-glow ${
-                        message.role === 'user' 
-                          ? 'bg-gradient-to-r from-blue-500 to-blue-600' 
-                          : 'bg-gradient-to-r from-orange-500 to-orange-600'
-                      }`}>
-                        {message.role === 'user' ? (
+                      {message.role === 'user' ? (
+                        <div className="flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center shadow-lg transition-all duration-300 hover:scale-110 animate-glow bg-gradient-to-r from-blue-500 to-blue-600">
                           <User className="h-5 w-5 text-white" />
-                        ) : (
-                          <Bot className="h-5 w-5 text-white animate-float" />
-                        )}
-                      </div>
+                        </div>
+                      ) : (
+                        <AssistantAvatar assistant={chat?.assistant} />
+                      )}
 
                       <div className="flex-1 min-w-0">
                         <div className="flex items-center space-x-3 mb-3">
                           <span className="font-semibold text-gray-200 text-lg">
-                            {message.role === 'user' ? user?.username : 'Claude'}
+                            {message.role === 'user' ? user?.username : assistantName}
                           </span>
                           <span className="text-xs text-gray-500 bg-gray-700/50 backdrop-blur px-2 py-1 rounded-full">
                             {formatTimestamp(message.timestamp)}
                           </span>
+                          <VariantPager
+                            variants={getSiblings(messages, message._id)}
+                            currentId={message._id}
+                            onSelect={selectVariant}
+                            disabled={isSending}
+                          />
                           {message.model && (
-                            <span className="text-xs bg-gradient-to-r from-orange-500 to-orange-600 text-white px-2 py-1 rounded-full animate-glow">
+                            <span
+                              className="text-xs bg-gradient-to-r from-orange-500 to-orange-600 text-white px-2 py-1 rounded-full animate-glow"
+                              title={message.requestedModel
+                                ? `Answered by ${availableModels[message.model]?.name || message.model} because ${availableModels[message.requestedModel]?.name || message.requestedModel} was unavailable`
+                                : undefined}
+                            >
+                              {message.requestedModel && '↪ '}
                               {availableModels[message.model]?.name || message.model}
                             </span>
                           )}
+                          {message.promptTokens !== undefined && (
+                            <span
+                              className="text-xs text-gray-400 bg-gray-700/50 backdrop-blur px-2 py-1 rounded-full"
+                              title={`${formatTokens(message.promptTokens)} prompt + ${formatTokens(message.completionTokens)} completion tokens`}
+                            >
+                              {formatCost(message.cost)}
+                            </span>
+                          )}
+                          {droppedMessageIds.has(message._id) && (
+                            <span
+                              className="text-xs text-gray-400 bg-gray-700/50 backdrop-blur px-2 py-1 rounded-full"
+                              title="Too old to fit in the model's context window"
+                            >
+                              Out of context
+                            </span>
+                          )}
+                          {truncatedMessageIds.has(message._id) && (
+                            <span
+                              className="text-xs text-yellow-400/80 bg-gray-700/50 backdrop-blur px-2 py-1 rounded-full"
+                              title="Only part of this message fits in the model's context window"
+                            >
+                              Truncated in context
+                            </span>
+                          )}
+                          {message.stopped && (
+                            <span className="text-xs text-gray-400 bg-gray-700/50 backdrop-blur px-2 py-1 rounded-full">
+                              Stopped
+                            </span>
+                          )}
                         </div>
 
-                        <div className={`group rounded-2xl p-6 shadow-lg transition-all duration-300 hover:shadow-xl backdrop-blur border animate-message-slide ${
-                          message.role === 'user' 
-                            ? 'bg-blue-600/10 border-blue-500/20 hover:border-blue-400/30 hover:bg-blue-600/15' 
-                            : 'bg-gray-700/30 border-gray-600/30 hover:border-gray-500/50 hover:bg-gray-700/40'
-                        }`}>
-                          {message.role === 'user' ? (
-                            <p className="text-gray-100 whitespace-pre-wrap leading-relaxed text-lg">
-                              {message.content}
-                            </p>
-                          ) : (
-                            <div className="prose prose-lg max-w-none">
-                              <ReactMarkdown
-                                components={{
-                                  code({node, inline, className, children, ...props}) {
-                                    const match = /language-(\w+)/.exec(className || '');
-                                    return !inline && match ? (
-                                      <div className="my-4 group">
-                                        <SyntaxHighlighter
-                                          style={tomorrow}
-                                          language={match[1]}
-                                          PreTag="div"
-                                          className="rounded-xl shadow-lg border border-gray-600/50 backdrop-blur transition-all duration-300 group-hover:border-gray-500/70"
-                                          {...props}
-                                        >
-                                          {String(children).replace(/\n$/, '')}
-                                        </SyntaxHighlighter>
-                                      </div>
-                                    ) : (
-                                      <code className={`${className} bg-gray-800/80 backdrop-blur border border-gray-600/50 px-2 py-1 rounded-md text-orange-300 text-sm font-mono transition-all duration-200 hover:bg-gray-700/80`} {...props}>
-                                        {children}
-                                      </code>
-                                    );
-                                  },
-                                  p: ({children}) => <p className="text-gray-100 mb-4 last:mb-0 leading-relaxed text-lg">{children}</p>,
-                                  h1: ({children}) => <h1 className="text-gray-100 text-3xl font-bold mb-6 border-b border-gray-600/50 pb-2">{children}</h1>,
-                                  h2: ({children}) => <h2 className="text-gray-100 text-2xl font-bold mb-4 text-orange-400">{children}</h2>,
-                                  h3: ({children}) => <h3 className="text-gray-100 text-xl font-bold mb-3 text-orange-300">{children}</h3>,
-                                  ul: ({children}) => <ul className="text-gray-100 list-disc list-inside mb-6 space-y-2 ml-4">{children}</ul>,
-                                  ol: ({children}) => <ol className="text-gray-100 list-decimal list-inside mb-6 space-y-2 ml-4">{children}</ol>,
-                                  li: ({children}) => <li className="text-gray-100 leading-relaxed">{children}</li>,
-                                  blockquote: ({children}) => (
-                                    <blockquote className="border-l-4 border-orange-500 pl-6 text-gray-300 italic mb-6 bg-gray-800/30 backdrop-blur py-4 rounded-r-lg transition-all duration-300 hover:bg-gray-700/30">
-                                      {children}
-                                    </blockquote>
-                                  ),
-                                  table: ({children}) => (
-                                    <div className="overflow-x-auto mb-6">
-                                      <table className="min-w-full border border-gray-600/50 backdrop-blur rounded-lg overflow-hidden">
-                                        {children}
-                                      </table>
-                                    </div>
-                                  ),
-                                  th: ({children}) => (
-                                    <th className="bg-gray-700/80 backdrop-blur text-gray-100 px-4 py-3 text-left font-semibold border-b border-gray-600/50">
-                                      {children}
-                                    </th>
-                                  ),
-                                  td: ({children}) => (
-                                    <td className="bg-gray-800/30 backdrop-blur text-gray-100 px-4 py-3 border-b border-gray-600/50">
-                                      {children}
-                                    </td>
-                                  )
-                                }}
-                              >
-                                {message.content}
-                              </ReactMarkdown>
+                        {message.status === 'error' ? (
+                          <div className="rounded-2xl p-6 shadow-lg backdrop-blur border bg-red-900/20 border-red-500/30 animate-message-slide">
+                            {message.content && (
+                              <div className="mb-4 opacity-70">
+                                <MarkdownMessage content={message.content} />
+                              </div>
+                            )}
+                            <div className="flex items-start space-x-3">
+                              <AlertCircle className="h-5 w-5 text-red-400 flex-shrink-0 mt-0.5" />
+                              <div className="flex-1 min-w-0">
+                                <p className="text-red-300 font-medium">The reply could not be generated</p>
+                                {message.error?.message && (
+                                  <p className="text-sm text-gray-400 mt-1 break-words">{message.error.message}</p>
+                                )}
+                                <p className="text-xs text-gray-500 mt-1">
+                                  {[message.error?.provider, message.error?.status, message.error?.code].filter(Boolean).join(' · ')}
+                                </p>
+                              </div>
+                              {index === displayMessages.length - 1 && (
+                                <button
+                                  onClick={() => retryReply(message)}
+                                  disabled={isSending}
+                                  className="flex items-center space-x-2 text-sm text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 disabled:opacity-50 disabled:cursor-not-allowed backdrop-blur px-3 py-2 rounded-lg transition-all duration-300 shadow-md flex-shrink-0"
+                                >
+                                  <RotateCcw className="h-4 w-4" />
+                                  <span>Retry</span>
+                                </button>
+                              )}
                             </div>
-                          )}
+                          </div>
+                        ) : (
+                          <div className={`group rounded-2xl p-6 shadow-lg transition-all duration-300 hover:shadow-xl backdrop-blur border animate-message-slide ${
+                            message.role === 'user' 
+                              ? 'bg-blue-600/10 border-blue-500/20 hover:border-blue-400/30 hover:bg-blue-600/15' 
+                              : 'bg-gray-700/30 border-gray-600/30 hover:border-gray-500/50 hover:bg-gray-700/40'
+                          }`}>
+                            {message.role === 'user' && editingMessageId === message._id ? (
+                              <div>
+                                <textarea
+                                  value={editingMessageText}
+                                  onChange={(e) => setEditingMessageText(e.target.value)}
+                                  onKeyDown={(e) => {
+                                    if (e.key === 'Enter' && !e.shiftKey) {
+                                      e.preventDefault();
+                                      submitEditedMessage(message);
+                                    } else if (e.key === 'Escape') {
+                                      cancelEditingMessage();
+                                    }
+                                  }}
+                                  autoFocus
+                                  rows={Math.min(Math.max(editingMessageText.split('\n').length, 2), 10)}
+                                  className="w-full bg-gray-800/60 text-gray-100 text-lg leading-relaxed rounded-xl border border-gray-600/50 focus:border-orange-500/50 focus:outline-none focus:ring-2 focus:ring-orange-500/20 px-4 py-3 resize-none transition-all duration-200"
+                                />
+                                <div className="flex justify-end items-center space-x-2 mt-3">
+                                  <span className="text-xs text-gray-500 mr-auto">
+                                    Sending starts a new branch; the original stays available
+                                  </span>
+                                  <button
+                                    onClick={cancelEditingMessage}
+                                    className="flex items-center space-x-2 text-sm text-gray-400 hover:text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 backdrop-blur px-3 py-2 rounded-lg transition-all duration-300 shadow-md"
+                                  >
+                                    <XCircle className="h-4 w-4" />
+                                    <span>Cancel</span>
+                                  </button>
+                                  <button
+                                    onClick={() => submitEditedMessage(message)}
+                                    disabled={!editingMessageText.trim() || isSending}
+                                    className="flex items-center space-x-2 text-sm text-white bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg transition-all duration-300 shadow-md"
+                                  >
+                                    <Send className="h-4 w-4" />
+                                    <span>Send</span>
+                                  </button>
+                                </div>
+                              </div>
+                            ) : message.role === 'user' ? (
+                              <p className="text-gray-100 whitespace-pre-wrap leading-relaxed text-lg">
+                                {message.content}
+                              </p>
+                            ) : (
+                              <>
+                                {message.toolCalls?.length > 0 && (
+                                  <ToolSteps toolCalls={message.toolCalls} results={toolResults} />
+                                )}
+                                {(message.content || !message.toolCalls?.length) && (
+                                  <MarkdownMessage
+                                    content={message.content}
+                                    streaming={message.streaming}
+                                  />
+                                )}
+                              </>
+                            )}
 
-                          {/* Copy button for AI messages */}
-                          {message.role === 'assistant' && (
-                            <div className="flex justify-end mt-4 opacity-0 group-hover:opacity-100 transition-all duration-300">
-                              <button
-                                onClick={() => copyToClipboard(message.content, index)}
-                                className="flex items-center space-x-2 text-sm text-gray-400 hover:text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 backdrop-blur px-3 py-2 rounded-lg transition-all duration-300 shadow-md hover:shadow-lg transform hover:scale-105"
-                              >
-                                {copiedMessageId === index ? (
-                                  <>
-                                    <Check className="h-4 w-4 text-green-400 animate-bounce" />
-                                    <span className="text-green-400">Copied</span>
-                                  </>
-                                ) : (
-                                  <>
-                                    <Copy className="h-4 w-4" />
-                                    <span>Copy</span>
-                                  </>
+                            {message.attachments?.length > 0 && editingMessageId !== message._id && (
+                              <div className="flex flex-wrap gap-2 mt-4">
+                                {message.attachments.map(attachment => (
+                                  <AttachmentChip key={attachment.attachment} attachment={attachment} />
+                                ))}
+                              </div>
+                            )}
+
+                            {message.sources?.length > 0 && (
+                              <SourceChips sources={message.sources} />
+                            )}
+
+                            {/* Edit button for the user's own messages */}
+                            {message.role === 'user' && !message.pending && editingMessageId !== message._id && (
+                              <div className="flex justify-end mt-4 opacity-0 group-hover:opacity-100 transition-all duration-300">
+                                <button
+                                  onClick={() => startEditingMessage(message)}
+                                  disabled={isSending}
+                                  className="flex items-center space-x-2 text-sm text-gray-400 hover:text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 disabled:opacity-50 disabled:cursor-not-allowed backdrop-blur px-3 py-2 rounded-lg transition-all duration-300 shadow-md hover:shadow-lg transform hover:scale-105"
+                                  title="Edit and resend; the original branch is kept"
+                                >
+                                  <Edit3 className="h-4 w-4" />
+                                  <span>Edit</span>
+                                </button>
+                              </div>
+                            )}
+
+                            {/* Copy and regenerate buttons for AI messages */}
+                            {message.role === 'assistant' && !message.streaming && (
+                              <div className="flex justify-end space-x-2 mt-4 opacity-0 group-hover:opacity-100 transition-all duration-300">
+                                <button
+                                  onClick={() => regenerateReply(message)}
+                                  disabled={isSending}
+                                  className="flex items-center space-x-2 text-sm text-gray-400 hover:text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 disabled:opacity-50 disabled:cursor-not-allowed backdrop-blur px-3 py-2 rounded-lg transition-all duration-300 shadow-md hover:shadow-lg transform hover:scale-105"
+                                  title="Generate another answer; this one is kept"
+                                >
+                                  <RefreshCw className="h-4 w-4" />
+                                  <span>Regenerate</span>
+                                </button>
+                                {message.content && (
+                                  <button
+                                    onClick={() => copyToClipboard(message.content, index)}
+                                    className="flex items-center space-x-2 text-sm text-gray-400 hover:text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 backdrop-blur px-3 py-2 rounded-lg transition-all duration-300 shadow-md hover:shadow-lg transform hover:scale-105"
+                                  >
+                                    {copiedMessageId === index ? (
+                                      <>
+                                        <Check className="h-4 w-4 text-green-400 animate-bounce" />
+                                        <span className="text-green-400">Copied</span>
+                                      </>
+                                    ) : (
+                                      <>
+                                        <Copy className="h-4 w-4" />
+                                        <span>Copy</span>
+                                      </>
+                                    )}
+                                  </button>
                                 )}
-                              </button>
-                            </div>
-                          )}
-                        </div>
+                              </div>
+                            )}
+                          </div>
+                        )}
                       </div>
                     </div>
                   ))
                 )}
 
+                {comparison && (
+                  <CompareColumns
+                    comparison={comparison}
+                    availableModels={availableModels}
+                    onPick={pickComparisonWinner}
+                    onDismiss={dismissComparison}
+                  />
+                )}
+
                 {/* Typing indicator */}
-                {isSending && (
+                {isSending && !streamingMessage && !comparison && (
                   <div className="flex items-start space-x-4 animate-fade-in">
-                    <div className="flex-shrink-0 w-10 h-10 rounded-full bg-gradient-to-r from-orange-500 to-orange-600 flex items-center justify-center shadow-lg animate-glow">
-                      <Bot className="h-5 w-5 text-white animate-pulse" />
-                    </div>
+                    <AssistantAvatar assistant={chat?.assistant} iconClassName="animate-pulse" />
                     <div className="flex-1 min-w-0">
                       <div className="flex items-center space-x-3 mb-3">
-                        <span className="font-semibold text-gray-200 text-lg">Claude</span>
+                        <span className="font-semibold text-gray-200 text-lg">{assistantName}</span>
                       </div>
                       <div className="rounded-2xl p-6 bg-gray-700/30 backdrop-blur border border-gray-600/30 shadow-lg animate-pulse-border">
                         <div className="flex items-center space-x-3 text-gray-400">
@@ -792,14 +1722,92 @@ function ClaudeInterface() {
         {chatId && (
           <div className="border-t border-gray-700/50 p-6 bg-gray-800/30 backdrop-blur-xl flex-shrink-0">
             <div className="max-w-4xl mx-auto">
+              <QuotaBar refreshKey={usageRefreshKey} />
+
+              {compareMode && (
+                <div className="flex flex-wrap items-center gap-2 mb-3 animate-fade-in">
+                  <span className="text-xs text-gray-400 mr-1">Compare 2-4 models:</span>
+                  {Object.entries(availableModels).map(([modelId, model]) => {
+                    const chosen = compareModelIds.includes(modelId);
+                    return (
+                      <button
+                        key={modelId}
+                        onClick={() => toggleCompareModel(modelId)}
+                        disabled={isSending || (!chosen && compareModelIds.length >= 4)}
+                        className={`text-xs px-3 py-1 rounded-full border transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${
+                          chosen
+                            ? 'bg-orange-500/20 border-orange-500/50 text-orange-300'
+                            : 'bg-gray-700/50 border-gray-600/50 text-gray-400 hover:text-gray-200'
+                        }`}
+                      >
+                        {model.name}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+
+              {pendingAttachments.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-3 animate-fade-in">
+                  {pendingAttachments.map(attachment => (
+                    <AttachmentChip
+                      key={attachment.localId}
+                      attachment={attachment}
+                      uploading={attachment.uploading}
+                      onRemove={attachment.uploading ? undefined : () => removePendingAttachment(attachment)}
+                    />
+                  ))}
+                </div>
+              )}
+
+              {imagesLeftOutFor.length > 0 && (
+                <p className="text-xs text-yellow-400/80 mb-3 animate-fade-in">
+                  Images won't be sent to {imagesLeftOutFor.map(modelId => availableModels[modelId].name).join(', ')}, which can't see them
+                </p>
+              )}
+
+              {memoryProposals.length > 0 && (
+                <MemoryProposals
+                  proposals={memoryProposals}
+                  onResolved={(id) => setMemoryProposals(prev => prev.filter(memory => memory._id !== id))}
+                />
+              )}
+
+              {fillingPrompt && (
+                <PromptVariablesForm
+                  key={fillingPrompt._id}
+                  prompt={fillingPrompt}
+                  onInsert={insertText}
+                  onCancel={() => insertText('')}
+                />
+              )}
+
               <div className="flex items-end space-x-4">
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  accept={ATTACHMENT_ACCEPT}
+                  onChange={handleFileInput}
+                  className="hidden"
+                />
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={isSending || pendingAttachments.length >= MAX_ATTACHMENTS}
+                  title="Attach files"
+                  className="flex-shrink-0 bg-gray-700/80 hover:bg-gray-600/80 border border-gray-600/50 text-gray-300 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed p-4 rounded-2xl transition-all duration-300 shadow-xl"
+                >
+                  <Paperclip className="h-6 w-6" />
+                </button>
                 <div className="flex-1 relative group">
                   <textarea
                     ref={textareaRef}
                     value={inputMessage}
-                    onChange={(e) => setInputMessage(e.target.value)}
+                    onChange={handleInputChange}
+                    onKeyDown={handleSlashKeys}
                     onKeyPress={handleKeyPress}
-                    placeholder="Message Claude..."
+                    onPaste={handlePaste}
+                    placeholder="Message Claude, or type / for a saved prompt..."
                     disabled={isSending}
                     className="w-full px-6 py-4 bg-gray-700/80 backdrop-blur border border-gray-600/50 rounded-2xl focus:outline-none focus:ring-2 focus:ring-orange-500/50 focus:border-orange-500/50 resize-none max-h-32 text-white placeholder-gray-400 disabled:opacity-50 text-lg shadow-lg transition-all duration-300 hover:shadow-xl focus:shadow-xl group-hover:border-gray-500/70 focus:bg-gray-700/90"
                     rows="1"
@@ -813,19 +1821,33 @@ function ClaudeInterface() {
                     }}
                   />
                   <div className="absolute inset-0 bg-gradient-to-r from-orange-500/5 to-orange-600/5 rounded-2xl opacity-0 group-focus-within:opacity-100 transition-all duration-300 pointer-events-none"></div>
+                  {isSlashMenuOpen && (
+                    <SlashCommandMenu
+                      prompts={slashMatches}
+                      highlighted={slashHighlighted}
+                      onSelect={choosePrompt}
+                      onHighlight={setSlashHighlighted}
+                    />
+                  )}
                 </div>
 
-                <button
-                  onClick={sendMessage}
-                  disabled={!inputMessage.trim() || isSending}
-                  className="group flex-shrink-0 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-white p-4 rounded-2xl transition-all duration-300 shadow-xl hover:shadow-2xl hover:shadow-orange-500/25 transform hover:scale-105 active:scale-95 disabled:transform-none disabled:hover:scale-100 animate-glow"
-                >
-                  {isSending ? (
-                    <Loader className="h-6 w-6 animate-spin" />
-                  ) : (
+                {isSending ? (
+                  <button
+                    onClick={stopGeneration}
+                    title="Stop generating"
+                    className="group flex-shrink-0 bg-gray-700/80 hover:bg-gray-600/80 border border-gray-600/50 text-white p-4 rounded-2xl transition-all duration-300 shadow-xl hover:shadow-2xl transform hover:scale-105 active:scale-95"
+                  >
+                    <Square className="h-6 w-6 fill-current" />
+                  </button>
+                ) : (
+                  <button
+                    onClick={compareMode ? sendComparison : sendMessage}
+                    disabled={!inputMessage.trim() || isUploading || (compareMode && compareModelIds.length < 2)}
+                    className="group flex-shrink-0 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-white p-4 rounded-2xl transition-all duration-300 shadow-xl hover:shadow-2xl hover:shadow-orange-500/25 transform hover:scale-105 active:scale-95 disabled:transform-none disabled:hover:scale-100 animate-glow"
+                  >
                     <Send className="h-6 w-6 transition-transform duration-300 group-hover:translate-x-0.5" />
-                  )}
-                </button>
+                  </button>
+                )}
               </div>
 
               {/* Model indicator */}
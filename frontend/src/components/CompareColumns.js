@@ -0,0 +1,110 @@
+// src/components/CompareColumns.js
+import React from 'react';
+import { AlertCircle, Timer, Trophy, X } from 'lucide-react';
+import MarkdownMessage from './MarkdownMessage';
+import { formatCost, formatTokens } from '../utils/format';
+
+const GRID_COLUMNS = {
+  2: 'lg:grid-cols-2',
+  3: 'lg:grid-cols-3',
+  4: 'lg:grid-cols-4'
+};
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// Answers of the models in a comparison side by side, with how long each
+// took and what it cost. Once they are all in, one can be picked to carry on
+// the conversation; the others stay available as variants of the turn.
+function CompareColumns({ comparison, availableModels, onPick, onDismiss }) {
+  const columns = comparison.order.map(modelId => comparison.columns[modelId]);
+
+  return (
+    <div className="animate-fade-in">
+      <div className="flex items-center justify-between mb-3">
+        <span className="text-sm text-gray-400">
+          {comparison.running ? 'Comparing models...' : 'Pick the answer to continue with'}
+        </span>
+        {!comparison.running && (
+          <button
+            onClick={onDismiss}
+            className="p-1 text-gray-400 hover:text-gray-200 rounded-lg hover:bg-gray-700/50 transition-all duration-200"
+            title="Close comparison and keep the first answer"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      <div className={`grid grid-cols-1 gap-4 ${GRID_COLUMNS[columns.length] || ''}`}>
+        {columns.map(column => {
+          const message = column.message;
+          const failed = column.failed || message?.error;
+
+          return (
+            <div
+              key={column.modelId}
+              className={`flex flex-col min-w-0 rounded-2xl p-4 shadow-lg backdrop-blur border ${
+                failed ? 'bg-red-900/20 border-red-500/30' : 'bg-gray-700/30 border-gray-600/30'
+              }`}
+            >
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-xs bg-gradient-to-r from-orange-500 to-orange-600 text-white px-2 py-1 rounded-full truncate">
+                  {availableModels[column.modelId]?.name || column.modelId}
+                </span>
+                {column.latencyMs !== undefined && (
+                  <span
+                    className="flex items-center space-x-1 text-xs text-gray-400"
+                    title={column.firstTokenMs !== null && column.firstTokenMs !== undefined
+                      ? `First token after ${formatSeconds(column.firstTokenMs)}`
+                      : undefined}
+                  >
+                    <Timer className="h-3.5 w-3.5" />
+                    <span>{formatSeconds(column.latencyMs)}</span>
+                  </span>
+                )}
+              </div>
+
+              {message?.promptTokens !== undefined && (
+                <div className="flex items-center space-x-3 text-xs text-gray-400 mb-3">
+                  <span title="Prompt + completion tokens">
+                    {formatTokens(message.promptTokens)} + {formatTokens(message.completionTokens)} tokens
+                  </span>
+                  <span>{formatCost(message.cost)}</span>
+                  {message.stopped && <span>Stopped</span>}
+                </div>
+              )}
+
+              <div className="flex-1 min-w-0 text-sm">
+                {failed ? (
+                  <div className="flex items-start space-x-2">
+                    <AlertCircle className="h-4 w-4 text-red-400 flex-shrink-0 mt-0.5" />
+                    <p className="text-gray-300 break-words">{failed.message}</p>
+                  </div>
+                ) : column.content ? (
+                  <MarkdownMessage
+                    content={column.content}
+                    streaming={comparison.running && column.latencyMs === undefined}
+                  />
+                ) : (
+                  <span className="text-gray-500">{comparison.running ? 'Waiting for the first token...' : 'No answer'}</span>
+                )}
+              </div>
+
+              {!comparison.running && message && !failed && (
+                <button
+                  onClick={() => onPick(message)}
+                  className="mt-4 flex items-center justify-center space-x-2 text-sm text-gray-200 bg-gray-700/80 hover:bg-gradient-to-r hover:from-orange-500 hover:to-orange-600 hover:text-white backdrop-blur px-3 py-2 rounded-lg transition-all duration-300 shadow-md"
+                >
+                  <Trophy className="h-4 w-4" />
+                  <span>Continue with this</span>
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default CompareColumns;
@@ -0,0 +1,160 @@
+// src/components/GenerationParamsPopover.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { X, Save, Loader, RotateCcw } from 'lucide-react';
+
+const NUMERIC_FIELDS = [
+  { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.1 },
+  { key: 'topP', label: 'Top P', min: 0, max: 1, step: 0.05 },
+  { key: 'maxTokens', label: 'Max tokens', min: 1, step: 1 },
+  { key: 'presencePenalty', label: 'Presence penalty', min: -2, max: 2, step: 0.1 },
+  { key: 'frequencyPenalty', label: 'Frequency penalty', min: -2, max: 2, step: 0.1 },
+  { key: 'seed', label: 'Seed', step: 1 }
+];
+
+// Form values are strings; an empty field means "inherit"
+const toForm = (params = {}) => ({
+  ...NUMERIC_FIELDS.reduce((form, { key }) => ({
+    ...form,
+    [key]: params[key] === undefined || params[key] === null ? '' : String(params[key])
+  }), {}),
+  stop: (params.stop || []).join('\n')
+});
+
+const fromForm = (form) => ({
+  ...NUMERIC_FIELDS.reduce((params, { key }) => ({
+    ...params,
+    [key]: form[key] === '' ? null : Number(form[key])
+  }), {}),
+  stop: form.stop.split('\n').filter(Boolean).slice(0, 4)
+});
+
+function GenerationParamsPopover({ chat, model, appDefaults = {}, onClose, onChatUpdated }) {
+  const { user, updatePreferences } = useAuth();
+
+  const [form, setForm] = useState(toForm(chat?.params));
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(toForm(chat?.params));
+  }, [chat?._id, chat?.params]);
+
+  // What an empty field falls back to
+  const inherited = { ...appDefaults, ...(user?.defaultParams || {}) };
+  const maxOutputTokens = model?.maxOutputTokens;
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+  };
+
+  const saveParams = async () => {
+    const params = fromForm(form);
+
+    if (maxOutputTokens && params.maxTokens > maxOutputTokens) {
+      toast.error(`Max tokens cannot exceed ${maxOutputTokens} for ${model.name}`);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await axios.put(`/api/chat/${chat._id}`, { params });
+      onChatUpdated(response.data.chat);
+      toast.success('Generation settings saved');
+    } catch (error) {
+      console.error('Error saving generation settings:', error);
+      toast.error(error.response?.data?.message || 'Failed to save generation settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const saveAsDefaults = () => {
+    updatePreferences({ defaultParams: fromForm(form) });
+  };
+
+  return (
+    <div className="absolute right-0 mt-2 w-80 bg-gray-700/90 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-600/50 z-50 animate-dropdown">
+      <div className="p-3 border-b border-gray-600/50 flex items-center justify-between">
+        <h3 className="font-semibold text-white">Generation settings</h3>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-400 hover:text-gray-200 transition-all duration-200 hover:scale-110"
+          title="Close"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="p-4 space-y-3 max-h-96 overflow-y-auto">
+        <p className="text-xs text-gray-400">
+          Leave a field empty to use your default.
+        </p>
+
+        <div className="grid grid-cols-2 gap-3">
+          {NUMERIC_FIELDS.map(({ key, label, min, max, step }) => (
+            <label key={key} className="block">
+              <span className="block text-xs font-medium text-gray-300 mb-1">{label}</span>
+              <input
+                type="number"
+                value={form[key]}
+                onChange={(e) => updateField(key, e.target.value)}
+                min={min}
+                max={key === 'maxTokens' ? maxOutputTokens : max}
+                step={step}
+                placeholder={inherited[key] !== undefined ? String(inherited[key]) : 'Model default'}
+                className="w-full px-2 py-1.5 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50"
+              />
+            </label>
+          ))}
+        </div>
+
+        {maxOutputTokens && (
+          <p className="text-xs text-gray-500">
+            {model.name} can write up to {maxOutputTokens.toLocaleString()} tokens per reply.
+          </p>
+        )}
+
+        <label className="block">
+          <span className="block text-xs font-medium text-gray-300 mb-1">Stop sequences (one per line, up to 4)</span>
+          <textarea
+            value={form.stop}
+            onChange={(e) => updateField('stop', e.target.value)}
+            rows={2}
+            className="w-full px-2 py-1.5 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white font-mono focus:outline-none focus:ring-2 focus:ring-orange-500/50 resize-none"
+          />
+        </label>
+
+        <div className="flex items-center justify-between text-xs">
+          <button
+            onClick={() => setForm(toForm())}
+            className="flex items-center space-x-1 text-gray-400 hover:text-orange-400 transition-colors duration-200"
+          >
+            <RotateCcw className="h-3 w-3" />
+            <span>Clear overrides</span>
+          </button>
+          <button
+            onClick={saveAsDefaults}
+            className="text-gray-400 hover:text-orange-400 transition-colors duration-200"
+          >
+            Save as my defaults
+          </button>
+        </div>
+      </div>
+
+      <div className="p-3 border-t border-gray-600/50 flex justify-end">
+        <button
+          onClick={saveParams}
+          disabled={isSaving}
+          className="flex items-center space-x-2 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-white text-sm px-4 py-2 rounded-lg transition-all duration-300"
+        >
+          {isSaving ? <Loader className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+          <span>Save</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default GenerationParamsPopover;
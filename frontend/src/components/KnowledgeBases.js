@@ -0,0 +1,403 @@
+// src/components/KnowledgeBases.js
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeft,
+  BookOpen,
+  Plus,
+  Trash2,
+  Upload,
+  Search,
+  Loader2,
+  Edit3,
+  Save,
+  XCircle
+} from 'lucide-react';
+import AttachmentChip from './AttachmentChip';
+
+// Files the backend can index (services/attachments.js, images aside)
+const DOCUMENT_ACCEPT = [
+  '.txt', '.log', '.md', '.markdown', '.csv', '.json', '.pdf',
+  '.js', '.jsx', '.ts', '.tsx', '.py', '.rb', '.php', '.java', '.go', '.rs', '.c', '.h', '.cpp',
+  '.cs', '.sh', '.sql', '.html', '.css', '.xml', '.yml', '.yaml', '.toml'
+].join(',');
+
+// Manage the user's knowledge bases: the documents chats can retrieve
+// passages from (see the chat settings panel)
+function KnowledgeBases() {
+  const navigate = useNavigate();
+  const fileInputRef = useRef(null);
+
+  const [knowledgeBases, setKnowledgeBases] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [isEditing, setIsEditing] = useState(false);
+  const [editName, setEditName] = useState('');
+  const [editDescription, setEditDescription] = useState('');
+  const [uploading, setUploading] = useState([]);
+  const [searchText, setSearchText] = useState('');
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  const fetchKnowledgeBases = async () => {
+    try {
+      const response = await axios.get('/api/knowledge');
+      setKnowledgeBases(response.data.knowledgeBases);
+    } catch (error) {
+      console.error('Error fetching knowledge bases:', error);
+      toast.error('Failed to load knowledge bases');
+    }
+  };
+
+  useEffect(() => {
+    fetchKnowledgeBases();
+  }, []);
+
+  const openKnowledgeBase = async (id) => {
+    try {
+      const response = await axios.get(`/api/knowledge/${id}`);
+      setSelected(response.data.knowledgeBase);
+      setIsEditing(false);
+      setResults(null);
+      setSearchText('');
+    } catch (error) {
+      console.error('Error fetching knowledge base:', error);
+      toast.error('Failed to load knowledge base');
+    }
+  };
+
+  const createKnowledgeBase = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    try {
+      const response = await axios.post('/api/knowledge', { name: newName.trim() });
+      setNewName('');
+      await fetchKnowledgeBases();
+      setSelected(response.data.knowledgeBase);
+      setResults(null);
+    } catch (error) {
+      console.error('Error creating knowledge base:', error);
+      toast.error('Failed to create knowledge base');
+    }
+  };
+
+  const startEditing = () => {
+    setEditName(selected.name);
+    setEditDescription(selected.description || '');
+    setIsEditing(true);
+  };
+
+  const saveDetails = async () => {
+    if (!editName.trim()) return;
+
+    try {
+      const response = await axios.put(`/api/knowledge/${selected._id}`, {
+        name: editName.trim(),
+        description: editDescription
+      });
+      setSelected(response.data.knowledgeBase);
+      setIsEditing(false);
+      fetchKnowledgeBases();
+    } catch (error) {
+      console.error('Error updating knowledge base:', error);
+      toast.error('Failed to save changes');
+    }
+  };
+
+  const deleteKnowledgeBase = async () => {
+    if (!window.confirm(`Delete "${selected.name}" and all of its documents?`)) return;
+
+    try {
+      await axios.delete(`/api/knowledge/${selected._id}`);
+      setSelected(null);
+      fetchKnowledgeBases();
+      toast.success('Knowledge base deleted');
+    } catch (error) {
+      console.error('Error deleting knowledge base:', error);
+      toast.error('Failed to delete knowledge base');
+    }
+  };
+
+  // Files are indexed one at a time so the server isn't parsing several PDFs at once
+  const uploadDocuments = async (files) => {
+    const knowledgeBaseId = selected._id;
+    setUploading(files.map(file => file.name));
+
+    for (const file of files) {
+      const formData = new FormData();
+      formData.append('file', file);
+      try {
+        await axios.post(`/api/knowledge/${knowledgeBaseId}/documents`, formData);
+      } catch (error) {
+        console.error('Error adding document:', error);
+        toast.error(`${file.name}: ${error.response?.data?.message || 'Upload failed'}`);
+      }
+      setUploading(names => names.filter(name => name !== file.name));
+    }
+
+    await openKnowledgeBase(knowledgeBaseId);
+    fetchKnowledgeBases();
+  };
+
+  const handleFileInput = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length > 0) uploadDocuments(files);
+  };
+
+  const removeDocument = async (document) => {
+    try {
+      await axios.delete(`/api/knowledge/${selected._id}/documents/${document._id}`);
+      setSelected(current => ({
+        ...current,
+        documents: current.documents.filter(other => other._id !== document._id)
+      }));
+      setResults(null);
+      fetchKnowledgeBases();
+    } catch (error) {
+      console.error('Error removing document:', error);
+      toast.error('Failed to remove document');
+    }
+  };
+
+  const search = async (e) => {
+    e.preventDefault();
+    if (!searchText.trim()) return;
+
+    setIsSearching(true);
+    try {
+      const response = await axios.get(`/api/knowledge/${selected._id}/search`, {
+        params: { q: searchText.trim() }
+      });
+      setResults(response.data.results);
+    } catch (error) {
+      console.error('Error searching knowledge base:', error);
+      toast.error('Search failed');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white">
+      <div className="max-w-6xl mx-auto px-6 py-8">
+        <div className="flex items-center space-x-3 mb-8">
+          <button
+            onClick={() => navigate('/')}
+            className="p-2 text-gray-400 hover:text-gray-200 hover:bg-gray-700/50 rounded-lg transition-all duration-200"
+            title="Back to chats"
+          >
+            <ArrowLeft className="h-5 w-5" />
+          </button>
+          <BookOpen className="h-6 w-6 text-orange-400" />
+          <h1 className="text-2xl font-semibold">Knowledge bases</h1>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="space-y-3">
+            <form onSubmit={createKnowledgeBase} className="flex space-x-2">
+              <input
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                maxLength={100}
+                placeholder="New knowledge base"
+                className="flex-1 min-w-0 px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50"
+              />
+              <button
+                type="submit"
+                disabled={!newName.trim()}
+                className="p-2 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-white rounded-lg transition-all duration-300"
+                title="Create"
+              >
+                <Plus className="h-4 w-4" />
+              </button>
+            </form>
+
+            {knowledgeBases.map(knowledgeBase => (
+              <button
+                key={knowledgeBase._id}
+                onClick={() => openKnowledgeBase(knowledgeBase._id)}
+                className={`w-full text-left p-3 rounded-xl border transition-all duration-200 ${
+                  selected?._id === knowledgeBase._id
+                    ? 'bg-gray-700/60 border-orange-500/50'
+                    : 'bg-gray-800/60 border-gray-700/50 hover:bg-gray-700/40'
+                }`}
+              >
+                <div className="text-sm font-medium truncate">{knowledgeBase.name}</div>
+                <div className="text-xs text-gray-400 mt-1">
+                  {knowledgeBase.documentCount} {knowledgeBase.documentCount === 1 ? 'document' : 'documents'}
+                  {' · '}
+                  {knowledgeBase.chunkCount} passages
+                </div>
+              </button>
+            ))}
+
+            {knowledgeBases.length === 0 && (
+              <p className="text-sm text-gray-500 text-center py-6">
+                No knowledge bases yet
+              </p>
+            )}
+          </div>
+
+          <div className="md:col-span-2">
+            {!selected ? (
+              <div className="text-center text-gray-500 py-16 border border-dashed border-gray-700 rounded-2xl">
+                <BookOpen className="h-8 w-8 mx-auto mb-3 opacity-50" />
+                <p className="text-sm">Create or pick a knowledge base, add documents to it,</p>
+                <p className="text-sm">then turn it on for a chat in the chat settings.</p>
+              </div>
+            ) : (
+              <div className="bg-gray-800/60 border border-gray-700/50 rounded-2xl p-6 space-y-6">
+                {isEditing ? (
+                  <div className="space-y-3">
+                    <input
+                      value={editName}
+                      onChange={(e) => setEditName(e.target.value)}
+                      maxLength={100}
+                      className="w-full px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-orange-500/50"
+                    />
+                    <textarea
+                      value={editDescription}
+                      onChange={(e) => setEditDescription(e.target.value)}
+                      maxLength={500}
+                      rows={3}
+                      placeholder="What's in it"
+                      className="w-full px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50 resize-y"
+                    />
+                    <div className="flex justify-end space-x-2">
+                      <button
+                        onClick={() => setIsEditing(false)}
+                        className="flex items-center space-x-2 text-sm text-gray-400 hover:text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 px-3 py-2 rounded-lg transition-all duration-300"
+                      >
+                        <XCircle className="h-4 w-4" />
+                        <span>Cancel</span>
+                      </button>
+                      <button
+                        onClick={saveDetails}
+                        disabled={!editName.trim()}
+                        className="flex items-center space-x-2 text-sm text-white bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg transition-all duration-300"
+                      >
+                        <Save className="h-4 w-4" />
+                        <span>Save</span>
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex items-start justify-between">
+                    <div className="min-w-0">
+                      <h2 className="text-xl font-semibold truncate">{selected.name}</h2>
+                      {selected.description && (
+                        <p className="text-sm text-gray-400 mt-1 whitespace-pre-wrap">{selected.description}</p>
+                      )}
+                    </div>
+                    <div className="flex space-x-1 flex-shrink-0">
+                      <button
+                        onClick={startEditing}
+                        className="p-2 text-gray-400 hover:text-gray-200 hover:bg-gray-700/50 rounded-lg transition-all duration-200"
+                        title="Rename"
+                      >
+                        <Edit3 className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={deleteKnowledgeBase}
+                        className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700/50 rounded-lg transition-all duration-200"
+                        title="Delete knowledge base"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                <div>
+                  <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-sm font-medium text-gray-200">Documents</h3>
+                    <button
+                      onClick={() => fileInputRef.current?.click()}
+                      disabled={uploading.length > 0}
+                      className="flex items-center space-x-2 text-sm text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg transition-all duration-300"
+                    >
+                      {uploading.length > 0 ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+                      <span>{uploading.length > 0 ? `Indexing ${uploading.length}...` : 'Add documents'}</span>
+                    </button>
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      multiple
+                      accept={DOCUMENT_ACCEPT}
+                      onChange={handleFileInput}
+                      className="hidden"
+                    />
+                  </div>
+
+                  {selected.documents.length === 0 && uploading.length === 0 ? (
+                    <p className="text-sm text-gray-500">
+                      Markdown, text, PDF and code files can be added.
+                    </p>
+                  ) : (
+                    <div className="space-y-2">
+                      {selected.documents.map(document => (
+                        <div key={document._id} className="flex items-center justify-between">
+                          <AttachmentChip
+                            attachment={document}
+                            onRemove={() => removeDocument(document)}
+                          />
+                          <span className="text-xs text-gray-500">{document.chunkCount} passages</span>
+                        </div>
+                      ))}
+                      {uploading.map(name => (
+                        <AttachmentChip key={name} attachment={{ filename: name }} uploading />
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <h3 className="text-sm font-medium text-gray-200 mb-3">Try a search</h3>
+                  <form onSubmit={search} className="flex space-x-2">
+                    <input
+                      value={searchText}
+                      onChange={(e) => setSearchText(e.target.value)}
+                      placeholder="Ask something the documents should answer"
+                      className="flex-1 min-w-0 px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50"
+                    />
+                    <button
+                      type="submit"
+                      disabled={!searchText.trim() || isSearching}
+                      className="p-2 bg-gray-700/80 hover:bg-gray-600/80 disabled:opacity-50 disabled:cursor-not-allowed text-gray-200 rounded-lg transition-all duration-300"
+                      title="Search"
+                    >
+                      {isSearching ? <Loader2 className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+                    </button>
+                  </form>
+
+                  {results && (
+                    <div className="mt-3 space-y-2">
+                      {results.length === 0 && (
+                        <p className="text-sm text-gray-500">No passages match</p>
+                      )}
+                      {results.map(result => (
+                        <div key={`${result.document}-${result.position}`} className="p-3 bg-gray-900/60 border border-gray-700/50 rounded-lg">
+                          <div className="flex justify-between text-xs text-gray-400 mb-1">
+                            <span>{result.filename} · passage {result.position + 1}</span>
+                            <span>score {result.score}</span>
+                          </div>
+                          <p className="text-sm text-gray-300 whitespace-pre-wrap max-h-40 overflow-y-auto">{result.text}</p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default KnowledgeBases;
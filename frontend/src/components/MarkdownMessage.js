@@ -0,0 +1,94 @@
+// src/components/MarkdownMessage.js
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { tomorrow } from 'react-syntax-highlighter/dist/esm/styles/prism';
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+// Close any code fence the model has opened but not finished yet, so a
+// half-streamed block renders as code instead of swallowing the prose below it.
+const closeOpenFences = (text) => {
+  let openFence = null;
+
+  for (const line of text.split('\n')) {
+    const match = FENCE_PATTERN.exec(line);
+    if (!match) continue;
+
+    if (!openFence) {
+      openFence = match[1];
+    } else if (match[1][0] === openFence[0] && match[1].length >= openFence.length) {
+      openFence = null;
+    }
+  }
+
+  if (!openFence) return text;
+  return `${text}${text.endsWith('\n') ? '' : '\n'}${openFence}`;
+};
+
+const markdownComponents = {
+  code({node, inline, className, children, ...props}) {
+    const match = /language-(\w+)/.exec(className || '');
+    return !inline && match ? (
+      <div className="my-4 group">
+        <SyntaxHighlighter
+          style={tomorrow}
+          language={match[1]}
+          PreTag="div"
+          className="rounded-xl shadow-lg border border-gray-600/50 backdrop-blur transition-all duration-300 group-hover:border-gray-500/70"
+          {...props}
+        >
+          {String(children).replace(/\n$/, '')}
+        </SyntaxHighlighter>
+      </div>
+    ) : (
+      <code className={`${className} bg-gray-800/80 backdrop-blur border border-gray-600/50 px-2 py-1 rounded-md text-orange-300 text-sm font-mono transition-all duration-200 hover:bg-gray-700/80`} {...props}>
+        {children}
+      </code>
+    );
+  },
+  p: ({children}) => <p className="text-gray-100 mb-4 last:mb-0 leading-relaxed text-lg">{children}</p>,
+  h1: ({children}) => <h1 className="text-gray-100 text-3xl font-bold mb-6 border-b border-gray-600/50 pb-2">{children}</h1>,
+  h2: ({children}) => <h2 className="text-gray-100 text-2xl font-bold mb-4 text-orange-400">{children}</h2>,
+  h3: ({children}) => <h3 className="text-gray-100 text-xl font-bold mb-3 text-orange-300">{children}</h3>,
+  ul: ({children}) => <ul className="text-gray-100 list-disc list-inside mb-6 space-y-2 ml-4">{children}</ul>,
+  ol: ({children}) => <ol className="text-gray-100 list-decimal list-inside mb-6 space-y-2 ml-4">{children}</ol>,
+  li: ({children}) => <li className="text-gray-100 leading-relaxed">{children}</li>,
+  blockquote: ({children}) => (
+    <blockquote className="border-l-4 border-orange-500 pl-6 text-gray-300 italic mb-6 bg-gray-800/30 backdrop-blur py-4 rounded-r-lg transition-all duration-300 hover:bg-gray-700/30">
+      {children}
+    </blockquote>
+  ),
+  table: ({children}) => (
+    <div className="overflow-x-auto mb-6">
+      <table className="min-w-full border border-gray-600/50 backdrop-blur rounded-lg overflow-hidden">
+        {children}
+      </table>
+    </div>
+  ),
+  th: ({children}) => (
+    <th className="bg-gray-700/80 backdrop-blur text-gray-100 px-4 py-3 text-left font-semibold border-b border-gray-600/50">
+      {children}
+    </th>
+  ),
+  td: ({children}) => (
+    <td className="bg-gray-800/30 backdrop-blur text-gray-100 px-4 py-3 border-b border-gray-600/50">
+      {children}
+    </td>
+  )
+};
+
+function MarkdownMessage({ content, streaming = false }) {
+  return (
+    <div className="prose prose-lg max-w-none">
+      <ReactMarkdown components={markdownComponents}>
+        {streaming ? closeOpenFences(content) : content}
+      </ReactMarkdown>
+      {streaming && (
+        <span className="inline-block w-2 h-5 ml-1 align-middle bg-orange-400 rounded-sm animate-pulse" />
+      )}
+    </div>
+  );
+}
+
+export default MarkdownMessage;
@@ -0,0 +1,235 @@
+// src/components/Memories.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import {
+  ArrowLeft,
+  Brain,
+  Plus,
+  Trash2,
+  Edit3,
+  Save,
+  XCircle,
+  Check
+} from 'lucide-react';
+
+// The user's memories: facts sent to the assistant in every chat that has
+// memory turned on, and the ones it proposed that still need an answer
+function Memories() {
+  const navigate = useNavigate();
+
+  const [memories, setMemories] = useState([]);
+  const [newContent, setNewContent] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingContent, setEditingContent] = useState('');
+
+  const fetchMemories = async () => {
+    try {
+      const response = await axios.get('/api/memories');
+      setMemories(response.data.memories);
+    } catch (error) {
+      console.error('Error fetching memories:', error);
+      toast.error('Failed to load memories');
+    }
+  };
+
+  useEffect(() => {
+    fetchMemories();
+  }, []);
+
+  const replaceMemory = (memory) => {
+    setMemories(current => current.map(other => (other._id === memory._id ? memory : other)));
+  };
+
+  const addMemory = async (e) => {
+    e.preventDefault();
+    if (!newContent.trim()) return;
+
+    try {
+      const response = await axios.post('/api/memories', { content: newContent.trim() });
+      setMemories(current => [response.data.memory, ...current]);
+      setNewContent('');
+    } catch (error) {
+      console.error('Error adding memory:', error);
+      toast.error(error.response?.data?.message || 'Failed to add memory');
+    }
+  };
+
+  const saveEdit = async (memory) => {
+    if (!editingContent.trim()) return;
+
+    try {
+      const response = await axios.put(`/api/memories/${memory._id}`, { content: editingContent.trim() });
+      replaceMemory(response.data.memory);
+      setEditingId(null);
+    } catch (error) {
+      console.error('Error updating memory:', error);
+      toast.error('Failed to save memory');
+    }
+  };
+
+  const confirmMemory = async (memory) => {
+    try {
+      const response = await axios.put(`/api/memories/${memory._id}`, { status: 'active' });
+      replaceMemory(response.data.memory);
+    } catch (error) {
+      console.error('Error confirming memory:', error);
+      toast.error('Failed to save memory');
+    }
+  };
+
+  const deleteMemory = async (memory) => {
+    try {
+      await axios.delete(`/api/memories/${memory._id}`);
+      setMemories(current => current.filter(other => other._id !== memory._id));
+    } catch (error) {
+      console.error('Error deleting memory:', error);
+      toast.error('Failed to delete memory');
+    }
+  };
+
+  const proposed = memories.filter(memory => memory.status === 'proposed');
+  const active = memories.filter(memory => memory.status === 'active');
+
+  const renderMemory = (memory) => (
+    <div key={memory._id} className="group flex items-start space-x-3 p-3 bg-gray-800/60 border border-gray-700/50 rounded-xl">
+      {editingId === memory._id ? (
+        <div className="flex-1 space-y-2">
+          <textarea
+            value={editingContent}
+            onChange={(e) => setEditingContent(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                saveEdit(memory);
+              } else if (e.key === 'Escape') {
+                setEditingId(null);
+              }
+            }}
+            maxLength={500}
+            rows={2}
+            autoFocus
+            className="w-full px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-orange-500/50 resize-y"
+          />
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => setEditingId(null)}
+              className="flex items-center space-x-2 text-sm text-gray-400 hover:text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 px-3 py-1.5 rounded-lg transition-all duration-300"
+            >
+              <XCircle className="h-4 w-4" />
+              <span>Cancel</span>
+            </button>
+            <button
+              onClick={() => saveEdit(memory)}
+              disabled={!editingContent.trim()}
+              className="flex items-center space-x-2 text-sm text-white bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:opacity-50 px-3 py-1.5 rounded-lg transition-all duration-300"
+            >
+              <Save className="h-4 w-4" />
+              <span>Save</span>
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-gray-200 whitespace-pre-wrap">{memory.content}</p>
+            <p className="text-xs text-gray-500 mt-1">
+              {memory.status === 'proposed' ? 'Proposed' : 'Updated'} {formatDistanceToNow(new Date(memory.updatedAt), { addSuffix: true })}
+            </p>
+          </div>
+          <div className="flex space-x-1 flex-shrink-0 opacity-0 group-hover:opacity-100 transition-all duration-200">
+            {memory.status === 'proposed' && (
+              <button
+                onClick={() => confirmMemory(memory)}
+                className="p-2 text-green-400 hover:bg-gray-700/50 rounded-lg transition-all duration-200"
+                title="Remember"
+              >
+                <Check className="h-4 w-4" />
+              </button>
+            )}
+            <button
+              onClick={() => {
+                setEditingId(memory._id);
+                setEditingContent(memory.content);
+              }}
+              className="p-2 text-gray-400 hover:text-gray-200 hover:bg-gray-700/50 rounded-lg transition-all duration-200"
+              title="Edit"
+            >
+              <Edit3 className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => deleteMemory(memory)}
+              className="p-2 text-gray-400 hover:text-red-400 hover:bg-gray-700/50 rounded-lg transition-all duration-200"
+              title={memory.status === 'proposed' ? 'Dismiss' : 'Forget'}
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white">
+      <div className="max-w-3xl mx-auto px-6 py-8">
+        <div className="flex items-center space-x-3 mb-2">
+          <button
+            onClick={() => navigate('/')}
+            className="p-2 text-gray-400 hover:text-gray-200 hover:bg-gray-700/50 rounded-lg transition-all duration-200"
+            title="Back to chats"
+          >
+            <ArrowLeft className="h-5 w-5" />
+          </button>
+          <Brain className="h-6 w-6 text-orange-400" />
+          <h1 className="text-2xl font-semibold">Memory</h1>
+        </div>
+        <p className="text-sm text-gray-400 mb-8">
+          The most relevant of these are sent to the assistant in every chat with memory turned on (see chat settings).
+        </p>
+
+        <form onSubmit={addMemory} className="flex space-x-2 mb-8">
+          <input
+            value={newContent}
+            onChange={(e) => setNewContent(e.target.value)}
+            maxLength={500}
+            placeholder="e.g. We use Postgres 15"
+            className="flex-1 min-w-0 px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50"
+          />
+          <button
+            type="submit"
+            disabled={!newContent.trim()}
+            className="flex items-center space-x-2 px-3 py-2 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:from-gray-600 disabled:to-gray-700 disabled:cursor-not-allowed text-white text-sm rounded-lg transition-all duration-300"
+          >
+            <Plus className="h-4 w-4" />
+            <span>Remember</span>
+          </button>
+        </form>
+
+        {proposed.length > 0 && (
+          <div className="mb-8">
+            <h2 className="text-sm font-medium text-gray-200 mb-3">Proposed by the assistant</h2>
+            <div className="space-y-2">
+              {proposed.map(renderMemory)}
+            </div>
+          </div>
+        )}
+
+        <h2 className="text-sm font-medium text-gray-200 mb-3">Remembered</h2>
+        {active.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">
+            Nothing yet. Add facts above, or keep the ones the assistant proposes in a chat.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {active.map(renderMemory)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Memories;
@@ -0,0 +1,64 @@
+// src/components/MemoryProposals.js
+import React from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Brain, Check, X } from 'lucide-react';
+
+// Memories the assistant proposed in this chat, waiting for the user to keep
+// or dismiss them. `onResolved(id)` drops one from the list.
+function MemoryProposals({ proposals, onResolved }) {
+  const keep = async (memory) => {
+    try {
+      await axios.put(`/api/memories/${memory._id}`, { status: 'active' });
+      onResolved(memory._id);
+      toast.success('Remembered for future chats');
+    } catch (error) {
+      console.error('Error saving memory:', error);
+      toast.error('Failed to save memory');
+    }
+  };
+
+  const dismiss = async (memory) => {
+    try {
+      await axios.delete(`/api/memories/${memory._id}`);
+      onResolved(memory._id);
+    } catch (error) {
+      console.error('Error dismissing memory:', error);
+      toast.error('Failed to dismiss memory');
+    }
+  };
+
+  return (
+    <div className="mb-3 p-3 bg-gray-700/60 backdrop-blur border border-orange-500/30 rounded-2xl space-y-2 animate-fade-in">
+      <div className="flex items-center justify-between text-xs text-gray-400">
+        <span className="flex items-center space-x-1.5">
+          <Brain className="h-3.5 w-3.5 text-orange-400" />
+          <span>Remember this in future chats?</span>
+        </span>
+        <Link to="/memories" className="text-orange-400 hover:text-orange-300">Manage memories</Link>
+      </div>
+      {proposals.map(memory => (
+        <div key={memory._id} className="flex items-center space-x-2">
+          <p className="flex-1 min-w-0 text-sm text-gray-200">{memory.content}</p>
+          <button
+            onClick={() => keep(memory)}
+            className="p-1.5 text-green-400 hover:bg-gray-600/60 rounded-lg transition-all duration-200"
+            title="Remember"
+          >
+            <Check className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => dismiss(memory)}
+            className="p-1.5 text-gray-400 hover:text-red-400 hover:bg-gray-600/60 rounded-lg transition-all duration-200"
+            title="Dismiss"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default MemoryProposals;
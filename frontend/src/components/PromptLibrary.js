@@ -0,0 +1,295 @@
+// src/components/PromptLibrary.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeft,
+  ScrollText,
+  Plus,
+  Trash2,
+  Search,
+  Save,
+  Copy,
+  Users,
+  Lock
+} from 'lucide-react';
+
+const EMPTY_DRAFT = { title: '', body: '', tags: '', shared: false };
+
+const draftOf = (prompt) => ({
+  title: prompt.title,
+  body: prompt.body,
+  tags: prompt.tags.join(', '),
+  shared: prompt.shared
+});
+
+const tagsOf = (text) => text.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// The user's prompt library: their own prompts and the ones others shared.
+// Prompts are used from the chat box by typing `/`.
+function PromptLibrary() {
+  const navigate = useNavigate();
+
+  const [prompts, setPrompts] = useState([]);
+  const [searchText, setSearchText] = useState('');
+  const [activeTag, setActiveTag] = useState(null);
+  // The prompt open in the editor; a draft without one is a new prompt
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchPrompts = async () => {
+    try {
+      const response = await axios.get('/api/prompts');
+      setPrompts(response.data.prompts);
+    } catch (error) {
+      console.error('Error fetching prompts:', error);
+      toast.error('Failed to load prompts');
+    }
+  };
+
+  useEffect(() => {
+    fetchPrompts();
+  }, []);
+
+  const allTags = [...new Set(prompts.flatMap(prompt => prompt.tags))].sort();
+  const search = searchText.trim().toLowerCase();
+  const shownPrompts = prompts.filter(prompt =>
+    (!activeTag || prompt.tags.includes(activeTag)) &&
+    (!search || prompt.title.toLowerCase().includes(search) || prompt.body.toLowerCase().includes(search))
+  );
+
+  const openPrompt = (prompt) => {
+    setSelected(prompt);
+    setDraft(prompt.mine ? draftOf(prompt) : null);
+  };
+
+  const startNewPrompt = (from = EMPTY_DRAFT) => {
+    setSelected(null);
+    setDraft(from);
+  };
+
+  const savePrompt = async (e) => {
+    e.preventDefault();
+    if (!draft.title.trim() || !draft.body.trim()) return;
+
+    setIsSaving(true);
+    try {
+      const payload = {
+        title: draft.title.trim(),
+        body: draft.body,
+        tags: tagsOf(draft.tags),
+        shared: draft.shared
+      };
+      const response = selected
+        ? await axios.put(`/api/prompts/${selected._id}`, payload)
+        : await axios.post('/api/prompts', payload);
+      openPrompt(response.data.prompt);
+      fetchPrompts();
+      toast.success('Prompt saved');
+    } catch (error) {
+      console.error('Error saving prompt:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || 'Failed to save prompt');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deletePrompt = async () => {
+    if (!window.confirm(`Delete "${selected.title}"?`)) return;
+
+    try {
+      await axios.delete(`/api/prompts/${selected._id}`);
+      setSelected(null);
+      setDraft(null);
+      fetchPrompts();
+      toast.success('Prompt deleted');
+    } catch (error) {
+      console.error('Error deleting prompt:', error);
+      toast.error('Failed to delete prompt');
+    }
+  };
+
+  const isDirty = draft && (!selected || JSON.stringify(draft) !== JSON.stringify(draftOf(selected)));
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white">
+      <div className="max-w-6xl mx-auto px-6 py-8">
+        <div className="flex items-center space-x-3 mb-8">
+          <button
+            onClick={() => navigate('/')}
+            className="p-2 text-gray-400 hover:text-gray-200 hover:bg-gray-700/50 rounded-lg transition-all duration-200"
+            title="Back to chats"
+          >
+            <ArrowLeft className="h-5 w-5" />
+          </button>
+          <ScrollText className="h-6 w-6 text-orange-400" />
+          <h1 className="text-2xl font-semibold">Prompt library</h1>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="space-y-3">
+            <div className="flex space-x-2">
+              <div className="relative flex-1 min-w-0">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-500" />
+                <input
+                  value={searchText}
+                  onChange={(e) => setSearchText(e.target.value)}
+                  placeholder="Search prompts"
+                  className="w-full pl-9 pr-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50"
+                />
+              </div>
+              <button
+                onClick={() => startNewPrompt()}
+                className="p-2 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white rounded-lg transition-all duration-300"
+                title="New prompt"
+              >
+                <Plus className="h-4 w-4" />
+              </button>
+            </div>
+
+            {allTags.length > 0 && (
+              <div className="flex flex-wrap gap-1.5">
+                {allTags.map(tag => (
+                  <button
+                    key={tag}
+                    onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+                    className={`text-xs px-2 py-1 rounded-full border transition-all duration-200 ${
+                      activeTag === tag
+                        ? 'bg-orange-500/20 border-orange-500/50 text-orange-300'
+                        : 'bg-gray-800/60 border-gray-700/50 text-gray-400 hover:text-gray-200'
+                    }`}
+                  >
+                    #{tag}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {shownPrompts.map(prompt => (
+              <button
+                key={prompt._id}
+                onClick={() => openPrompt(prompt)}
+                className={`w-full text-left p-3 rounded-xl border transition-all duration-200 ${
+                  selected?._id === prompt._id
+                    ? 'bg-gray-700/60 border-orange-500/50'
+                    : 'bg-gray-800/60 border-gray-700/50 hover:bg-gray-700/40'
+                }`}
+              >
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm font-medium truncate flex-1">{prompt.title}</span>
+                  {prompt.shared && <Users className="h-3.5 w-3.5 text-gray-400 flex-shrink-0" />}
+                </div>
+                <div className="text-xs text-gray-400 mt-1 truncate">
+                  {prompt.mine ? 'Yours' : `Shared by ${prompt.author}`}
+                  {prompt.variables.length > 0 && ` · ${prompt.variables.length} ${prompt.variables.length === 1 ? 'variable' : 'variables'}`}
+                </div>
+              </button>
+            ))}
+
+            {shownPrompts.length === 0 && (
+              <p className="text-sm text-gray-500 text-center py-6">
+                {prompts.length === 0 ? 'No prompts yet' : 'No prompts match'}
+              </p>
+            )}
+          </div>
+
+          <div className="md:col-span-2">
+            {draft ? (
+              <form onSubmit={savePrompt} className="bg-gray-800/60 border border-gray-700/50 rounded-2xl p-6 space-y-4">
+                <input
+                  value={draft.title}
+                  onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                  maxLength={100}
+                  placeholder="Title"
+                  className="w-full px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50"
+                />
+                <div>
+                  <textarea
+                    value={draft.body}
+                    onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+                    maxLength={20000}
+                    rows={12}
+                    placeholder={'Review this {{language}} code for bugs and style:\n\n{{code}}'}
+                    className="w-full px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 font-mono focus:outline-none focus:ring-2 focus:ring-orange-500/50 resize-y"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Write <code className="text-orange-300">{'{{name}}'}</code> where a value goes; you'll be asked for it when you use the prompt.
+                  </p>
+                </div>
+                <input
+                  value={draft.tags}
+                  onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+                  placeholder="Tags, separated by commas"
+                  className="w-full px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50"
+                />
+                <label className="flex items-center space-x-2 text-sm text-gray-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={draft.shared}
+                    onChange={(e) => setDraft({ ...draft, shared: e.target.checked })}
+                    className="accent-orange-500"
+                  />
+                  <span>Share with everyone</span>
+                </label>
+
+                <div className="flex justify-between">
+                  {selected ? (
+                    <button
+                      type="button"
+                      onClick={deletePrompt}
+                      className="flex items-center space-x-2 text-sm text-gray-400 hover:text-red-400 bg-gray-700/80 hover:bg-gray-600/80 px-3 py-2 rounded-lg transition-all duration-300"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                      <span>Delete</span>
+                    </button>
+                  ) : <span />}
+                  <button
+                    type="submit"
+                    disabled={!isDirty || !draft.title.trim() || !draft.body.trim() || isSaving}
+                    className="flex items-center space-x-2 text-sm text-white bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 disabled:opacity-50 disabled:cursor-not-allowed px-3 py-2 rounded-lg transition-all duration-300"
+                  >
+                    <Save className="h-4 w-4" />
+                    <span>{selected ? 'Save' : 'Create'}</span>
+                  </button>
+                </div>
+              </form>
+            ) : selected ? (
+              <div className="bg-gray-800/60 border border-gray-700/50 rounded-2xl p-6 space-y-4">
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <h2 className="text-xl font-semibold truncate">{selected.title}</h2>
+                    <p className="flex items-center space-x-1 text-sm text-gray-400 mt-1">
+                      <Lock className="h-3.5 w-3.5" />
+                      <span>Shared by {selected.author}; only they can change it</span>
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => startNewPrompt({ ...draftOf(selected), title: `${selected.title} (copy)`.slice(0, 100), shared: false })}
+                    className="flex items-center space-x-2 text-sm text-gray-200 bg-gray-700/80 hover:bg-gray-600/80 px-3 py-2 rounded-lg transition-all duration-300 flex-shrink-0"
+                  >
+                    <Copy className="h-4 w-4" />
+                    <span>Make a copy</span>
+                  </button>
+                </div>
+                <pre className="text-sm text-gray-300 bg-gray-900/60 border border-gray-700/50 rounded-lg p-3 whitespace-pre-wrap font-mono">{selected.body}</pre>
+                {selected.tags.length > 0 && (
+                  <p className="text-xs text-gray-400">{selected.tags.map(tag => `#${tag}`).join(' ')}</p>
+                )}
+              </div>
+            ) : (
+              <div className="text-center text-gray-500 py-16 border border-dashed border-gray-700 rounded-2xl">
+                <ScrollText className="h-8 w-8 mx-auto mb-3 opacity-50" />
+                <p className="text-sm">Save prompts you use often, optionally with {'{{variables}}'},</p>
+                <p className="text-sm">then type / in the chat box to use one.</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PromptLibrary;
@@ -0,0 +1,71 @@
+// src/components/PromptVariablesForm.js
+import React, { useState } from 'react';
+import { ScrollText, X, Check } from 'lucide-react';
+import { fillPrompt } from '../utils/prompts';
+
+// Ask for the values of a library prompt's `{{variables}}`, then hand the
+// filled-in prompt to `onInsert`
+function PromptVariablesForm({ prompt, onInsert, onCancel }) {
+  const [values, setValues] = useState(() => Object.fromEntries(prompt.variables.map(name => [name, ''])));
+
+  const submit = (e) => {
+    e.preventDefault();
+    onInsert(fillPrompt(prompt.body, values));
+  };
+
+  return (
+    <form
+      onSubmit={submit}
+      onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+      className="mb-3 p-4 bg-gray-700/60 backdrop-blur border border-gray-600/50 rounded-2xl animate-fade-in"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2 min-w-0">
+          <ScrollText className="h-4 w-4 text-orange-400 flex-shrink-0" />
+          <span className="text-sm font-medium text-gray-200 truncate">{prompt.title}</span>
+        </div>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="p-1 text-gray-400 hover:text-gray-200 transition-all duration-200"
+          title="Cancel"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {prompt.variables.map((name, index) => (
+          <label key={name} className="block">
+            <span className="block text-xs text-gray-400 mb-1">{name}</span>
+            <textarea
+              value={values[name]}
+              onChange={(e) => setValues(current => ({ ...current, [name]: e.target.value }))}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                  e.preventDefault();
+                  e.currentTarget.form.requestSubmit();
+                }
+              }}
+              autoFocus={index === 0}
+              rows={1}
+              className="w-full px-3 py-2 bg-gray-800/80 border border-gray-600/50 rounded-lg text-sm text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-orange-500/50 resize-y"
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex justify-end mt-3">
+        <button
+          type="submit"
+          className="flex items-center space-x-2 text-sm text-white bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 px-3 py-2 rounded-lg transition-all duration-300 shadow-md"
+        >
+          <Check className="h-4 w-4" />
+          <span>Insert</span>
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default PromptVariablesForm;
@@ -0,0 +1,86 @@
+// src/components/QuotaBar.js
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import { AlertTriangle } from 'lucide-react';
+import { formatCost, formatTokens } from '../utils/format';
+
+const QUOTA_LABELS = {
+  dailyTokens: 'Daily tokens',
+  monthlyTokens: 'Monthly tokens',
+  dailyCost: 'Daily spending',
+  monthlyCost: 'Monthly spending'
+};
+
+const formatAmount = (quota, amount) => (
+  quota.unit === 'cost' ? formatCost(amount) : formatTokens(Math.round(amount))
+);
+
+// Shows the user's fullest quota above the message input, turning amber at
+// 80% and red once it is used up. Renders nothing when no quota is set.
+function QuotaBar({ refreshKey }) {
+  const [quotas, setQuotas] = useState([]);
+  const warnedRef = useRef(new Set());
+
+  useEffect(() => {
+    const fetchQuotas = async () => {
+      try {
+        const response = await axios.get('/api/usage/quota');
+        setQuotas(response.data.quotas);
+      } catch (error) {
+        console.error('Error fetching quotas:', error);
+      }
+    };
+
+    fetchQuotas();
+  }, [refreshKey]);
+
+  // Warn once per quota and period when it crosses the threshold
+  useEffect(() => {
+    quotas
+      .filter(quota => quota.warning && !quota.exceeded)
+      .forEach(quota => {
+        const warningKey = `${quota.key}-${quota.resetsAt}`;
+        if (warnedRef.current.has(warningKey)) return;
+
+        warnedRef.current.add(warningKey);
+        toast(`You have used ${quota.percent}% of your ${QUOTA_LABELS[quota.key].toLowerCase()} quota`, {
+          icon: '⚠️'
+        });
+      });
+  }, [quotas]);
+
+  const quota = quotas[0];
+  if (!quota) return null;
+
+  const barColor = quota.exceeded
+    ? 'bg-red-500'
+    : quota.warning
+      ? 'bg-yellow-500'
+      : 'bg-gradient-to-r from-orange-500 to-orange-600';
+
+  return (
+    <div className="mb-3 text-xs" title={quotas.map(q => `${QUOTA_LABELS[q.key]}: ${q.percent}%`).join('\n')}>
+      <div className="flex items-center justify-between mb-1">
+        <span className={`flex items-center space-x-1 ${quota.exceeded ? 'text-red-400' : quota.warning ? 'text-yellow-400' : 'text-gray-400'}`}>
+          {quota.warning && <AlertTriangle className="h-3 w-3" />}
+          <span>
+            {QUOTA_LABELS[quota.key]}: {formatAmount(quota, quota.used)} of {formatAmount(quota, quota.limit)}
+          </span>
+        </span>
+        <span className="text-gray-500">
+          Resets {formatDistanceToNow(new Date(quota.resetsAt), { addSuffix: true })}
+        </span>
+      </div>
+      <div className="h-1.5 bg-gray-700/80 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all duration-500 ${barColor}`}
+          style={{ width: `${quota.percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default QuotaBar;
@@ -0,0 +1,69 @@
+// src/components/SlashCommandMenu.js
+import React, { useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { ScrollText, Loader2, Users } from 'lucide-react';
+
+// Prompts offered while the message box holds `/query`. The keyboard is
+// handled by the message box; this shows the matches and takes clicks.
+function SlashCommandMenu({ prompts, highlighted, onSelect, onHighlight }) {
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    listRef.current?.children[highlighted]?.scrollIntoView({ block: 'nearest' });
+  }, [highlighted]);
+
+  return (
+    <div className="absolute bottom-full left-0 right-0 mb-2 bg-gray-700/95 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-600/50 z-50 animate-dropdown overflow-hidden">
+      {prompts === null ? (
+        <div className="flex items-center space-x-2 px-4 py-3 text-sm text-gray-400">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          <span>Loading prompts...</span>
+        </div>
+      ) : prompts.length === 0 ? (
+        <p className="px-4 py-3 text-sm text-gray-400">No matching prompts</p>
+      ) : (
+        <div ref={listRef} className="max-h-64 overflow-y-auto py-1">
+          {prompts.map((prompt, index) => (
+            <button
+              key={prompt._id}
+              onMouseDown={(e) => {
+                // Keep the focus in the message box
+                e.preventDefault();
+                onSelect(prompt);
+              }}
+              onMouseEnter={() => onHighlight(index)}
+              className={`w-full text-left flex items-start space-x-3 px-4 py-2 transition-colors duration-150 ${
+                index === highlighted ? 'bg-gray-600/60' : ''
+              }`}
+            >
+              <ScrollText className="h-4 w-4 text-orange-400 flex-shrink-0 mt-0.5" />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm text-gray-100 truncate">{prompt.title}</span>
+                  {!prompt.mine && (
+                    <span className="flex items-center space-x-1 text-xs text-gray-400 flex-shrink-0" title={`Shared by ${prompt.author}`}>
+                      <Users className="h-3 w-3" />
+                      <span>{prompt.author}</span>
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-400 truncate">{prompt.body}</p>
+              </div>
+              {prompt.tags.length > 0 && (
+                <span className="text-xs text-gray-500 flex-shrink-0">
+                  {prompt.tags.slice(0, 2).map(tag => `#${tag}`).join(' ')}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="px-4 py-2 border-t border-gray-600/50 flex justify-between text-xs text-gray-500">
+        <span>↑↓ to choose · Enter to insert · Esc to close</span>
+        <Link to="/prompts" className="text-orange-400 hover:text-orange-300">Manage prompts</Link>
+      </div>
+    </div>
+  );
+}
+
+export default SlashCommandMenu;
@@ -0,0 +1,55 @@
+// src/components/SourceChips.js
+import React, { useState } from 'react';
+import { BookOpen, Download } from 'lucide-react';
+import { downloadAttachment } from './AttachmentChip';
+
+// Knowledge base passages a reply was given, numbered as the reply cites
+// them. Clicking a chip shows the passage.
+function SourceChips({ sources }) {
+  const [openIndex, setOpenIndex] = useState(null);
+  const open = sources.find(source => source.index === openIndex);
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap gap-2">
+        {sources.map(source => (
+          <button
+            key={source.index}
+            onClick={() => setOpenIndex(openIndex === source.index ? null : source.index)}
+            className={`inline-flex items-center max-w-xs space-x-1.5 text-xs border rounded-lg px-2 py-1 backdrop-blur transition-all duration-200 ${
+              openIndex === source.index
+                ? 'text-white bg-orange-500/20 border-orange-500/50'
+                : 'text-gray-300 bg-gray-700/60 border-gray-600/50 hover:border-orange-500/50'
+            }`}
+            title={source.filename}
+          >
+            <span className="font-semibold text-orange-400">[{source.index}]</span>
+            <BookOpen className="h-3.5 w-3.5 flex-shrink-0 text-gray-400" />
+            <span className="truncate">{source.filename}</span>
+          </button>
+        ))}
+      </div>
+
+      {open && (
+        <div className="mt-2 p-3 bg-gray-800/60 border border-gray-600/50 rounded-lg animate-fade-in">
+          <div className="flex items-center justify-between mb-2 text-xs text-gray-400">
+            <span>{open.filename} · passage {open.position + 1}</span>
+            {open.attachment && (
+              <button
+                onClick={() => downloadAttachment(open.attachment, open.filename)}
+                className="flex items-center space-x-1 hover:text-orange-400 transition-colors duration-200"
+                title={`Download ${open.filename}`}
+              >
+                <Download className="h-3.5 w-3.5" />
+                <span>Download</span>
+              </button>
+            )}
+          </div>
+          <p className="text-sm text-gray-300 whitespace-pre-wrap max-h-60 overflow-y-auto">{open.excerpt}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SourceChips;
@@ -0,0 +1,84 @@
+// src/components/ToolSteps.js
+import React, { useState } from 'react';
+import { Wrench, ChevronDown, ChevronRight, Loader2, AlertCircle } from 'lucide-react';
+
+// Tool results are stored as JSON text; show them indented when they are
+const formatJson = (text) => {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (error) {
+    return text;
+  }
+};
+
+// The tools a reply called on its way to an answer, each with its arguments
+// and result. `results` maps a call id to the tool message answering it;
+// a call without one is still running.
+function ToolSteps({ toolCalls, results }) {
+  const [openId, setOpenId] = useState(null);
+
+  return (
+    <div className="space-y-2 mb-4">
+      {toolCalls.map(call => {
+        const result = results[call.id];
+        const isOpen = openId === call.id;
+
+        return (
+          <div
+            key={call.id}
+            className={`rounded-lg border backdrop-blur ${
+              result?.toolError ? 'bg-red-900/10 border-red-500/30' : 'bg-gray-800/60 border-gray-600/50'
+            }`}
+          >
+            <button
+              onClick={() => setOpenId(isOpen ? null : call.id)}
+              className="w-full flex items-center space-x-2 px-3 py-2 text-sm text-gray-300 hover:text-white transition-colors duration-200"
+            >
+              {isOpen ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+              <Wrench className="h-4 w-4 text-orange-400" />
+              <span className="font-mono">{call.name}</span>
+              <span className="ml-auto text-xs text-gray-500 flex items-center space-x-1">
+                {!result ? (
+                  <>
+                    <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                    <span>Running</span>
+                  </>
+                ) : result.toolError ? (
+                  <>
+                    <AlertCircle className="h-3.5 w-3.5 text-red-400" />
+                    <span className="text-red-400">Failed</span>
+                  </>
+                ) : (
+                  <span>Done</span>
+                )}
+              </span>
+            </button>
+
+            {isOpen && (
+              <div className="px-3 pb-3 space-y-2 animate-fade-in">
+                <div>
+                  <p className="text-xs text-gray-500 mb-1">Arguments</p>
+                  <pre className="text-xs text-gray-300 bg-gray-900/60 rounded p-2 overflow-x-auto whitespace-pre-wrap break-words">
+                    {formatJson(call.arguments || '{}')}
+                  </pre>
+                </div>
+                {result && (
+                  <div>
+                    <p className="text-xs text-gray-500 mb-1">Result</p>
+                    <pre className={`text-xs bg-gray-900/60 rounded p-2 max-h-60 overflow-auto whitespace-pre-wrap break-words ${
+                      result.toolError ? 'text-red-300' : 'text-gray-300'
+                    }`}>
+                      {formatJson(result.content)}
+                    </pre>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ToolSteps;
@@ -0,0 +1,76 @@
+// src/components/UsageWidget.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { DollarSign, ChevronDown, ChevronUp } from 'lucide-react';
+import { formatCost, formatTokens } from '../utils/format';
+
+// This month's spending, shown above the user menu. `refreshKey` changes
+// whenever a reply lands so the total follows along.
+function UsageWidget({ refreshKey }) {
+  const [usage, setUsage] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    const fetchUsage = async () => {
+      try {
+        const response = await axios.get('/api/usage');
+        setUsage(response.data.usage);
+      } catch (error) {
+        console.error('Error fetching usage:', error);
+      }
+    };
+
+    fetchUsage();
+  }, [refreshKey]);
+
+  if (!usage) return null;
+
+  const monthLabel = new Date(`${usage.month}-01T00:00:00Z`).toLocaleString(undefined, {
+    month: 'long',
+    timeZone: 'UTC'
+  });
+
+  return (
+    <div className="px-4 pt-3">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between px-3 py-2 bg-gray-700/30 hover:bg-gray-700/50 border border-gray-600/30 rounded-xl text-sm transition-all duration-300"
+        title="Spending this month"
+      >
+        <span className="flex items-center space-x-2 text-gray-300">
+          <DollarSign className="h-4 w-4 text-orange-400" />
+          <span>{monthLabel}</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="font-semibold text-white">{formatCost(usage.cost)}</span>
+          {expanded ? (
+            <ChevronUp className="h-4 w-4 text-gray-400" />
+          ) : (
+            <ChevronDown className="h-4 w-4 text-gray-400" />
+          )}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="mt-2 space-y-1 animate-fade-in">
+          {usage.models.length === 0 ? (
+            <p className="text-xs text-gray-500 px-3">No usage yet this month</p>
+          ) : (
+            usage.models.map(row => (
+              <div
+                key={row.model}
+                className="flex items-center justify-between px-3 py-1 text-xs"
+                title={`${row.requests} requests · ${formatTokens(row.promptTokens)} prompt + ${formatTokens(row.completionTokens)} completion tokens`}
+              >
+                <span className="text-gray-400 truncate mr-2">{row.name}</span>
+                <span className="text-gray-200">{formatCost(row.cost)}</span>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UsageWidget;
@@ -0,0 +1,36 @@
+// src/components/VariantPager.js
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+// "< 2/3 >" controls for moving between the versions of a turn. Renders
+// nothing when the message has no alternatives.
+function VariantPager({ variants, currentId, onSelect, disabled }) {
+  if (variants.length < 2) return null;
+
+  const index = variants.findIndex(msg => msg._id === currentId);
+  const buttonClass = 'p-0.5 rounded hover:text-gray-200 hover:bg-gray-600/60 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent transition-colors duration-200';
+
+  return (
+    <span className="flex items-center text-xs text-gray-400 bg-gray-700/50 backdrop-blur px-1 py-0.5 rounded-full select-none">
+      <button
+        onClick={() => onSelect(variants[index - 1]._id)}
+        disabled={disabled || index <= 0}
+        className={buttonClass}
+        title="Previous version"
+      >
+        <ChevronLeft className="h-3.5 w-3.5" />
+      </button>
+      <span className="px-1 tabular-nums">{index + 1}/{variants.length}</span>
+      <button
+        onClick={() => onSelect(variants[index + 1]._id)}
+        disabled={disabled || index >= variants.length - 1}
+        className={buttonClass}
+        title="Next version"
+      >
+        <ChevronRight className="h-3.5 w-3.5" />
+      </button>
+    </span>
+  );
+}
+
+export default VariantPager;
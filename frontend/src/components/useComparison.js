@@ -0,0 +1,106 @@
+// src/components/useComparison.js
+import { useState, useEffect } from 'react';
+
+const MAX_COMPARED = 4;
+
+// Compare mode for ClaudeInterface: the next message goes to several models
+// and their answers stream into CompareColumns until the user picks the one
+// to continue with. The message is sent with the interface's
+// `sendComposerMessage`, so sending, stopping and errors work as for any
+// other message; only the columns are kept here.
+export default function useComparison({
+  chatId,
+  selectedModel,
+  setSelectedModel,
+  canSend,
+  sendComposerMessage,
+  selectVariant
+}) {
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareModelIds, setCompareModelIds] = useState([]);
+  // The comparison on screen: its user message, the models in column order
+  // and each column's answer so far
+  const [comparison, setComparison] = useState(null);
+
+  useEffect(() => {
+    setComparison(null);
+  }, [chatId]);
+
+  const toggleCompareMode = () => {
+    if (!compareMode) {
+      setCompareModelIds(selectedModel ? [selectedModel] : []);
+    }
+    setCompareMode(!compareMode);
+  };
+
+  const toggleCompareModel = (modelId) => {
+    setCompareModelIds(prev => {
+      if (prev.includes(modelId)) return prev.filter(id => id !== modelId);
+      return prev.length < MAX_COMPARED ? [...prev, modelId] : prev;
+    });
+  };
+
+  const updateColumn = (modelId, update) => setComparison(prev => prev && {
+    ...prev,
+    columns: {
+      ...prev.columns,
+      [modelId]: { ...prev.columns[modelId], ...update(prev.columns[modelId]) }
+    }
+  });
+
+  // Send the composer's message to every model being compared
+  const sendComparison = async () => {
+    if (!canSend || compareModelIds.length < 2) return;
+
+    const models = compareModelIds;
+    setComparison({
+      userMessageId: null,
+      order: models,
+      columns: Object.fromEntries(models.map(modelId => [modelId, { modelId, content: '' }])),
+      running: true
+    });
+
+    await sendComposerMessage('/api/ai/compare', { models }, {
+      errorText: 'Failed to compare models',
+      onUnsaved: () => setComparison(null),
+      onEvent: (event) => {
+        if (event.userMessage) {
+          setComparison(prev => prev && { ...prev, userMessageId: event.userMessage._id });
+        }
+        if (event.partial) {
+          updateColumn(event.column, column => ({ content: column.content + event.content }));
+        }
+        if (event.failed) {
+          updateColumn(event.column, () => ({ failed: event.failed }));
+        }
+        if (event.finished) {
+          updateColumn(event.column, () => ({ firstTokenMs: event.firstTokenMs, latencyMs: event.latencyMs }));
+        }
+        if (event.done) {
+          event.messages.forEach(message => updateColumn(message.model, () => ({ message })));
+        }
+      }
+    });
+
+    setComparison(prev => prev && { ...prev, running: false });
+  };
+
+  // Carry on with one model's answer, and with that model
+  const pickComparisonWinner = (message) => {
+    selectVariant(message._id);
+    setSelectedModel(message.model);
+    setComparison(null);
+    setCompareMode(false);
+  };
+
+  return {
+    compareMode,
+    compareModelIds,
+    comparison,
+    toggleCompareMode,
+    toggleCompareModel,
+    sendComparison,
+    pickComparisonWinner,
+    dismissComparison: () => setComparison(null)
+  };
+}
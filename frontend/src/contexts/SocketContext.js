@@ -61,11 +61,56 @@ export function SocketProvider({ children }) {
     }
   };
 
+  const onSummaryUpdated = (callback) => {
+    if (socketRef.current) {
+      socketRef.current.on('summary-updated', callback);
+
+      return () => {
+        socketRef.current.off('summary-updated', callback);
+      };
+    }
+  };
+
+  const onMessageRemoved = (callback) => {
+    if (socketRef.current) {
+      socketRef.current.on('message-removed', callback);
+
+      return () => {
+        socketRef.current.off('message-removed', callback);
+      };
+    }
+  };
+
+  const onMessageSelected = (callback) => {
+    if (socketRef.current) {
+      socketRef.current.on('message-selected', callback);
+
+      return () => {
+        socketRef.current.off('message-selected', callback);
+      };
+    }
+  };
+
+  // Sent to every tab of the signed-in user, whichever chat is open
+  const onChatTitleUpdated = (callback) => {
+    if (socketRef.current) {
+      socketRef.current.on('chat-title-updated', callback);
+
+      return () => {
+        socketRef.current.off('chat-title-updated', callback);
+      };
+    }
+  };
+
   const value = {
     socket: socketRef.current,
     joinChat,
     leaveChat,
-    onNewMessage
+    onNewMessage,
+    onSummaryUpdated,
+    onMessageRemoved,
+    onMessageSelected,
+    onChatTitleUpdated
   };
 
   return (
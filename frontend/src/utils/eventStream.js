@@ -0,0 +1,69 @@
+// src/utils/eventStream.js
+
+// POST a JSON body and read the Server-Sent Events the backend writes back.
+// axios can't expose a streaming body in the browser, so this goes through
+// fetch and mirrors the auth handling of the axios interceptors.
+export async function postEventStream(url, body, { onEvent, signal } = {}) {
+  const token = localStorage.getItem('token');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    if (response.status === 401) {
+      localStorage.removeItem('token');
+      window.location.href = '/login';
+    }
+
+    const error = new Error(`Request failed with status ${response.status}`);
+    error.status = response.status;
+    error.data = await response.json().catch(() => null);
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawEvent) => {
+    for (const line of rawEvent.split('\n')) {
+      if (!line.startsWith('data: ')) continue;
+
+      let event;
+      try {
+        event = JSON.parse(line.slice(6));
+      } catch (parseError) {
+        console.warn('Skipping malformed stream event:', line);
+        continue;
+      }
+      onEvent?.(event);
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+      events.forEach(dispatch);
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
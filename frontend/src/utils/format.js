@@ -0,0 +1,16 @@
+// src/utils/format.js
+
+// USD amounts are often fractions of a cent, so small ones keep more digits
+export const formatCost = (cost = 0) => {
+  if (cost === 0) return '$0.00';
+  if (cost < 0.01) return `$${cost.toFixed(4)}`;
+  return `$${cost.toFixed(2)}`;
+};
+
+export const formatTokens = (tokens = 0) => tokens.toLocaleString();
+
+export const formatBytes = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,82 @@
+// src/utils/messageTree.js
+// Chat messages form a tree (see backend/models/Chat.js): each message points
+// at the one it follows, and regenerated replies are siblings. These mirror
+// the Chat model's methods for the flat message list the API returns.
+
+// Parent id of every message, or null for a first message. Messages saved
+// before branching existed have no parentId and follow the previous one.
+const parentKeys = (messages) => messages.map((msg, index) => {
+  if (msg.parentId) return msg.parentId;
+  if (msg.parentId === null || index === 0) return null;
+  return messages[index - 1]._id;
+});
+
+export const parentOf = (messages, messageId) => {
+  const index = messages.findIndex(msg => msg._id === messageId);
+  return index === -1 ? null : parentKeys(messages)[index];
+};
+
+// The user message a reply answers. A reply that used tools follows its
+// tool calls and results rather than the user message itself.
+export const promptOf = (messages, messageId) => {
+  const byId = new Map(messages.map(msg => [msg._id, msg]));
+  let id = parentOf(messages, messageId);
+  while (id && byId.get(id)?.role !== 'user') {
+    id = parentOf(messages, id);
+  }
+  return id;
+};
+
+// The messages from the first one down to messageId (inclusive)
+export const getPathTo = (messages, messageId) => {
+  const parents = parentKeys(messages);
+  const byId = new Map(messages.map((msg, index) => [msg._id, index]));
+  const path = [];
+
+  for (let index = byId.get(messageId); index !== undefined; index = byId.get(parents[index])) {
+    path.unshift(messages[index]);
+  }
+  return path;
+};
+
+// The conversation as currently shown, following the selected message (or
+// the newest one) at every turn
+export const getActivePath = (messages) => {
+  const parents = parentKeys(messages);
+  const children = new Map();
+  messages.forEach((msg, index) => {
+    const key = parents[index] || 'root';
+    children.set(key, [...(children.get(key) || []), msg]);
+  });
+
+  const path = [];
+  for (let siblings = children.get('root'); siblings; ) {
+    const next = siblings.filter(msg => msg.selected !== false).pop() || siblings[siblings.length - 1];
+    path.push(next);
+    siblings = children.get(next._id);
+  }
+  return path;
+};
+
+// The message and its alternatives, oldest first
+export const getSiblings = (messages, messageId) => {
+  const parents = parentKeys(messages);
+  const parent = parents[messages.findIndex(msg => msg._id === messageId)];
+  return messages.filter((msg, index) => parents[index] === parent);
+};
+
+// Copy of the list with messageId, and every message leading to it, selected
+// among their siblings
+export const selectMessage = (messages, messageId) => {
+  const parents = parentKeys(messages);
+  const pathIds = new Set(getPathTo(messages, messageId).map(msg => msg._id));
+  const pathParents = new Set(messages
+    .map((msg, index) => (pathIds.has(msg._id) ? parents[index] : undefined))
+    .filter(parent => parent !== undefined));
+
+  return messages.map((msg, index) => {
+    if (!pathParents.has(parents[index])) return msg;
+    const selected = pathIds.has(msg._id);
+    return msg.selected === selected ? msg : { ...msg, selected };
+  });
+};
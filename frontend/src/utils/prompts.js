@@ -0,0 +1,29 @@
+// src/utils/prompts.js
+// Prompt library helpers. Variables are written `{{name}}`, as in
+// backend/models/Prompt.js.
+
+const VARIABLE = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+// The prompt's body with each variable replaced by its value
+export const fillPrompt = (body, values) =>
+  body.replace(VARIABLE, (placeholder, name) => values[name] ?? placeholder);
+
+// Prompts for the slash-command menu: those whose title or a tag starts
+// with the query come first, then those that merely contain it
+export const matchPrompts = (prompts, query) => {
+  const text = query.toLowerCase();
+  if (!text) return prompts;
+
+  const rank = (prompt) => {
+    const title = prompt.title.toLowerCase();
+    if (title.startsWith(text) || prompt.tags.some(tag => tag.startsWith(text))) return 0;
+    if (title.includes(text) || prompt.tags.some(tag => tag.includes(text))) return 1;
+    return null;
+  };
+
+  return prompts
+    .map(prompt => ({ prompt, rank: rank(prompt) }))
+    .filter(({ rank }) => rank !== null)
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ prompt }) => prompt);
+};